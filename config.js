@@ -0,0 +1,69 @@
+/**
+ * Runtime configuration for the AI Data Agent server.
+ * Every setting can be overridden through environment variables so the
+ * agent can be reconfigured per deployment without code changes.
+ */
+export const config = {
+  llm: {
+    // Which provider turns questions into intent + SQL: 'rules', 'openai' or 'mock'
+    provider: process.env.LLM_PROVIDER || 'rules',
+    // OpenAI-compatible endpoint settings
+    baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.LLM_API_KEY || '',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    // Local mock server used for development and CI
+    mockUrl: process.env.MOCK_LLM_URL || 'http://localhost:3002',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '15000')
+  },
+  // Date that relative timeframes ("last month") are anchored to: 'data' for the
+  // latest order date, 'now' for today's date, or a fixed YYYY-MM-DD date
+  referenceDate: process.env.REFERENCE_DATE || 'data',
+  // Minimum thresholds for the item pairs market basket analysis reports; a
+  // question can set its own ("with at least 2% support")
+  basket: {
+    minSupport: parseFloat(process.env.BASKET_MIN_SUPPORT || '0.01'),
+    minConfidence: parseFloat(process.env.BASKET_MIN_CONFIDENCE || '0.1'),
+    minLift: parseFloat(process.env.BASKET_MIN_LIFT || '1')
+  },
+  // Order statuses (comma-separated) by what they mean to the analysis: orders in
+  // a revenue status are the only ones counted unless a question filters on status,
+  // funnel lists the stages an order passes through in order, and cancelled are drop-outs
+  orderStatuses: {
+    revenue: listSetting(process.env.REVENUE_STATUSES, 'Completed,Shipped,Processing'),
+    funnel: listSetting(process.env.FUNNEL_STATUSES, 'Processing,Shipped,Completed'),
+    cancelled: listSetting(process.env.CANCELLED_STATUSES, 'Cancelled')
+  },
+  // ABC classification: class A covers the top items up to this cumulative share
+  // (percent) of the metric, class B up to the next, and class C the rest
+  abc: {
+    classA: parseFloat(process.env.ABC_CLASS_A_SHARE || '80'),
+    classB: parseFloat(process.env.ABC_CLASS_B_SHARE || '95')
+  },
+  // Customer lifetime value is projected over lifetimeMonths; a customer is at
+  // high or medium churn risk once the days since their last order reach that
+  // multiple of their usual gap between orders
+  clv: {
+    lifetimeMonths: parseInt(process.env.CLV_LIFETIME_MONTHS || '36'),
+    highRiskGap: parseFloat(process.env.CHURN_HIGH_RISK_GAP || '2'),
+    mediumRiskGap: parseFloat(process.env.CHURN_MEDIUM_RISK_GAP || '1.5')
+  },
+  // How many query results are kept for export (/api/results/:id/export); older ones are dropped
+  results: {
+    maxStored: parseInt(process.env.MAX_STORED_RESULTS || '200')
+  },
+  // Answers to repeated questions are reused for ttlMs, keeping at most maxEntries
+  // (0 turns the cache off); writes through /api/execute drop the ones they affect
+  queryCache: {
+    ttlMs: parseInt(process.env.QUERY_CACHE_TTL_MS || '300000'),
+    maxEntries: parseInt(process.env.QUERY_CACHE_MAX_ENTRIES || '100')
+  },
+  // Allows /api/execute to run statements that change the database
+  adminMode: process.env.ADMIN_MODE === 'true'
+};
+
+/**
+ * Splits a comma-separated setting into a list of trimmed values
+ */
+function listSetting(value, fallback) {
+  return (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+}
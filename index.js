@@ -3,9 +3,26 @@ import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import Database from 'better-sqlite3';
+import { config } from './config.js';
 import { formatQuery } from './utils/sqlFormatter.js';
+import { checkStatement } from './utils/sqlGuard.js';
 import { generateResponse } from './services/agent.js';
 import { initializeDatabase } from './utils/databaseInitializer.js';
+import { describeSchema } from './utils/schemaHelper.js';
+import { EXPORT_FORMATS, writeExport } from './utils/resultExport.js';
+import { ensureResultTables, getResult, readResultRows } from './services/resultStore.js';
+import { findWrittenTables, invalidateTables } from './services/queryCache.js';
+import { invalidateVocabulary } from './services/vocabulary.js';
+import {
+  ensureConversationTables,
+  createConversation,
+  listConversations,
+  getConversation,
+  getConversationHistory,
+  renameConversation,
+  deleteConversation,
+  appendExchange
+} from './services/conversationStore.js';
 
 // Ensure the data directory exists
 const dbPath = './server/data/analytics.db';
@@ -22,7 +39,7 @@ const PORT = process.env.PORT || 3001;
 // Set up middleware
 app.use(cors({
   origin: 'https://aidataagentweb.vercel.app',
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json());
@@ -35,11 +52,27 @@ db.pragma('journal_mode = WAL');
 
 // Initialize the database
 initializeDatabase(db);
+ensureConversationTables(db);
+ensureResultTables(db);
+
+/**
+ * Picks the history a question is answered with: a stored conversation's own
+ * turns, or the history sent with the request
+ * @returns {Array|null} The history, or null if the conversation doesn't exist
+ */
+function resolveHistory(conversationId, history) {
+  if (!conversationId) {
+    return history;
+  }
+  
+  const conversation = getConversation(db, conversationId);
+  return conversation ? getConversationHistory(conversation) : null;
+}
 
 // Routes
 app.post('/api/query', async (req, res) => {
   try {
-    const { query, history } = req.body;
+    const { query, history, conversationId } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
@@ -47,8 +80,19 @@ app.post('/api/query', async (req, res) => {
     
     console.log('Received query:', query);
     
+    // Stored conversations supply their own history
+    const conversationHistory = resolveHistory(conversationId, history);
+    if (conversationHistory === null) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
     // Generate response using our agent service
-    const response = await generateResponse(query, history, db);
+    const response = await generateResponse(query, conversationHistory, db);
+    
+    if (conversationId) {
+      appendExchange(db, conversationId, query, response);
+      response.conversationId = conversationId;
+    }
     
     return res.json(response);
   } catch (error) {
@@ -60,28 +104,203 @@ app.post('/api/query', async (req, res) => {
   }
 });
 
+// Stream a query's progress as Server-Sent Events: the intent, the SQL, the row
+// count, each visualization and the answer a paragraph at a time, then the whole
+// response as a done event. Closing the connection cancels the query.
+app.post('/api/query/stream', async (req, res) => {
+  const { query, history, conversationId } = req.body || {};
+  
+  if (!query) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+  
+  console.log('Received streaming query:', query);
+  
+  let conversationHistory;
+  try {
+    conversationHistory = resolveHistory(conversationId, history);
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
+  
+  if (conversationHistory === null) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const response = await generateResponse(query, conversationHistory, db, {
+      onEvent: send,
+      signal: controller.signal
+    });
+    
+    if (conversationId) {
+      appendExchange(db, conversationId, query, response);
+      response.conversationId = conversationId;
+    }
+    
+    send('done', response);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Query cancelled by the client:', query);
+      return;
+    }
+    
+    console.error('Error streaming query:', error);
+    send('error', {
+      error: 'An error occurred while processing your query',
+      details: error.message
+    });
+  }
+  
+  res.end();
+});
+
+// Create a conversation
+app.post('/api/conversations', (req, res) => {
+  try {
+    const { title } = req.body || {};
+    
+    const conversation = createConversation(db, title);
+    
+    return res.status(201).json(conversation);
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    return res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+// List conversations
+app.get('/api/conversations', (req, res) => {
+  try {
+    return res.json(listConversations(db));
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+// Fetch a conversation with its turns
+app.get('/api/conversations/:id', (req, res) => {
+  try {
+    const conversation = getConversation(db, req.params.id);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    return res.json(conversation);
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    return res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Rename a conversation
+app.patch('/api/conversations/:id', (req, res) => {
+  try {
+    const { title } = req.body || {};
+    
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+    
+    if (!renameConversation(db, req.params.id, title)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    return res.json(getConversation(db, req.params.id));
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    return res.status(500).json({ error: 'Failed to rename conversation' });
+  }
+});
+
+// Delete a conversation
+app.delete('/api/conversations/:id', (req, res) => {
+  try {
+    if (!deleteConversation(db, req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    return res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// Describe a stored result: the question, its SQL and the result's columns and types
+app.get('/api/results/:id', (req, res) => {
+  try {
+    const result = getResult(db, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    return res.json(result);
+  } catch (error) {
+    console.error('Error fetching result:', error);
+    return res.status(500).json({ error: 'Failed to fetch result' });
+  }
+});
+
+// Download the raw rows behind an answer as CSV, XLSX or JSON Lines
+app.get('/api/results/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Unsupported export format',
+        formats: Object.keys(EXPORT_FORMATS)
+      });
+    }
+    
+    const result = getResult(db, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="result-${result.resultId}.${EXPORT_FORMATS[format].extension}"`);
+    
+    await writeExport(format, result.columns, readResultRows(db, result.resultId), res);
+  } catch (error) {
+    console.error('Error exporting result:', error);
+    
+    // Once the file has started there is no way to report the error but to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    return res.status(500).json({ error: 'Failed to export result' });
+  }
+});
+
 // Get schema information
 app.get('/api/schema', (req, res) => {
   try {
-    // Get all tables
-    const tables = db.prepare(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name NOT LIKE 'sqlite_%'
-    `).all();
-    
-    const schema = {};
-    
-    // Get columns for each table
-    tables.forEach(table => {
-      const columns = db.prepare(`PRAGMA table_info(${table.name})`).all();
-      schema[table.name] = columns.map(column => ({
-        name: column.name,
-        type: column.type,
-        notnull: column.notnull === 1,
-        dflt_value: column.dflt_value,
-        pk: column.pk === 1
-      }));
-    });
+    const schema = describeSchema(db);
     
     return res.json(schema);
   } catch (error) {
@@ -102,17 +321,39 @@ app.post('/api/execute', (req, res) => {
     console.log('Executing SQL:', sql);
     
     const formattedSql = formatQuery(sql);
+    
+    // Only read-only statements may run unless the server is in admin mode
+    const check = checkStatement(formattedSql, db, { adminMode: config.adminMode });
+    
+    if (!check.allowed) {
+      return res.status(403).json({
+        error: 'SQL statement rejected',
+        category: check.category,
+        reason: check.reason
+      });
+    }
+    
+    const statement = db.prepare(formattedSql);
     let result;
     
-    // Check if it's a SELECT query
-    if (formattedSql.trim().toLowerCase().startsWith('select')) {
-      result = db.prepare(formattedSql).all();
+    // Work out what a write touches before it runs (a dropped table can't be traced after);
+    // a rollback can undo anything, so it counts as writing every table
+    const writes = !statement.readonly || check.category === 'transaction';
+    const writtenTables = writes ? findWrittenTables(db, formattedSql) : [];
+    
+    // Statements that return rows are read; everything else is run
+    if (statement.reader) {
+      result = statement.all();
     } else {
-      // For non-SELECT queries, run them
-      const statement = db.prepare(formattedSql);
       result = statement.run();
     }
     
+    // Cached answers that read the written tables, and the known dimension values, are now stale
+    if (writes) {
+      invalidateTables(db, writtenTables);
+      invalidateVocabulary(db);
+    }
+    
     return res.json({
       result,
       query: formattedSql
@@ -129,4 +370,8 @@ app.post('/api/execute', (req, res) => {
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  
+  if (config.adminMode) {
+    console.warn('Admin mode is enabled: /api/execute will run statements that modify the database');
+  }
 });
\ No newline at end of file
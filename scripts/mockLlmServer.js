@@ -0,0 +1,82 @@
+import fs from 'fs';
+import express from 'express';
+import Database from 'better-sqlite3';
+import { analyzeQuery, resolveReferenceDate } from '../services/agent.js';
+import { getVocabulary } from '../services/vocabulary.js';
+
+/**
+ * Deterministic stand-in for an LLM, used by LLM_PROVIDER=mock in development and CI.
+ * Answers come from an optional fixtures file ({ "<lowercased question>": { queryInfo, sql, params } })
+ * and otherwise from the agent's own rule engine, so responses never vary between runs.
+ * POST /chat/completions answers in the OpenAI format, so LLM_PROVIDER=openai with
+ * LLM_BASE_URL pointing here exercises the OpenAI provider as well.
+ */
+const PORT = process.env.MOCK_LLM_PORT || 3002;
+const fixturesPath = process.env.MOCK_LLM_FIXTURES;
+const dbPath = process.env.MOCK_LLM_DB || './server/data/analytics.db';
+
+const fixtures = fixturesPath
+  ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8'))
+  : {};
+
+// The analytics database, when present, supplies the entity vocabulary and reference date
+const db = fs.existsSync(dbPath)
+  ? new Database(dbPath, { readonly: true })
+  : null;
+
+const app = express();
+app.use(express.json());
+
+app.post('/analyze', (req, res) => {
+  const { query } = req.body;
+
+  if (!query) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+
+  return res.json(answer(query));
+});
+
+app.post('/chat/completions', (req, res) => {
+  // The question is the last user message; earlier ones are conversation history
+  const question = (req.body.messages || []).filter(message => message.role === 'user').pop();
+
+  if (!question || !question.content) {
+    return res.status(400).json({ error: 'A user message is required' });
+  }
+
+  return res.json({
+    object: 'chat.completion',
+    model: req.body.model || 'mock',
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: JSON.stringify(answer(question.content)) },
+      finish_reason: 'stop'
+    }]
+  });
+});
+
+/**
+ * Looks up the fixture for a question, falling back to the rule engine's intent
+ * @param {string} query - The user's question
+ * @returns {object} The { queryInfo, sql, params } answer
+ */
+function answer(query) {
+  const fixture = fixtures[query.trim().toLowerCase()];
+
+  if (fixture) {
+    return fixture;
+  }
+
+  return {
+    queryInfo: analyzeQuery(query, db
+      ? { vocabulary: getVocabulary(db), referenceDate: resolveReferenceDate(db).date }
+      : {}),
+    sql: null
+  };
+}
+
+// MOCK_LLM_PORT=0 picks a free port; the log line names the one in use
+const server = app.listen(PORT, () => {
+  console.log(`Mock LLM server running on http://localhost:${server.address().port}`);
+});
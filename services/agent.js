@@ -1,37 +1,242 @@
+import { config } from '../config.js';
 import { formatQuery } from '../utils/sqlFormatter.js';
 import { determineVisualizationType } from '../utils/visualizationHelper.js';
+import { describeSchema } from '../utils/schemaHelper.js';
+import { checkStatement } from '../utils/sqlGuard.js';
+import { createProvider } from './llmProvider.js';
+import { getSchemaGraph, planJoins, resolveDimension, analyzeSchemaQuery, quoteIdentifier } from './schemaPlanner.js';
+import { getVocabulary, matchEntities, maskQualifiedEntities } from './vocabulary.js';
+import { saveResult } from './resultStore.js';
+import { runCachedQuery } from './queryCache.js';
+import { parseDateRange, extractPeriods, resolveTimeframe, formatDateRange, today } from '../utils/dateRange.js';
+import { forecastSeries, FORECAST_METHODS } from '../utils/forecasting.js';
+import { detectAnomalies } from '../utils/anomalyDetection.js';
+
+// Tables the built-in intents are written against
+const CORE_TABLES = ['orders', 'order_items', 'products', 'customers'];
+
+// Dimensions an anomaly is broken down by to show what drove it
+const ANOMALY_BREAKDOWNS = ['category', 'region'];
+
+// Gross margin as a percentage of revenue; queries using it join products for product_cost
+const MARGIN_SQL = 'ROUND(100.0 * SUM(oi.quantity * (oi.unit_price - p.product_cost)) / SUM(oi.quantity * oi.unit_price), 2)';
+
+// Dimensions the pricing analysis reports realised discounts by
+const PRICING_BREAKDOWNS = ['product', 'category', 'region', 'segment', 'month'];
+
+// Width, in percentage points, of the discount bands price and volume are compared across
+const DISCOUNT_BAND_WIDTH = 5;
+
+// Dimensions the order status analysis reports cancellation rates by
+const STATUS_BREAKDOWNS = ['category', 'region', 'segment', 'month'];
+
+// RFM segments by recency score and combined frequency/monetary score (1-5 each),
+// checked in order; every combination of scores falls into one of them
+const RFM_SEGMENTS = [
+  { name: 'Champions', recency: [5, 5], frequency: [4, 5], description: 'bought recently, buy often and spend the most' },
+  { name: 'Loyal Customers', recency: [3, 4], frequency: [4, 5], description: 'buy often and spend well' },
+  { name: 'Potential Loyalists', recency: [4, 5], frequency: [2, 3], description: 'bought recently and buy about as often as average' },
+  { name: 'New Customers', recency: [5, 5], frequency: [1, 1], description: 'bought recently but rarely' },
+  { name: 'Promising', recency: [4, 4], frequency: [1, 1], description: 'bought fairly recently, but rarely' },
+  { name: 'Need Attention', recency: [3, 3], frequency: [3, 3], description: 'are about average on recency, frequency and spend' },
+  { name: 'About to Sleep', recency: [3, 3], frequency: [1, 2], description: 'are below average on recency and frequency' },
+  { name: 'At Risk', recency: [1, 2], frequency: [3, 4], description: 'bought often and spent well, but not for a while' },
+  { name: "Can't Lose Them", recency: [1, 2], frequency: [5, 5], description: 'used to buy the most, but not for a while' },
+  { name: 'Hibernating', recency: [1, 2], frequency: [1, 2], description: 'last bought long ago and rarely' }
+];
+
+// Groupings that already describe the rows of an intent, so they can't split them further
+const INTENT_ROW_GROUPINGS = {
+  customer_analysis: ['customer', 'segment', 'region'],
+  product_analysis: ['product', 'category'],
+  regional_analysis: ['region']
+};
+
+/**
+ * Intents the agent can answer, described for LLM providers.
+ * `defaults` fill in any queryInfo fields a provider leaves out.
+ */
+const INTENT_CATALOG = [
+  {
+    type: 'revenue_analysis',
+    description: 'Revenue totals over time or grouped by a dimension',
+    fields: 'timeframe (last_year|this_year|last_month|this_month|last_quarter|this_quarter|last_6_months|last_3_months|all_time|custom), dateRange ({ start, end, label } with YYYY-MM-DD dates, either may be null; required when timeframe is custom), groupBy (product|category|region|customer|month|quarter|year|null), pivotBy (second grouping with the same values as groupBy, or null), filters ({ category|region|segment|product|customer|status: [values] })',
+    columns: 'name, revenue, units_sold, total_cost, total_profit, margin_pct; with pivotBy: name, series, revenue, units_sold, total_cost, total_profit, margin_pct',
+    defaults: { timeframe: 'all_time', dateRange: null, groupBy: null, pivotBy: null, filters: {} }
+  },
+  {
+    type: 'customer_analysis',
+    description: 'Top customers ranked by a metric, or every customer classified A, B or C by cumulative share (Pareto)',
+    fields: 'limit (number), metric (revenue|profit|margin|orders|quantity), pivotBy (grouping that splits each customer: month|quarter|year|category|product|status, or null), classify (true for a Pareto / ABC classification; not with margin, which does not add up), paretoShare (the cumulative percent class A covers, or null for the configured default), timeframe, dateRange, filters',
+    columns: 'customer_id, customer_name, segment, region, total_revenue|total_profit|margin_pct|order_count|total_items, total_revenue, total_profit, margin_pct, order_count, avg_order_value, last_purchase_date; with pivotBy: name, series, total_revenue|total_profit|margin_pct|order_count|total_items; with classify: id, name, segment, region, total_revenue|total_profit|order_count|total_items, share_pct, cumulative_share, abc_class',
+    defaults: { limit: 10, metric: 'revenue', pivotBy: null, classify: false, paretoShare: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'product_analysis',
+    description: 'Top products ranked by a metric, or every product classified A, B or C by cumulative share (Pareto, "which products make up 80% of revenue")',
+    fields: 'metric (revenue|profit|margin|quantity), limit (number), pivotBy (grouping that splits each product: month|quarter|year|region|segment|customer|status, or null), classify (true for a Pareto / ABC classification; not with margin, which does not add up), paretoShare (the cumulative percent class A covers, or null for the configured default), timeframe, dateRange, filters',
+    columns: 'product_id, product_name, category, total_revenue|total_profit|margin_pct|units_sold, total_revenue, total_profit, margin_pct, units_sold, order_count, avg_selling_price; with pivotBy: name, series, total_revenue|total_profit|margin_pct|units_sold; with classify: id, name, category, total_revenue|total_profit|units_sold, share_pct, cumulative_share, abc_class',
+    defaults: { metric: 'revenue', limit: 10, pivotBy: null, classify: false, paretoShare: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'regional_analysis',
+    description: 'Performance broken down by customer region',
+    fields: 'metric (revenue|profit|margin|orders), pivotBy (grouping that splits each region: month|quarter|year|category|segment|product|status, or null), timeframe, dateRange, filters',
+    columns: 'region, total_revenue|total_profit|margin_pct|order_count, total_revenue, total_profit, margin_pct, customer_count, order_count, total_units, avg_order_value; with pivotBy: name, series, total_revenue|total_profit|margin_pct|order_count',
+    defaults: { metric: 'revenue', pivotBy: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'comparison',
+    description: 'Monthly comparison of values of one dimension (categories, regions, segments, products or customers)',
+    fields: 'dimension (category|region|segment|product|customer|status), entities (array of values of that dimension), metric (revenue|profit|margin|quantity|orders), timeframe, dateRange, filters (other dimensions only)',
+    columns: 'name, month, total_revenue|total_profit|total_units|order_count (margin: margin_pct, total_revenue, total_profit)',
+    defaults: { dimension: 'category', entities: ['Electronics', 'Clothing', 'Furniture'], metric: 'revenue', timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'period_comparison',
+    description: 'Change of a metric from each month, quarter or year to the next (MoM, QoQ, YoY), or between two named periods broken down by a dimension',
+    fields: 'metric (revenue|profit|margin|quantity|orders), granularity (month|quarter|year), periods ({ current: { start, end, label }, previous: { start, end, label } } with YYYY-MM-DD dates to compare two named periods, else null), groupBy (dimension the two named periods are broken down by: category|region|segment|product|customer|status), timeframe, dateRange, filters',
+    columns: 'period, value, previous_value, change, change_pct; with periods: name, value, previous_value, change, change_pct',
+    defaults: { metric: 'revenue', granularity: 'month', periods: null, groupBy: 'category', timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'forecast',
+    description: 'Forecast of monthly revenue, gross profit, orders or units sold for the coming months',
+    fields: 'metric (revenue|profit|orders|quantity), horizon (number of months to forecast), method (auto|linear|moving_average|holt_winters), timeframe, dateRange (the history to forecast from), filters',
+    columns: 'month, total_revenue, order_count, customer_count, units_sold, avg_order_value, total_profit, margin_pct',
+    defaults: { metric: 'revenue', horizon: 3, method: 'auto', timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'anomaly_detection',
+    description: 'Unusual days or months in revenue, orders, average order value, gross profit or margin, with the categories and regions that drove them',
+    fields: 'metrics (array of revenue|orders|aov|profit|margin), granularities (array of day|month), timeframe, dateRange, filters',
+    columns: 'day, dimension (null for the daily totals, else category|region), dimension_value, revenue, profit, order_count',
+    defaults: { metrics: ['revenue', 'orders', 'aov'], granularities: ['day', 'month'], timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'cohort_analysis',
+    description: 'Customer retention by cohort: the share of each monthly cohort (by first order or signup month) that orders again in the months after',
+    fields: 'cohortBy (first_order|signup), timeframe, dateRange (limits the cohort months shown), filters (limit the orders counted)',
+    columns: 'cohort_month, months_since, active_customers, cohort_size, returning_customers',
+    defaults: { cohortBy: 'first_order', timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'rfm_analysis',
+    description: 'RFM (recency, frequency, monetary) segmentation of customers into named segments such as Champions, At Risk and Hibernating',
+    fields: 'timeframe, dateRange, filters',
+    columns: 'customer_id, customer_name, segment, region, last_purchase_date, recency_days, order_count, total_revenue, recency_score, frequency_score, monetary_score, rfm_segment',
+    defaults: { timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'clv_analysis',
+    description: 'Estimated customer lifetime value (average order value x orders per month since signup x the projected lifetime) and churn risk from the days since their last order compared with their usual gap between orders',
+    fields: 'rankBy (clv|churn_risk), limit (number), timeframe, dateRange, filters',
+    columns: 'customer_id, customer_name, segment, region, signup_date, order_count, total_revenue, avg_order_value, last_purchase_date, tenure_days, recency_days, typical_gap_days, orders_per_month, clv, recency_ratio, churn_risk',
+    defaults: { rankBy: 'clv', limit: 10, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'pricing_analysis',
+    description: 'Realised prices against retail (list) price: average discount, revenue lost to discounting and how units sold vary with the discount',
+    fields: 'groupBy (the one dimension to break discounts down by: product|category|region|segment|customer|month|quarter|year, or null for product, category, region, segment and month), timeframe, dateRange, filters',
+    columns: 'dimension, dimension_value, order_lines, units_sold, list_revenue, revenue, discount_amount, discount_pct, avg_unit_price, avg_retail_price (dimension discount_band has the band start in percent as its value)',
+    defaults: { groupBy: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'status_analysis',
+    description: 'Order status funnel (how many orders reach each status) and cancellation rates, overall and by category, region, segment and month',
+    fields: 'groupBy (the one dimension to break cancellations down by: category|region|segment|product|customer|month|quarter|year, or null for category, region, segment and month), timeframe, dateRange, filters',
+    columns: 'dimension, dimension_value, status, order_count, revenue',
+    defaults: { groupBy: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'market_basket',
+    description: 'Products (or categories) frequently bought together in the same order, with support, confidence and lift',
+    fields: 'level (product|category), target (a product or category name to find companions for, or null), minSupport, minConfidence, minLift (numbers, null for the configured defaults), limit (number), timeframe, dateRange, filters',
+    columns: 'antecedent, consequent, pair_orders, antecedent_orders, consequent_orders, total_orders, support, confidence, lift',
+    defaults: { level: 'product', target: null, minSupport: null, minConfidence: null, minLift: null, limit: 10, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'margin_waterfall',
+    description: 'Margin waterfall: revenue at retail price broken down into discounts, product cost and gross profit, overall and per category (or another dimension)',
+    fields: 'groupBy (product|category|region|segment|customer|month|quarter|year, or null for category), timeframe, dateRange, filters',
+    columns: 'name, units_sold, list_revenue, discount_amount, revenue, total_cost, total_profit, margin_pct',
+    defaults: { groupBy: null, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'schema_analysis',
+    description: 'Aggregate over any table in the schema, grouped by columns of joined tables',
+    fields: 'measure ({ aggregate: COUNT|SUM|AVG|MIN|MAX, table, column|null }), dimensions (array of "table.column"), limit (number), timeframe, dateRange, filters',
+    columns: 'one column per dimension (named after the column), then the measure aliased as described in measure',
+    defaults: { dimensions: [], limit: 50, timeframe: 'all_time', dateRange: null, filters: {} }
+  },
+  {
+    type: 'general_analysis',
+    description: 'Monthly business overview when no specific intent applies',
+    fields: 'keywords (array of strings), timeframe, dateRange, filters',
+    columns: 'month, total_revenue, order_count, customer_count, units_sold, avg_order_value, total_profit, margin_pct',
+    defaults: { keywords: [], timeframe: 'all_time', dateRange: null, filters: {} }
+  }
+];
 
 /**
  * Generates a comprehensive response to a user's query
  * @param {string} query - The natural language query from the user
  * @param {Array} history - The conversation history
  * @param {object} db - The database connection
- * @returns {object} The generated response with answer and visualizations
+ * @param {object} options - { onEvent, signal }: a callback told of progress as it happens
+ *   (onEvent(event, data) with intent, sql, rows, visualization and answer events), and an
+ *   AbortSignal that cancels the request between steps
+ * @returns {object} The generated response with answer, visualizations, metadata and
+ *   the resultId its rows can be exported under
  */
-export async function generateResponse(query, history, db) {
-  // In a production environment, this would connect to an actual LLM API
-  // For this demo, we'll use predefined responses and SQL queries based on detection
-  
-  // Extract query intent and type
-  const queryInfo = analyzeQuery(query);
+export async function generateResponse(query, history, db, { onEvent = null, signal = null } = {}) {
+  // Progress events give the event loop a turn so they reach the client as they happen
+  const emit = async (event, data) => {
+    if (!onEvent) return;
+    onEvent(event, data);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  const checkCancelled = () => {
+    if (signal) signal.throwIfAborted();
+  };
   
-  // Generate SQL query based on the intent
-  let sqlQuery = '';
+  // Extract query intent and type, and generate the SQL query for it
+  let plan;
   try {
-    sqlQuery = generateSqlQuery(queryInfo, db);
+    plan = await planQuery(query, history, db, signal);
   } catch (error) {
+    // A cancelled request has no one left to answer
+    checkCancelled();
     console.error("Error generating SQL query:", error);
+    
+    // Say which grouping couldn't be found rather than answering with another one
+    if (error.grouping) {
+      return {
+        answer: `I couldn't find anything in the data to group by "${error.grouping}". Try grouping by month, quarter or year, or by a column such as category, region or segment.`,
+        visualizations: []
+      };
+    }
+    
     return {
       answer: "I'm having trouble understanding your question. Could you rephrase it or provide more specific details?",
       visualizations: []
     };
   }
   
-  // Execute the generated query
+  const { queryInfo, sqlQuery, params, referenceDate } = plan;
+  
+  await emit('intent', { provider: plan.provider, queryInfo, context: plan.context || null });
+  await emit('sql', { sql: sqlQuery, params });
+  checkCancelled();
+  
+  // Execute the generated query with its bound parameters
+  // Repeated questions are answered from the query cache until a write touches their tables
   let queryResult;
+  let columns;
+  let cache;
   try {
-    console.log("Executing SQL:", sqlQuery);
-    queryResult = db.prepare(sqlQuery).all();
+    console.log("Executing SQL:", sqlQuery, params);
+    ({ rows: queryResult, columns, cache } = runCachedQuery(db, sqlQuery, params));
   } catch (error) {
     console.error("Error executing query:", error);
     return {
@@ -40,743 +245,5048 @@ export async function generateResponse(query, history, db) {
     };
   }
   
+  await emit('rows', { rowCount: queryResult.length, columns: columns.map(column => column.name), cache });
+  checkCancelled();
+  
   // Generate natural language answer and visualizations
   const response = createResponse(query, queryInfo, queryResult, sqlQuery);
   
+  // Show the filters and dates the question was resolved to
+  // A configured status no order has yet still filters, so say why nothing matched
+  const missingStatuses = missingStatusFilters(queryInfo.filters, db);
+  if (missingStatuses.length > 0) {
+    const listed = new Intl.ListFormat('en-US', { style: 'long', type: 'conjunction' }).format(missingStatuses);
+    response.answer = insertNote(response.answer, `> No orders match the status${missingStatuses.length === 1 ? '' : 'es'} ${listed}; no order in the data has ${missingStatuses.length === 1 ? 'it' : 'them'}.`);
+  }
+  
+  const filterDescription = describeFilters(queryInfo.filters);
+  if (filterDescription) {
+    response.answer = insertNote(response.answer, `> Filters: ${filterDescription}.`);
+  }
+  
+  if (queryInfo.dateRange) {
+    const range = formatDateRange(queryInfo.dateRange);
+    const label = queryInfo.dateRange.label !== range ? ` (${queryInfo.dateRange.label})` : '';
+    const anchor = queryInfo.dateRange.anchored
+      ? `, relative to ${referenceDate.date} (${describeReferenceDate(referenceDate)})`
+      : '';
+    response.answer = insertNote(response.answer, `> Date range: ${range}${label}${anchor}.`);
+  }
+  
+  // Tell the user which earlier question a follow-up was built on
+  if (plan.context) {
+    response.answer = addContextNote(response.answer, plan.context, queryInfo);
+  }
+  
+  response.metadata = {
+    provider: plan.provider,
+    queryInfo,
+    context: plan.context || null,
+    referenceDate,
+    sql: sqlQuery,
+    params,
+    cache
+  };
+  
+  // Charts and tables go out before the narrative around them
+  for (const visualization of extractVisualizations(response.answer)) {
+    await emit('visualization', visualization);
+  }
+  checkCancelled();
+  
+  // Keep the raw rows so they can be exported; the answer stands without them
+  try {
+    response.resultId = saveResult(db, { question: query, sql: sqlQuery, params, columns, rows: queryResult });
+  } catch (error) {
+    console.error("Error storing query result:", error);
+  }
+  
+  // The answer follows a paragraph at a time; the chunks join up to the whole answer
+  if (onEvent) {
+    for (const text of response.answer.split(/(?<=\n\n)/)) {
+      checkCancelled();
+      await emit('answer', { text });
+    }
+  }
+  
   return response;
 }
 
+/**
+ * Finds the visualizations embedded in an answer's markdown
+ * (```visualization:chart:Title blocks holding the chart or table JSON)
+ * @param {string} answer - The markdown answer
+ * @returns {Array} { type, title, data } for each block, in the order they appear
+ */
+function extractVisualizations(answer) {
+  const blocks = [...answer.matchAll(/```visualization:(\w+):([^\n]*)\n([\s\S]*?)\n```/g)];
+  
+  return blocks.map(([, type, title, json]) => ({
+    type,
+    title,
+    data: JSON.parse(json)
+  }));
+}
+
+/**
+ * Determines the query intent and SQL, asking the configured LLM provider first
+ * and falling back to the keyword-based rule engine
+ * @param {string} query - The natural language query from the user
+ * @param {Array} history - The conversation history
+ * @param {object} db - The database connection
+ * @param {object|null} signal - An AbortSignal that cancels the request to the provider
+ * @returns {Promise<object>} The queryInfo, SQL and the name of the provider that produced them
+ */
+async function planQuery(query, history, db, signal = null) {
+  const provider = createProvider();
+  
+  // Relative timeframes ("last quarter", "Q3" without a year) are resolved against this date
+  const referenceDate = resolveReferenceDate(db);
+  
+  if (provider) {
+    try {
+      const result = await provider.analyze({
+        query,
+        history,
+        schema: describeSchema(db),
+        intents: INTENT_CATALOG.map(({ defaults, ...intent }) => intent),
+        signal
+      });
+      
+      return {
+        ...resolveProviderPlan(result, db, referenceDate.date),
+        referenceDate,
+        provider: provider.name
+      };
+    } catch (error) {
+      // A cancelled request isn't retried with the rule engine
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      
+      console.error(`LLM provider "${provider.name}" failed, falling back to the rule engine:`, error.message);
+    }
+  }
+  
+  let { queryInfo, context } = resolveQueryInfo(query, history, {
+    vocabulary: getVocabulary(db),
+    referenceDate: referenceDate.date
+  });
+  
+  // Questions that involve tables beyond the ones the rule engine's intents were
+  // written for are planned from the schema, as are general questions asking for
+  // a specific measure or breakdown; a plain overview ("overview of orders") keeps
+  // the general analysis even though it names a table
+  const schemaQueryInfo = analyzeSchemaQuery(getSchemaGraph(db), query);
+  
+  if (schemaQueryInfo) {
+    const schemaTables = [schemaQueryInfo.measure.table, ...schemaQueryInfo.dimensions.map(d => d.split('.')[0])];
+    const specific = schemaQueryInfo.measure.column !== null || schemaQueryInfo.dimensions.length > 0;
+    
+    if ((queryInfo.type === 'general_analysis' && specific) || schemaTables.some(table => !CORE_TABLES.includes(table))) {
+      queryInfo = {
+        ...schemaQueryInfo,
+        timeframe: queryInfo.timeframe,
+        dateRange: queryInfo.dateRange,
+        filters: queryInfo.filters || {}
+      };
+      context = null;
+    }
+  }
+  
+  queryInfo = clampLimit(queryInfo);
+  const { sql, params } = generateSqlQuery(queryInfo, db);
+  
+  return {
+    queryInfo,
+    context,
+    sqlQuery: sql,
+    params,
+    referenceDate,
+    provider: 'rules'
+  };
+}
+
+/**
+ * Works out the date relative timeframes are anchored to, as set by config.referenceDate
+ * @param {object} db - The database connection
+ * @returns {object} { date, source } where source is 'data', 'clock' or 'config'
+ */
+export function resolveReferenceDate(db) {
+  const setting = config.referenceDate;
+  
+  if (/^\d{4}-\d{2}-\d{2}$/.test(setting)) {
+    return { date: setting, source: 'config' };
+  }
+  
+  // Anchoring to the latest order keeps "last month" meaningful for historical data
+  if (setting !== 'now') {
+    const { latest } = db.prepare('SELECT MAX(date(order_date)) as latest FROM orders').get();
+    
+    if (latest) {
+      return { date: latest, source: 'data' };
+    }
+  }
+  
+  return { date: today(), source: 'clock' };
+}
+
+/**
+ * Describes where a reference date came from, for the answer text
+ */
+function describeReferenceDate(referenceDate) {
+  switch (referenceDate.source) {
+    case 'data':
+      return 'the latest order date in the data';
+    case 'config':
+      return 'the configured reference date';
+    default:
+      return "today's date";
+  }
+}
+
+/**
+ * Validates a provider's structured answer so the response builders can consume it.
+ * The model's SQL is only checked for being a read, returning the intent's columns
+ * and binding its params; it isn't checked for the date range or the revenue
+ * statuses (config.orderStatuses.revenue) that the generated SQL applies, so those
+ * are up to the model.
+ * @param {object} result - The provider's { queryInfo, sql, params } answer
+ * @param {object} db - The database connection
+ * @param {string} referenceDate - The date relative timeframes are resolved against
+ * @returns {object} The normalized queryInfo and the SQL to execute
+ */
+function resolveProviderPlan(result, db, referenceDate) {
+  const intent = INTENT_CATALOG.find(i => i.type === result.queryInfo.type);
+  
+  if (!intent) {
+    throw new Error(`Unsupported intent "${result.queryInfo.type}"`);
+  }
+  
+  const queryInfo = clampLimit({ ...intent.defaults, ...result.queryInfo });
+  queryInfo.dateRange = normalizeDateRange(queryInfo, referenceDate);
+  const generated = generateSqlQuery(queryInfo, db);
+  
+  if (!result.sql) {
+    return { queryInfo, sqlQuery: generated.sql, params: generated.params };
+  }
+  
+  // The response builders read specific columns, so the model's SQL must
+  // return at least the columns our own SQL for this intent would
+  try {
+    const check = checkStatement(result.sql, db);
+    
+    if (!check.allowed) {
+      throw new Error(check.reason);
+    }
+    
+    const statement = db.prepare(result.sql);
+    
+    // Bad params would otherwise only fail once the query runs, too late to fall back
+    const params = result.params === undefined || result.params === null ? [] : result.params;
+    
+    if (!Array.isArray(params)) {
+      throw new Error('params must be an array');
+    }
+    
+    const invalidIndex = params.findIndex(value =>
+      value !== null && typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value)));
+    
+    if (invalidIndex !== -1) {
+      throw new Error(`unsupported value ${JSON.stringify(params[invalidIndex])} for parameter ${invalidIndex + 1}`);
+    }
+    
+    // Binding fails unless there is exactly one value per placeholder
+    statement.bind(params);
+    
+    const returnedColumns = statement.columns().map(column => column.name);
+    const missingColumns = db.prepare(generated.sql).columns()
+      .map(column => column.name)
+      .filter(name => !returnedColumns.includes(name));
+    
+    if (missingColumns.length > 0) {
+      throw new Error(`missing columns ${missingColumns.join(', ')}`);
+    }
+    
+    return { queryInfo, sqlQuery: formatQuery(result.sql), params };
+  } catch (error) {
+    console.error('Ignoring LLM generated SQL:', error.message);
+    return { queryInfo, sqlQuery: generated.sql, params: generated.params };
+  }
+}
+
+/**
+ * Checks the date range of a provider's queryInfo, resolving a relative
+ * timeframe when the provider gave no explicit range
+ * @param {object} queryInfo - The provider's queryInfo
+ * @param {string} referenceDate - The date relative timeframes are resolved against
+ * @returns {object|null} The date range to apply
+ */
+function normalizeDateRange(queryInfo, referenceDate) {
+  const { dateRange, timeframe } = queryInfo;
+  
+  // Relative timeframes are always resolved against the server's reference date
+  if (!dateRange || (timeframe && timeframe !== 'custom')) {
+    return resolveTimeframe(timeframe, referenceDate);
+  }
+  
+  const isDate = value => value === null || value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!isDate(dateRange.start) || !isDate(dateRange.end)) {
+    throw new Error(`Invalid date range ${JSON.stringify(dateRange)}`);
+  }
+  
+  const range = { start: dateRange.start || null, end: dateRange.end || null };
+  return { ...range, label: dateRange.label || formatDateRange(range) };
+}
+
 /**
  * Analyzes a natural language query to determine its intent and parameters
  * @param {string} query - The user's natural language query
+ * @param {object} options - { vocabulary, referenceDate }: dimension values to recognise
+ *   (from getVocabulary) and the date relative timeframes are resolved against
  * @returns {object} Information about the query intent and parameters
  */
-function analyzeQuery(query) {
+export function analyzeQuery(query, { vocabulary = [], referenceDate = today() } = {}) {
   // This is a simplified approach. In a real implementation, this would use
   // a language model to analyze the query in depth.
   
   const lowerQuery = query.toLowerCase();
+  const period = extractDateRange(lowerQuery, referenceDate);
+  const groupings = extractGroupings(lowerQuery);
+  
+  // Qualified values ("the North region") are filters, so their qualifying
+  // word doesn't count towards the intent
+  const intentQuery = maskQualifiedEntities(lowerQuery, matchEntities(lowerQuery, vocabulary));
+  
+  // Growth questions ("revenue month over month", "compare Q3 to Q2") mention
+  // other intents' keywords, so they are recognised first
+  const periodComparison = extractPeriodComparison(lowerQuery, referenceDate, groupings);
   
   // Check for different query types
-  if (
-    lowerQuery.includes('revenue') || 
-    lowerQuery.includes('sales') || 
-    lowerQuery.includes('income')
+  if (/\b(forecast\w*|predict\w*|projections?|projected)\b/.test(lowerQuery) || extractHorizon(lowerQuery, null)) {
+    const metric = extractMetric(lowerQuery);
+    
+    return {
+      type: 'forecast',
+      metric: ['orders', 'quantity', 'profit'].includes(metric) ? metric : 'revenue',
+      horizon: extractHorizon(lowerQuery),
+      method: extractForecastMethod(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(waterfall|(?:margin|profit|revenue) (?:bridge|breakdown|walk))\b|\bwhere (?:does|did) (?:the |our |my )?revenue go\b/.test(lowerQuery)) {
+    return {
+      type: 'margin_waterfall',
+      ...groupingFields('margin_waterfall', groupings),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(clv|ltv|life-?time value|churn\w*|customer value)\b|\blikely to (?:leave|stop)/.test(lowerQuery)) {
+    return {
+      type: 'clv_analysis',
+      rankBy: /churn|likely to|risk/.test(lowerQuery) ? 'churn_risk' : 'clv',
+      limit: extractLimit(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(discount\w*|pricing|markdowns?|list prices?|retail prices?|realised prices?|realized prices?|price[- ]volume|price elasticity)\b/.test(lowerQuery)) {
+    return {
+      type: 'pricing_analysis',
+      ...groupingFields('pricing_analysis', groupings),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(cancellations?|funnel|fulfil\w*|statuses)\b|\border status|\b(?:were|are|get|got|being|most) cancel|\bcancell?ed orders\b.*\b(?:by|per|for each)\s+[a-z]/.test(lowerQuery)) {
+    // Every status is analysed, so a status named in the question isn't a filter
+    const { status, ...filters } = extractFilters(lowerQuery, vocabulary);
+    
+    return {
+      type: 'status_analysis',
+      ...groupingFields('status_analysis', groupings),
+      ...period,
+      filters
+    };
+  } else if (/bought together|purchased together|ordered together|buy with|bought with|purchased with|\bmarket basket|\bco-?purchase|\bcross-?sell/.test(lowerQuery)) {
+    return {
+      type: 'market_basket',
+      ...extractBasketScope(lowerQuery, vocabulary),
+      ...extractBasketThresholds(lowerQuery),
+      limit: extractLimit(lowerQuery),
+      ...period
+    };
+  } else if (/\b(rfm|recency|segmentation|champions|at[- ]risk|hibernating)\b|\bsegment (?:our |my |the )?customers\b/.test(lowerQuery)) {
+    return {
+      type: 'rfm_analysis',
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(cohorts?|retention|retain\w*|come back|came back|coming back|returning|repeat (?:customers|buyers|purchases?))\b/.test(lowerQuery)) {
+    return {
+      type: 'cohort_analysis',
+      cohortBy: extractCohortBasis(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(anomal\w*|outliers?|unusual|abnormal|irregular|spikes?|dips?)\b/.test(lowerQuery)) {
+    return {
+      type: 'anomaly_detection',
+      ...extractAnomalyScope(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (/\b(pareto|abc|80\/20)\b|\b(?:make|makes|making) up\b|\baccounts? for\b|\d% of (?:(?:our|the|total|all) )*(?:revenue|sales|profit|orders|units|quantity)\b/.test(lowerQuery)) {
+    // Cumulative share questions rank products unless they ask about customers
+    const type = /\b(customers?|clients?)\b/.test(intentQuery) ? 'customer_analysis' : 'product_analysis';
+    const metric = extractMetric(lowerQuery);
+    const metrics = type === 'customer_analysis' ? ['revenue', 'profit', 'orders', 'quantity'] : ['revenue', 'profit', 'quantity'];
+    
+    return {
+      type,
+      metric: metrics.includes(metric) ? metric : 'revenue',
+      limit: extractLimit(lowerQuery),
+      classify: true,
+      paretoShare: extractParetoShare(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (periodComparison) {
+    const metric = extractMetric(lowerQuery);
+    
+    return {
+      type: 'period_comparison',
+      metric: ['revenue', 'profit', 'margin', 'quantity', 'orders'].includes(metric) ? metric : 'revenue',
+      ...periodComparison,
+      // Two named periods set their own dates
+      ...(periodComparison.periods ? { timeframe: 'all_time', dateRange: null } : period),
+      filters: extractFilters(lowerQuery, vocabulary)
+    };
+  } else if (
+    intentQuery.includes('revenue') || 
+    intentQuery.includes('sales') || 
+    intentQuery.includes('income')
   ) {
     return {
       type: 'revenue_analysis',
-      timeframe: extractTimeframe(lowerQuery),
-      groupBy: extractGroupBy(lowerQuery)
+      ...period,
+      ...groupingFields('revenue_analysis', groupings),
+      filters: extractFilters(lowerQuery, vocabulary)
     };
   } else if (
-    lowerQuery.includes('customer') ||
-    lowerQuery.includes('client')
+    intentQuery.includes('customer') ||
+    intentQuery.includes('client')
   ) {
     return {
       type: 'customer_analysis',
       limit: extractLimit(lowerQuery),
-      metric: extractMetric(lowerQuery)
+      metric: extractMetric(lowerQuery),
+      ...groupingFields('customer_analysis', groupings),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
     };
   } else if (
-    lowerQuery.includes('product') ||
-    lowerQuery.includes('item') ||
-    lowerQuery.includes('merchandise')
+    intentQuery.includes('product') ||
+    intentQuery.includes('item') ||
+    intentQuery.includes('merchandise')
   ) {
     return {
       type: 'product_analysis',
       metric: extractMetric(lowerQuery),
-      limit: extractLimit(lowerQuery)
+      limit: extractLimit(lowerQuery),
+      ...groupingFields('product_analysis', groupings),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
     };
   } else if (
-    lowerQuery.includes('region') ||
-    lowerQuery.includes('location') ||
-    lowerQuery.includes('country') ||
-    lowerQuery.includes('state')
+    intentQuery.includes('region') ||
+    intentQuery.includes('location') ||
+    intentQuery.includes('country') ||
+    intentQuery.includes('state')
   ) {
     return {
       type: 'regional_analysis',
-      metric: extractMetric(lowerQuery)
+      metric: extractMetric(lowerQuery),
+      ...groupingFields('regional_analysis', groupings),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
     };
   } else if (
-    lowerQuery.includes('comparison') ||
-    lowerQuery.includes('compare') ||
-    lowerQuery.includes('versus') ||
-    lowerQuery.includes('vs')
+    intentQuery.includes('comparison') ||
+    intentQuery.includes('compare') ||
+    intentQuery.includes('versus') ||
+    intentQuery.includes('vs')
   ) {
     return {
       type: 'comparison',
-      entities: extractComparisonEntities(lowerQuery),
-      metric: extractMetric(lowerQuery)
+      ...extractComparisonEntities(lowerQuery, vocabulary),
+      metric: extractMetric(lowerQuery),
+      ...period
     };
   } else {
     // Default to a general query type if we can't determine specific intent
     return {
       type: 'general_analysis',
-      keywords: extractKeywords(lowerQuery)
+      keywords: extractKeywords(lowerQuery),
+      ...period,
+      filters: extractFilters(lowerQuery, vocabulary)
     };
   }
 }
 
 /**
- * Extracts a timeframe from a query string
+ * Resolves the queryInfo for a question, treating it as a follow-up to the
+ * earlier conversation when it doesn't state a new intent of its own
+ * @param {string} query - The user's natural language query
+ * @param {Array} history - The conversation history
+ * @param {object} options - { vocabulary, referenceDate } as for analyzeQuery
+ * @returns {object} The queryInfo and, for follow-ups, the earlier context that was used
  */
-function extractTimeframe(query) {
-  if (query.includes('last year')) return 'last_year';
-  if (query.includes('this year')) return 'this_year';
-  if (query.includes('last month')) return 'last_month';
-  if (query.includes('this month')) return 'this_month';
-  if (query.includes('last quarter')) return 'last_quarter';
-  if (query.includes('this quarter')) return 'this_quarter';
-  if (query.includes('last 6 months') || query.includes('last six months')) return 'last_6_months';
-  if (query.includes('last 3 months') || query.includes('last three months')) return 'last_3_months';
-  return 'all_time'; // Default timeframe
+function resolveQueryInfo(query, history, options) {
+  // Replay the conversation so chained follow-ups keep every earlier constraint;
+  // a history that isn't a list is treated as no history
+  const turns = Array.isArray(history) ? history : [];
+  let previous = null;
+  turns.forEach((turn, index) => {
+    if (!turn) return;
+    
+    // Skip the current question if the client already appended it to the history
+    if (index === turns.length - 1 && turn.role === 'user' && turn.content === query) return;
+    
+    const turnInfo = turn.queryInfo || (turn.metadata && turn.metadata.queryInfo);
+    if (turnInfo && turnInfo.type) {
+      previous = { queryInfo: turnInfo, question: previous ? previous.question : null };
+    } else if (turn.role === 'user' && typeof turn.content === 'string') {
+      previous = {
+        queryInfo: applyFollowUp(turn.content, previous ? previous.queryInfo : null, options).queryInfo,
+        question: turn.content
+      };
+    }
+  });
+  
+  const { queryInfo, changed, unsupported } = applyFollowUp(query, previous ? previous.queryInfo : null, options);
+  
+  if (!changed) {
+    return { queryInfo, context: null };
+  }
+  
+  return {
+    queryInfo,
+    context: {
+      question: previous.question,
+      type: previous.queryInfo.type,
+      changed,
+      unsupported
+    }
+  };
 }
 
 /**
- * Extracts grouping information from a query string
+ * Applies a question to the previous queryInfo. Questions with their own intent
+ * start over; follow-ups keep the previous queryInfo and change only the
+ * constraints they mention.
+ * @param {string} query - The user's natural language query
+ * @param {object|null} previous - The queryInfo of the previous question
+ * @param {object} options - { vocabulary, referenceDate } as for analyzeQuery
+ * @returns {object} The resulting queryInfo, the list of changed fields (null if not a follow-up)
+ *   and the changes asked for that the intent has no field for
  */
-function extractGroupBy(query) {
-  if (query.includes('by product') || query.includes('by each product')) return 'product';
-  if (query.includes('by category') || query.includes('by product category')) return 'category';
-  if (query.includes('by region') || query.includes('by location')) return 'region';
-  if (query.includes('by customer') || query.includes('by client')) return 'customer';
-  if (query.includes('by month') || query.includes('monthly')) return 'month';
-  if (query.includes('by quarter') || query.includes('quarterly')) return 'quarter';
-  if (query.includes('by year') || query.includes('yearly')) return 'year';
-  return null;
+function applyFollowUp(query, previous, options) {
+  const analyzed = analyzeQuery(query, options);
+  const { vocabulary, referenceDate } = options;
+  
+  if (!previous) {
+    return { queryInfo: analyzed, changed: null };
+  }
+  
+  const lowerQuery = query.toLowerCase().trim();
+  const followUpPhrase = /^(what about|how about|and\b|now\b|only\b|just\b|same\b|but\b|instead\b)/.test(lowerQuery);
+  
+  // A question that names a different intent is a new question
+  if (analyzed.type !== 'general_analysis' && !(followUpPhrase && analyzed.type === previous.type)) {
+    return { queryInfo: analyzed, changed: null };
+  }
+  
+  const queryInfo = { ...previous };
+  const changed = [];
+  const unsupported = [];
+  
+  // A period comparison can switch to other periods ("what about Q4 vs Q3?") or
+  // another granularity ("and quarter over quarter?")
+  if (previous.type === 'period_comparison') {
+    const periods = extractComparedPeriods(lowerQuery, referenceDate);
+    const granularity = extractGranularity(lowerQuery);
+    
+    if (periods) {
+      Object.assign(queryInfo, { periods, timeframe: 'all_time', dateRange: null });
+      changed.push('periods');
+    } else if (granularity) {
+      Object.assign(queryInfo, { granularity, periods: null });
+      changed.push('granularity');
+    }
+  }
+  
+  // A cohort analysis can switch what its cohorts are based on ("and by signup month?")
+  if (previous.type === 'cohort_analysis') {
+    const cohortBy = extractCohortBasis(lowerQuery, null);
+    
+    if (cohortBy) {
+      queryInfo.cohortBy = cohortBy;
+      changed.push('cohortBy');
+    }
+  }
+  
+  // A forecast can look further ahead or switch method ("and the next 6 months?", "using a moving average")
+  if (previous.type === 'forecast') {
+    const horizon = extractHorizon(lowerQuery, null);
+    const method = extractForecastMethod(lowerQuery, null);
+    
+    if (horizon) {
+      queryInfo.horizon = horizon;
+      changed.push('horizon');
+    }
+    
+    if (method) {
+      queryInfo.method = method;
+      changed.push('method');
+    }
+  }
+  
+  const period = changed.includes('periods') ? {} : extractDateRange(lowerQuery, referenceDate, null);
+  if (period.timeframe) {
+    Object.assign(queryInfo, period);
+    changed.push('timeframe');
+  }
+  
+  const grouping = groupingFields(queryInfo.type, extractGroupings(lowerQuery));
+  if (grouping.groupBy || grouping.pivotBy) {
+    Object.assign(queryInfo, grouping);
+    changed.push('groupBy');
+  }
+  
+  // Only intents with a metric or limit field use one; others would silently ignore it
+  const metric = extractMetric(lowerQuery, null);
+  if (metric && intentAccepts(queryInfo.type, 'metric', metric)) {
+    queryInfo.metric = metric;
+    changed.push('metric');
+  } else if (metric) {
+    unsupported.push(`metric: ${metric}`);
+  }
+  
+  const limit = extractLimit(lowerQuery, null);
+  if (limit && intentAccepts(queryInfo.type, 'limit', limit)) {
+    queryInfo.limit = limit;
+    changed.push('limit');
+  } else if (limit) {
+    unsupported.push(`limit: ${limit}`);
+  }
+  
+  const filters = extractFilters(lowerQuery, vocabulary);
+  if (Object.keys(filters).length > 0) {
+    if (previous.type === 'comparison') {
+      // Unqualified values replace what is compared; qualified ones ("in the North region") narrow it
+      let narrowing = filters;
+      
+      if (matchEntities(lowerQuery, vocabulary).some(match => !match.qualifier)) {
+        const { filters: otherFilters, ...comparison } = extractComparisonEntities(lowerQuery, vocabulary);
+        Object.assign(queryInfo, comparison);
+        changed.push('entities');
+        narrowing = otherFilters;
+      }
+      
+      if (Object.keys(narrowing).length > 0) {
+        queryInfo.filters = { ...(previous.filters || {}), ...narrowing };
+        changed.push('filters');
+      }
+    } else {
+      // A new value for a dimension replaces the old one ("now just Clothing")
+      queryInfo.filters = { ...(previous.filters || {}), ...filters };
+      changed.push('filters');
+    }
+  }
+  
+  // Nothing recognisable to carry over; treat it as a new question
+  if (changed.length === 0 && unsupported.length === 0 && !followUpPhrase) {
+    return { queryInfo: analyzed, changed: null };
+  }
+  
+  return { queryInfo, changed, unsupported };
 }
 
 /**
- * Extracts limit information from a query string
+ * Checks whether an intent has a field, and for fields with listed values
+ * (metric (revenue|profit|...)) whether it takes the value, from INTENT_CATALOG
  */
-function extractLimit(query) {
-  const matches = query.match(/top (\d+)/i) || query.match(/(\d+) top/i);
-  if (matches && matches[1]) {
-    return parseInt(matches[1]);
-  }
+function intentAccepts(type, field, value) {
+  const intent = INTENT_CATALOG.find(i => i.type === type);
+  const match = intent && intent.fields.match(new RegExp(`\\b${field} \\(([^)]*)\\)`));
   
-  if (query.includes('top 5')) return 5;
-  if (query.includes('top 10')) return 10;
-  if (query.includes('top 20')) return 20;
-  return 10; // Default limit
+  if (!match) return false;
+  
+  return !match[1].includes('|') || match[1].split('|').includes(String(value));
 }
 
 /**
- * Extracts the metric to analyze from a query string
+ * Extracts a timeframe from a query string
  */
-function extractMetric(query) {
-  if (query.includes('revenue') || query.includes('sales')) return 'revenue';
-  if (query.includes('profit') || query.includes('margin')) return 'profit';
-  if (query.includes('quantity') || query.includes('volume')) return 'quantity';
-  if (query.includes('orders') || query.includes('purchases')) return 'orders';
-  if (query.includes('satisfaction') || query.includes('rating')) return 'satisfaction';
-  return 'revenue'; // Default metric
+function extractTimeframe(query, fallback = 'all_time') {
+  if (query.includes('last year')) return 'last_year';
+  if (query.includes('this year')) return 'this_year';
+  if (query.includes('last month')) return 'last_month';
+  if (query.includes('this month')) return 'this_month';
+  if (query.includes('last quarter')) return 'last_quarter';
+  if (query.includes('this quarter')) return 'this_quarter';
+  if (query.includes('last 6 months') || query.includes('last six months')) return 'last_6_months';
+  if (query.includes('last 3 months') || query.includes('last three months')) return 'last_3_months';
+  if (query.includes('all time')) return 'all_time';
+  return fallback; // Default timeframe
 }
 
 /**
- * Extracts entities being compared in a comparison query
+ * Extracts the period a query asks about: an explicit range ("Q2 2023",
+ * "since 2023-05-01") or one of the relative timeframes
+ * @param {string} query - The query string
+ * @param {string} referenceDate - The date relative periods are resolved against
+ * @param {string|null} fallback - The timeframe to use when no period is mentioned
+ * @returns {object} { timeframe, dateRange }; timeframe is 'custom' for explicit ranges
  */
-function extractComparisonEntities(query) {
-  // This is a simplistic approach. A more sophisticated implementation would
-  // use NLP to properly extract entities being compared.
-  const entities = [];
+function extractDateRange(query, referenceDate, fallback = 'all_time') {
+  const explicitRange = parseDateRange(query, referenceDate);
   
-  // Check for product categories
-  if (query.includes('electronics')) entities.push('Electronics');
-  if (query.includes('clothing')) entities.push('Clothing');
-  if (query.includes('furniture')) entities.push('Furniture');
-  if (query.includes('books')) entities.push('Books');
-  if (query.includes('food')) entities.push('Food & Beverage');
+  if (explicitRange) {
+    return { timeframe: 'custom', dateRange: explicitRange };
+  }
   
-  // Check for regions
-  if (query.includes('north')) entities.push('North');
-  if (query.includes('south')) entities.push('South');
-  if (query.includes('east')) entities.push('East');
-  if (query.includes('west')) entities.push('West');
-  if (query.includes('central')) entities.push('Central');
+  const timeframe = extractTimeframe(query, fallback);
   
-  // Return default categories if none found
-  return entities.length > 0 ? entities : ['Electronics', 'Clothing', 'Furniture'];
+  return {
+    timeframe,
+    dateRange: timeframe ? resolveTimeframe(timeframe, referenceDate) : null
+  };
 }
 
+// Words that can follow "by" without naming a grouping ("by revenue")
+const NON_GROUPING_WORDS = ['revenue', 'sales', 'income', 'profit', 'margin', 'quantity', 'volume', 'orders', 'the', 'a'];
+
+// Other ways of naming the built-in groupings
+const GROUPING_SYNONYMS = {
+  'product category': 'category',
+  products: 'product',
+  categories: 'category',
+  location: 'region',
+  regions: 'region',
+  customers: 'customer',
+  client: 'customer',
+  clients: 'customer',
+  segments: 'segment',
+  months: 'month',
+  quarters: 'quarter',
+  years: 'year'
+};
+
 /**
- * Extracts keywords from a general query
+ * Extracts up to two groupings from a query string ("by region and category",
+ * "monthly revenue by segment"). A time grouping is put first so it becomes
+ * the rows of a pivot and the x-axis of its chart.
+ * @returns {Array} Grouping names; anything other than the built-in ones is resolved against the schema later
  */
-function extractKeywords(query) {
-  // A real implementation would use more sophisticated NLP techniques
-  return query.split(' ')
-    .filter(word => word.length > 3)
-    .filter(word => !['what', 'which', 'when', 'where', 'show', 'tell', 'give', 'find', 'about'].includes(word));
-}
-
-/**
- * Generates an SQL query based on the analyzed query intent
- * @param {object} queryInfo - Information about the query intent
- * @param {object} db - The database connection
- * @returns {string} The generated SQL query
- */
-function generateSqlQuery(queryInfo, db) {
-  const { type } = queryInfo;
+function extractGroupings(query) {
+  const groupings = [];
+  const add = grouping => {
+    const normalized = GROUPING_SYNONYMS[grouping] || grouping;
+    if (normalized && !NON_GROUPING_WORDS.includes(normalized) && !groupings.includes(normalized)) {
+      groupings.push(normalized);
+    }
+  };
   
-  switch (type) {
-    case 'revenue_analysis':
-      return generateRevenueQuery(queryInfo);
-    case 'customer_analysis':
-      return generateCustomerQuery(queryInfo);
-    case 'product_analysis':
-      return generateProductQuery(queryInfo);
-    case 'regional_analysis':
-      return generateRegionalQuery(queryInfo);
-    case 'comparison':
-      return generateComparisonQuery(queryInfo);
-    case 'general_analysis':
-    default:
-      return generateGeneralQuery(queryInfo);
+  if (/\bmonthly\b/.test(query)) add('month');
+  if (/\bquarterly\b/.test(query)) add('quarter');
+  if (/\byearly\b|\bannual\b/.test(query)) add('year');
+  
+  const match = query.match(/\bby\s+(?:each\s+)?(product category|[a-z_]+)(?:\s*(?:,|and|then|by)\s+(?:by\s+)?(?:each\s+)?(product category|[a-z_]+))?/);
+  if (match) {
+    add(match[1]);
+    add(match[2]);
   }
+  
+  const timeGroupings = ['month', 'quarter', 'year'];
+  if (groupings.length > 1 && !timeGroupings.includes(groupings[0]) && timeGroupings.includes(groupings[1])) {
+    groupings.reverse();
+  }
+  
+  return groupings.slice(0, 2);
 }
 
 /**
- * Generates an SQL query for revenue analysis
+ * Maps the groupings a query mentions to the grouping fields of an intent.
+ * Revenue analysis groups by the first and pivots by the second; intents with
+ * fixed rows (customers, products, regions) pivot by a grouping that splits them.
+ * @param {string} type - The intent type
+ * @param {Array} groupings - Groupings from extractGroupings
+ * @returns {object} { groupBy, pivotBy } for revenue analysis, { pivotBy } for intents with fixed rows, or {}
  */
-function generateRevenueQuery(queryInfo) {
-  const { timeframe, groupBy } = queryInfo;
-  
-  let timeCondition = '';
-  switch (timeframe) {
-    case 'last_year':
-      timeCondition = "WHERE strftime('%Y', o.order_date) = strftime('%Y', 'now', '-1 year')";
-      break;
-    case 'this_year':
-      timeCondition = "WHERE strftime('%Y', o.order_date) = strftime('%Y', 'now')";
-      break;
-    case 'last_month':
-      timeCondition = "WHERE strftime('%Y-%m', o.order_date) = strftime('%Y-%m', 'now', '-1 month')";
-      break;
-    case 'this_month':
-      timeCondition = "WHERE strftime('%Y-%m', o.order_date) = strftime('%Y-%m', 'now')";
-      break;
-    case 'last_quarter':
-      timeCondition = "WHERE o.order_date BETWEEN date('now', '-6 month') AND date('now', '-3 month')";
-      break;
-    case 'this_quarter':
-      timeCondition = "WHERE o.order_date BETWEEN date('now', '-3 month') AND date('now')";
-      break;
-    case 'last_6_months':
-      timeCondition = "WHERE o.order_date BETWEEN date('now', '-6 month') AND date('now')";
-      break;
-    case 'last_3_months':
-      timeCondition = "WHERE o.order_date BETWEEN date('now', '-3 month') AND date('now')";
-      break;
-    default:
-      timeCondition = ''; // No time condition for all_time
+function groupingFields(type, groupings) {
+  if (type === 'revenue_analysis') {
+    return { groupBy: groupings[0] || null, pivotBy: groupings[1] || null };
   }
   
-  let groupByClause = '';
-  let selectClause = '';
+  if (INTENT_ROW_GROUPINGS[type]) {
+    return { pivotBy: groupings.find(g => !INTENT_ROW_GROUPINGS[type].includes(g)) || null };
+  }
   
-  switch (groupBy) {
-    case 'product':
-      groupByClause = 'GROUP BY p.product_name';
-      selectClause = 'p.product_name as name';
-      break;
-    case 'category':
-      groupByClause = 'GROUP BY p.category';
-      selectClause = 'p.category as name';
-      break;
-    case 'region':
-      groupByClause = 'GROUP BY c.region';
-      selectClause = 'c.region as name';
-      break;
-    case 'customer':
-      groupByClause = 'GROUP BY c.customer_name';
-      selectClause = 'c.customer_name as name';
-      break;
-    case 'month':
-      groupByClause = "GROUP BY strftime('%Y-%m', o.order_date)";
-      selectClause = "strftime('%Y-%m', o.order_date) as name";
-      break;
-    case 'quarter':
-      groupByClause = "GROUP BY strftime('%Y-Q', o.order_date)";
-      selectClause = "strftime('%Y') || '-Q' || CAST((strftime('%m', o.order_date) - 1) / 3 + 1 AS TEXT) as name";
-      break;
-    case 'year':
-      groupByClause = "GROUP BY strftime('%Y', o.order_date)";
-      selectClause = "strftime('%Y', o.order_date) as name";
-      break;
-    default:
-      // If no groupBy is specified, group by month for a time series
-      groupByClause = "GROUP BY strftime('%Y-%m', o.order_date)";
-      selectClause = "strftime('%Y-%m', o.order_date) as name";
+  // Named periods are broken down by a dimension; time groupings set the granularity instead
+  if (type === 'period_comparison') {
+    return { groupBy: groupings.find(g => !['month', 'quarter', 'year'].includes(g)) || null };
   }
   
-  const query = `
-    SELECT 
-      ${selectClause},
-      SUM(oi.quantity * oi.unit_price) as revenue,
-      SUM(oi.quantity) as units_sold
-    FROM 
-      orders o
-    JOIN 
-      order_items oi ON o.order_id = oi.order_id
-    JOIN 
-      products p ON oi.product_id = p.product_id
-    JOIN 
-      customers c ON o.customer_id = c.customer_id
-    ${timeCondition}
-    ${groupByClause}
-    ORDER BY 
-      revenue DESC
-  `;
+  if (['status_analysis', 'pricing_analysis', 'margin_waterfall'].includes(type)) {
+    return { groupBy: groupings[0] || null };
+  }
   
-  return formatQuery(query);
+  return {};
 }
 
 /**
- * Generates an SQL query for customer analysis
+ * Recognises a period-over-period question: consecutive periods ("month over
+ * month", "YoY", "how did revenue grow quarterly") or two named periods
+ * ("compare Q3 to Q2", "March vs February")
+ * @param {string} query - The lowercased query
+ * @param {string} referenceDate - The date periods without a year are resolved against
+ * @param {Array} groupings - Groupings from extractGroupings
+ * @returns {object|null} { granularity, periods, groupBy }, or null for other questions
  */
-function generateCustomerQuery(queryInfo) {
-  const { limit, metric } = queryInfo;
-  
-  let orderBy = '';
-  let additionalSelect = '';
+function extractPeriodComparison(query, referenceDate, groupings) {
+  const periods = extractComparedPeriods(query, referenceDate);
+  const { groupBy } = groupingFields('period_comparison', groupings);
   
-  switch (metric) {
-    case 'revenue':
-      orderBy = 'total_revenue DESC';
-      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-      break;
-    case 'orders':
-      orderBy = 'order_count DESC';
-      additionalSelect = 'COUNT(DISTINCT o.order_id) as order_count';
-      break;
-    case 'quantity':
-      orderBy = 'total_items DESC';
-      additionalSelect = 'SUM(oi.quantity) as total_items';
-      break;
-    default:
-      orderBy = 'total_revenue DESC';
-      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+  if (periods) {
+    return { granularity: null, periods, groupBy: groupBy || 'category' };
   }
   
-  const query = `
-    SELECT 
-      c.customer_id,
-      c.customer_name,
-      c.segment,
-      c.region,
-      ${additionalSelect},
-      COUNT(DISTINCT o.order_id) as order_count,
-      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value,
-      MAX(o.order_date) as last_purchase_date
-    FROM 
-      customers c
-    JOIN 
-      orders o ON c.customer_id = o.customer_id
-    JOIN 
-      order_items oi ON o.order_id = oi.order_id
-    GROUP BY 
-      c.customer_id, c.customer_name, c.segment, c.region
-    ORDER BY 
-      ${orderBy}
-    LIMIT ${limit}
-  `;
+  const granularity = extractGranularity(query);
+  const overPeriods = /\b(month|quarter|year|period)[- ]over[- ]\1\b|\b(mom|qoq|yoy)\b/.test(query);
+  
+  // "Revenue growth by category" is about categories, not periods
+  if (overPeriods || (/\b(grow|grew|grown|growth)\b/.test(query) && !groupBy)) {
+    return { granularity: granularity || 'month', periods: null, groupBy: null };
+  }
   
-  return formatQuery(query);
+  return null;
 }
 
 /**
- * Generates an SQL query for product analysis
+ * Extracts the granularity of a period-over-period question
+ * @returns {string|null} month, quarter or year; null when the query names none
  */
-function generateProductQuery(queryInfo) {
-  const { metric, limit } = queryInfo;
-  
-  let orderBy = '';
-  let additionalSelect = '';
+function extractGranularity(query) {
+  if (/\bmonth[- ]over[- ]month\b|\bmom\b/.test(query)) return 'month';
+  if (/\bquarter[- ]over[- ]quarter\b|\bqoq\b/.test(query)) return 'quarter';
+  if (/\byear[- ]over[- ]year\b|\byoy\b/.test(query)) return 'year';
   
-  switch (metric) {
-    case 'revenue':
-      orderBy = 'total_revenue DESC';
-      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-      break;
-    case 'profit':
-      orderBy = 'total_profit DESC';
-      additionalSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
-      break;
-    case 'quantity':
-      orderBy = 'units_sold DESC';
-      additionalSelect = 'SUM(oi.quantity) as units_sold';
-      break;
-    default:
-      orderBy = 'total_revenue DESC';
-      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+  return extractGroupings(query).find(g => ['month', 'quarter', 'year'].includes(g)) || null;
+}
+
+/**
+ * Extracts two named periods a query compares ("Q3 vs Q2", "compare 2023 with 2022").
+ * Ranges ("between March and June") are a single period, not two.
+ * @returns {object|null} { current, previous }, the later period being current
+ */
+function extractComparedPeriods(query, referenceDate) {
+  if (!/\b(compare|compared|comparing|vs\.?|versus|against)\b/.test(query) || /\b(between|from|since|through)\b/.test(query)) {
+    return null;
   }
   
-  const query = `
-    SELECT 
-      p.product_id,
-      p.product_name,
-      p.category,
-      ${additionalSelect},
-      SUM(oi.quantity) as units_sold,
-      COUNT(DISTINCT o.order_id) as order_count,
-      ROUND(AVG(oi.unit_price), 2) as avg_selling_price
-    FROM 
-      products p
-    JOIN 
-      order_items oi ON p.product_id = oi.product_id
-    JOIN 
-      orders o ON oi.order_id = o.order_id
-    GROUP BY 
-      p.product_id, p.product_name, p.category
-    ORDER BY 
-      ${orderBy}
-    LIMIT ${limit}
-  `;
+  const periods = extractPeriods(query, referenceDate);
+  if (periods.length !== 2) return null;
   
-  return formatQuery(query);
+  const [previous, current] = [...periods].sort((a, b) => a.start.localeCompare(b.start));
+  const toPeriod = ({ start, end, label }) => ({ start, end, label });
+  
+  return { current: toPeriod(current), previous: toPeriod(previous) };
 }
 
 /**
- * Generates an SQL query for regional analysis
+ * Extracts how many months ahead a forecast should look ("next 6 months", "next quarter")
+ * @returns {number|null} The number of months, at most 24
  */
-function generateRegionalQuery(queryInfo) {
-  const { metric } = queryInfo;
-  
-  let metricSelect = '';
+function extractHorizon(query, fallback = 3) {
+  const numbers = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, nine: 9, twelve: 12 };
+  const match = query.match(/\bnext\s+(?:(\d+|one|two|three|four|five|six|nine|twelve)\s+)?(months?|quarters?|years?)\b/);
   
-  switch (metric) {
-    case 'revenue':
-      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-      break;
-    case 'profit':
-      metricSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
-      break;
-    case 'orders':
-      metricSelect = 'COUNT(DISTINCT o.order_id) as order_count';
-      break;
-    default:
-      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-  }
+  if (!match) return fallback;
   
-  const query = `
-    SELECT 
-      c.region,
-      ${metricSelect},
-      COUNT(DISTINCT c.customer_id) as customer_count,
-      COUNT(DISTINCT o.order_id) as order_count,
-      SUM(oi.quantity) as total_units,
-      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value
-    FROM 
-      customers c
-    JOIN 
-      orders o ON c.customer_id = o.customer_id
-    JOIN 
-      order_items oi ON o.order_id = oi.order_id
-    JOIN 
-      products p ON oi.product_id = p.product_id
-    GROUP BY 
-      c.region
-    ORDER BY 
-      ${metric === 'profit' ? 'total_profit' : 
-        metric === 'orders' ? 'order_count' : 'total_revenue'} DESC
-  `;
+  const count = match[1] ? numbers[match[1]] || parseInt(match[1]) : 1;
+  const months = count * (match[2].startsWith('quarter') ? 3 : match[2].startsWith('year') ? 12 : 1);
   
-  return formatQuery(query);
+  return Math.min(Math.max(months, 1), 24);
 }
 
 /**
- * Generates an SQL query for comparison analysis
+ * Extracts the level and target of a market basket question. A product named in
+ * the question ("what do people buy with Laptop Pro") is the target rather than a
+ * filter; so is a category when the question is about categories.
+ * @returns {object} { level, target, filters }
  */
-function generateComparisonQuery(queryInfo) {
-  const { entities, metric } = queryInfo;
-  
-  let entityType = '';
-  let entityColumn = '';
+function extractBasketScope(query, vocabulary) {
+  const matches = matchEntities(query, vocabulary);
+  const product = matches.find(m => m.dimension === 'product');
   
-  // Determine the type of entities being compared
-  if (entities.some(e => ['Electronics', 'Clothing', 'Furniture', 'Books', 'Food & Beverage'].includes(e))) {
-    entityType = 'category';
-    entityColumn = 'p.category';
-  } else if (entities.some(e => ['North', 'South', 'East', 'West', 'Central'].includes(e))) {
-    entityType = 'region';
-    entityColumn = 'c.region';
-  } else {
-    // Default to product category if we can't determine
-    entityType = 'category';
-    entityColumn = 'p.category';
+  if (product) {
+    return {
+      level: 'product',
+      target: product.value,
+      filters: groupFilters(matches.filter(m => m.dimension !== 'product'))
+    };
   }
   
-  // Prepare the IN clause for the entities
-  const entitiesString = entities.map(e => `'${e}'`).join(', ');
-  
-  let metricSelect = '';
-  let orderBy = '';
-  
-  switch (metric) {
-    case 'revenue':
-      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-      orderBy = 'total_revenue DESC';
-      break;
-    case 'profit':
-      metricSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
-      orderBy = 'total_profit DESC';
-      break;
-    case 'quantity':
-      metricSelect = 'SUM(oi.quantity) as total_units';
-      orderBy = 'total_units DESC';
-      break;
-    case 'orders':
-      metricSelect = 'COUNT(DISTINCT o.order_id) as order_count';
-      orderBy = 'order_count DESC';
-      break;
-    default:
-      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
-      orderBy = 'total_revenue DESC';
+  if (/categor/.test(query)) {
+    const category = matches.find(m => m.dimension === 'category');
+    return {
+      level: 'category',
+      target: category ? category.value : null,
+      filters: groupFilters(matches.filter(m => m !== category))
+    };
   }
   
-  // Monthly trend if we're comparing entities
-  const query = `
-    SELECT 
-      ${entityColumn} as name,
-      strftime('%Y-%m', o.order_date) as month,
-      ${metricSelect}
-    FROM 
-      orders o
-    JOIN 
-      order_items oi ON o.order_id = oi.order_id
-    JOIN 
-      products p ON oi.product_id = p.product_id
-    JOIN 
-      customers c ON o.customer_id = c.customer_id
-    WHERE 
-      ${entityColumn} IN (${entitiesString})
-    GROUP BY 
-      ${entityColumn}, strftime('%Y-%m', o.order_date)
-    ORDER BY 
-      name, month
-  `;
-  
-  return formatQuery(query);
+  return { level: 'product', target: null, filters: groupFilters(matches) };
 }
 
 /**
- * Generates a general SQL query based on extracted keywords
+ * Extracts minimum support, confidence and lift from a query ("support of at
+ * least 2%", "minimum lift 1.5"); percentages become fractions
+ * @returns {object} { minSupport, minConfidence, minLift }, null where not given
  */
-function generateGeneralQuery(queryInfo) {
-  const { keywords } = queryInfo;
+function extractBasketThresholds(query) {
+  const thresholds = { minSupport: null, minConfidence: null, minLift: null };
+  const number = '(\\d+(?:\\.\\d+)?)\\s*(%)?';
+  const patterns = [
+    new RegExp(`\\b(support|confidence|lift)\\s+(?:of\\s+)?(?:at least|above|over|>=?)?\\s*${number}`, 'g'),
+    new RegExp(`\\b(?:at least|above|over|minimum(?: of)?|min)\\s+${number}\\s+(support|confidence|lift)\\b`, 'g')
+  ];
   
-  // Default to a general overview query if we can't determine specifics
-  const query = `
-    SELECT 
-      strftime('%Y-%m', o.order_date) as month,
-      SUM(oi.quantity * oi.unit_price) as total_revenue,
-      COUNT(DISTINCT o.order_id) as order_count,
-      COUNT(DISTINCT o.customer_id) as customer_count,
-      SUM(oi.quantity) as units_sold,
-      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value
-    FROM 
-      orders o
-    JOIN 
-      order_items oi ON o.order_id = oi.order_id
-    GROUP BY 
-      month
-    ORDER BY 
-      month
-  `;
+  patterns.forEach((pattern, index) => {
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+      const [measure, value, percent] = index === 0 ? [match[1], match[2], match[3]] : [match[3], match[1], match[2]];
+      const key = `min${measure[0].toUpperCase()}${measure.slice(1)}`;
+      thresholds[key] = parseFloat(value) / (percent ? 100 : 1);
+    }
+  });
   
-  return formatQuery(query);
+  return thresholds;
 }
 
 /**
- * Creates a comprehensive response with natural language answer and visualizations
- * @param {string} query - The original query
- * @param {object} queryInfo - Information about the query intent
- * @param {Array} queryResult - The result of the SQL query
- * @param {string} sqlQuery - The executed SQL query
- * @returns {object} The response with answer and visualizations
+ * Extracts the cumulative share class A should cover ("make up 70% of revenue")
+ * @returns {number|null} The share in percent, or null for the configured default
  */
-function createResponse(query, queryInfo, queryResult, sqlQuery) {
-  const { type } = queryInfo;
-  
-  // Generate the appropriate response based on the query type and results
-  switch (type) {
-    case 'revenue_analysis':
-      return createRevenueResponse(query, queryInfo, queryResult, sqlQuery);
-    case 'customer_analysis':
-      return createCustomerResponse(query, queryInfo, queryResult, sqlQuery);
+function extractParetoShare(query) {
+  const match = query.match(/(\d+(?:\.\d+)?)\s*%/);
+  const share = match ? parseFloat(match[1]) : null;
+  return share > 0 && share < 100 ? share : null;
+}
+
+/**
+ * Extracts what customers are put into cohorts by: the month they signed up or
+ * the month of their first order
+ */
+function extractCohortBasis(query, fallback = 'first_order') {
+  if (/sign[- ]?(?:up|ed up)|registration|registered|joined|created/.test(query)) return 'signup';
+  if (/first (?:order|purchase)/.test(query)) return 'first_order';
+  return fallback;
+}
+
+/**
+ * Extracts the metrics and granularities an anomaly scan covers; all of them
+ * unless the query names some ("unusual days in revenue")
+ * @returns {object} { metrics, granularities }
+ */
+function extractAnomalyScope(query) {
+  const metrics = [];
+  if (/revenue|sales|income/.test(query)) metrics.push('revenue');
+  if (/\borders?\b|purchases/.test(query) && !/average order value/.test(query)) metrics.push('orders');
+  if (/average order value|\baov\b|basket size/.test(query)) metrics.push('aov');
+  if (/\bprofits?\b(?! margin)/.test(query)) metrics.push('profit');
+  if (/\bmargins?\b/.test(query)) metrics.push('margin');
+  
+  const granularities = [];
+  if (/\bdays?\b|\bdaily\b|\bdates?\b/.test(query)) granularities.push('day');
+  if (/\bmonths?\b|\bmonthly\b/.test(query)) granularities.push('month');
+  
+  return {
+    metrics: metrics.length > 0 ? metrics : ['revenue', 'orders', 'aov'],
+    granularities: granularities.length > 0 ? granularities : ['day', 'month']
+  };
+}
+
+/**
+ * Extracts the forecasting method a query asks for
+ */
+function extractForecastMethod(query, fallback = 'auto') {
+  if (/holt|winters|exponential smoothing/.test(query)) return 'holt_winters';
+  if (/moving average|rolling average/.test(query)) return 'moving_average';
+  if (/\blinear\b|trend line|regression/.test(query)) return 'linear';
+  return fallback;
+}
+
+/**
+ * Extracts limit information from a query string
+ */
+function extractLimit(query, fallback = 10) {
+  const matches = query.match(/top (\d+)/i) || query.match(/(\d+) top/i);
+  if (matches && matches[1]) {
+    return parseInt(matches[1]);
+  }
+  
+  if (query.includes('top 5')) return 5;
+  if (query.includes('top 10')) return 10;
+  if (query.includes('top 20')) return 20;
+  return fallback; // Default limit
+}
+
+/**
+ * Extracts the metric to analyze from a query string
+ */
+function extractMetric(query, fallback = 'revenue') {
+  if (query.includes('revenue') || query.includes('sales')) return 'revenue';
+  if (query.includes('margin')) return 'margin';
+  if (query.includes('profit')) return 'profit';
+  if (query.includes('quantity') || query.includes('volume') || /\bunits\b/.test(query)) return 'quantity';
+  if (query.includes('orders') || query.includes('purchases')) return 'orders';
+  if (query.includes('satisfaction') || query.includes('rating')) return 'satisfaction';
+  return fallback; // Default metric
+}
+
+/**
+ * Extracts entities being compared in a comparison query
+ * @returns {object} The dimension being compared, the entity values and filters for any other dimensions mentioned
+ */
+function extractComparisonEntities(query, vocabulary) {
+  // Qualified values ("in the North region") narrow the comparison rather than join it
+  const matches = matchEntities(query, vocabulary);
+  const compared = matches.filter(m => !m.qualifier);
+  
+  if (compared.length === 0) {
+    // Return default categories if none found
+    return {
+      dimension: 'category',
+      entities: ['Electronics', 'Clothing', 'Furniture'],
+      filters: groupFilters(matches)
+    };
+  }
+  
+  // Compare values of the first dimension mentioned ("Laptop Pro vs Smart Watch")
+  const dimension = compared[0].dimension;
+  
+  return {
+    dimension,
+    entities: compared.filter(m => m.dimension === dimension).map(m => m.value),
+    filters: groupFilters(matches.filter(m => m.dimension !== dimension))
+  };
+}
+
+/**
+ * Extracts filters for the dimension values mentioned in a query string
+ * @param {string} query - The query string
+ * @param {Array} vocabulary - Dimension values to recognise (from getVocabulary)
+ * @returns {object} Map of dimension to the values mentioned, e.g. { category: ['Electronics'] }
+ */
+function extractFilters(query, vocabulary) {
+  return groupFilters(matchEntities(query, vocabulary));
+}
+
+/**
+ * Groups entity matches into a map of dimension to values
+ */
+function groupFilters(matches) {
+  const filters = {};
+  
+  matches.forEach(({ dimension, value }) => {
+    filters[dimension] = [...(filters[dimension] || []), value];
+  });
+  
+  return filters;
+}
+
+/**
+ * Builds WHERE conditions for the filters of a query, resolving each
+ * dimension to its column in the schema
+ * @param {object} graph - The schema graph
+ * @param {object} filters - Map of dimension to values
+ * @returns {object} SQL conditions to AND together, their bound parameters and the tables they need joined
+ */
+function buildFilterConditions(graph, filters) {
+  const conditions = [];
+  const params = [];
+  const tables = [];
+  
+  Object.entries(filters || {}).forEach(([dimension, values]) => {
+    const resolved = resolveDimension(graph, dimension);
+    if (!resolved || values.length === 0) return;
+    
+    conditions.push(`${resolved.expression} IN (${placeholders(values)})`);
+    params.push(...values.map(String));
+    tables.push(resolved.table);
+  });
+  
+  return { conditions, params, tables };
+}
+
+/**
+ * Builds WHERE conditions limiting o.order_date to a date range
+ * @param {object|null} dateRange - { start, end }; either end may be null
+ * @returns {object} SQL conditions to AND together and their bound parameters
+ */
+function buildDateConditions(dateRange) {
+  const conditions = [];
+  const params = [];
+  
+  if (dateRange && dateRange.start) {
+    conditions.push('o.order_date >= ?');
+    params.push(dateRange.start);
+  }
+  
+  if (dateRange && dateRange.end) {
+    conditions.push('o.order_date <= ?');
+    params.push(dateRange.end);
+  }
+  
+  return { conditions, params };
+}
+
+/**
+ * Builds the WHERE condition that only counts orders in a revenue status
+ * (config.orderStatuses.revenue). A question that filters or groups by status
+ * chooses its own statuses, so it gets no condition.
+ * @param {object} queryInfo - Information about the query intent
+ * @returns {object} SQL conditions to AND together and their bound parameters
+ */
+function buildStatusConditions(queryInfo) {
+  const statuses = config.orderStatuses.revenue;
+  const byStatus = (queryInfo.filters || {}).status ||
+    [queryInfo.groupBy, queryInfo.pivotBy].includes('status') ||
+    (queryInfo.dimensions || []).includes('orders.status');
+  
+  if (byStatus || statuses.length === 0) {
+    return { conditions: [], params: [] };
+  }
+  
+  return {
+    conditions: [`o.status IN (${placeholders(statuses)})`],
+    params: [...statuses]
+  };
+}
+
+/**
+ * Builds the WHERE clause the intent queries share: the date range, the revenue
+ * statuses and then the filters
+ * @param {object} graph - The schema graph
+ * @param {object} queryInfo - Information about the query intent
+ * @param {object} extra - Intent-specific { conditions, params } to AND in after them
+ * @param {object} options - { allStatuses }: count orders in every status, e.g. to analyse the statuses themselves
+ * @returns {object} The WHERE clause (empty without conditions), its bound parameters and the tables it needs joined
+ */
+function buildWhereClause(graph, queryInfo, extra = { conditions: [], params: [] }, { allStatuses = false } = {}) {
+  const datePlan = buildDateConditions(queryInfo.dateRange);
+  const statusPlan = allStatuses ? { conditions: [], params: [] } : buildStatusConditions(queryInfo);
+  const filterPlan = buildFilterConditions(graph, queryInfo.filters);
+  const conditions = [...datePlan.conditions, ...statusPlan.conditions, ...filterPlan.conditions, ...extra.conditions];
+  
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: [...datePlan.params, ...statusPlan.params, ...filterPlan.params, ...extra.params],
+    tables: filterPlan.tables
+  };
+}
+
+/**
+ * Returns a comma-separated list of ? placeholders for the given values
+ */
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Settles a queryInfo's row limit before anything reads it, so the title, the
+ * text and the SQL agree: a limit below 1 ("top 0") becomes 1, and one that
+ * isn't a number falls back to the intent's default
+ * @param {object} queryInfo - The query information
+ * @returns {object} The queryInfo with its limit clamped (unchanged if it has none)
+ */
+function clampLimit(queryInfo) {
+  if (queryInfo.limit === undefined || queryInfo.limit === null) {
+    return queryInfo;
+  }
+  
+  const parsed = parseInt(queryInfo.limit);
+  const intent = INTENT_CATALOG.find(i => i.type === queryInfo.type);
+  const fallback = (intent && intent.defaults.limit) || 10;
+  
+  return { ...queryInfo, limit: Number.isInteger(parsed) ? Math.max(parsed, 1) : fallback };
+}
+
+/**
+ * Coerces a row limit to a positive integer so it can be bound as a parameter
+ */
+function toLimit(limit, fallback = 10) {
+  const parsed = parseInt(limit);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Returns the revenue, gross profit and margin columns a query adds next to its
+ * metric, leaving out the one that is the metric. They need products joined.
+ * @param {string} metricSelect - The metric's SELECT expression
+ * @returns {Array} SELECT expressions
+ */
+function profitColumns(metricSelect) {
+  return [
+    'SUM(oi.quantity * oi.unit_price) as total_revenue',
+    'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit',
+    `${MARGIN_SQL} as margin_pct`
+  ].filter(column => column !== metricSelect);
+}
+
+/**
+ * Formats a metric value for an answer: currency for revenue and profit, a
+ * percentage for margin and a plain number for counts
+ */
+function formatMetricValue(metric, value) {
+  if (value === null || value === undefined) return 'N/A';
+  
+  if (metric === 'margin') return `${value.toFixed(1)}%`;
+  
+  if (metric === 'revenue' || metric === 'profit') {
+    return formatCurrency(value);
+  }
+  
+  return value.toLocaleString();
+}
+
+/**
+ * Formats an amount in US dollars
+ */
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(value);
+}
+
+/**
+ * Formats a fraction as a percentage (0.125 -> 12.5%)
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Adds up a field across rows, counting missing values as zero
+ */
+function sumField(rows, field) {
+  return rows.reduce((total, r) => total + (r[field] || 0), 0);
+}
+
+/**
+ * Extracts keywords from a general query
+ */
+function extractKeywords(query) {
+  // A real implementation would use more sophisticated NLP techniques
+  return query.split(' ')
+    .filter(word => word.length > 3)
+    .filter(word => !['what', 'which', 'when', 'where', 'show', 'tell', 'give', 'find', 'about'].includes(word));
+}
+
+/**
+ * Generates an SQL query based on the analyzed query intent
+ * @param {object} queryInfo - Information about the query intent
+ * @param {object} db - The database connection
+ * @returns {object} The generated SQL query and its bound parameters ({ sql, params })
+ */
+export function generateSqlQuery(queryInfo, db) {
+  const { type } = queryInfo;
+  
+  // Joins and dimension columns are worked out from the database schema
+  const graph = getSchemaGraph(db);
+  
+  switch (type) {
+    case 'revenue_analysis':
+      return generateRevenueQuery(queryInfo, graph);
+    case 'customer_analysis':
+      return generateCustomerQuery(queryInfo, graph);
     case 'product_analysis':
-      return createProductResponse(query, queryInfo, queryResult, sqlQuery);
+      return generateProductQuery(queryInfo, graph);
     case 'regional_analysis':
-      return createRegionalResponse(query, queryInfo, queryResult, sqlQuery);
+      return generateRegionalQuery(queryInfo, graph);
     case 'comparison':
-      return createComparisonResponse(query, queryInfo, queryResult, sqlQuery);
+      return generateComparisonQuery(queryInfo, graph);
+    case 'period_comparison':
+      return generatePeriodComparisonQuery(queryInfo, graph);
+    case 'forecast':
+      // Forecasts run on the same monthly series as the business overview
+      return generateGeneralQuery(queryInfo, graph);
+    case 'anomaly_detection':
+      return generateAnomalyQuery(queryInfo, graph);
+    case 'cohort_analysis':
+      return generateCohortQuery(queryInfo, graph);
+    case 'rfm_analysis':
+      return generateRfmQuery(queryInfo, graph);
+    case 'clv_analysis':
+      return generateClvQuery(queryInfo, graph);
+    case 'pricing_analysis':
+      return generatePricingQuery(queryInfo, graph);
+    case 'margin_waterfall':
+      return generateMarginWaterfallQuery(queryInfo, graph);
+    case 'status_analysis':
+      return generateStatusQuery(queryInfo, graph);
+    case 'market_basket':
+      return generateMarketBasketQuery(queryInfo, graph);
+    case 'schema_analysis':
+      return generateSchemaQuery(queryInfo, graph);
     case 'general_analysis':
     default:
-      return createGeneralResponse(query, queryInfo, queryResult, sqlQuery);
+      return generateGeneralQuery(queryInfo, graph);
   }
 }
 
 /**
- * Creates a response for revenue analysis queries
+ * Generates an SQL query for revenue analysis
  */
-function createRevenueResponse(query, queryInfo, results, sqlQuery) {
-  const { timeframe, groupBy } = queryInfo;
+function generateRevenueQuery(queryInfo, graph) {
+  const { groupBy, pivotBy } = queryInfo;
   
-  // Extract needed metrics
-  const totalRevenue = results.reduce((sum, row) => sum + row.revenue, 0);
-  const formattedRevenue = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(totalRevenue);
+  const wherePlan = buildWhereClause(graph, queryInfo);
   
-  // Determine timeframe description
-  let timeDescription = '';
-  switch (timeframe) {
-    case 'last_year':
-      timeDescription = 'last year';
-      break;
-    case 'this_year':
-      timeDescription = 'this year';
-      break;
-    case 'last_month':
-      timeDescription = 'last month';
-      break;
-    case 'this_month':
-      timeDescription = 'this month';
-      break;
-    case 'last_quarter':
-      timeDescription = 'last quarter';
-      break;
-    case 'this_quarter':
-      timeDescription = 'this quarter';
-      break;
-    case 'last_6_months':
-      timeDescription = 'the last 6 months';
-      break;
-    case 'last_3_months':
-      timeDescription = 'the last 3 months';
-      break;
-    default:
-      timeDescription = 'all time';
+  // Any grouping other than time (product, category, region, ...) is looked up
+  // in the schema; without one, group by month for a time series
+  const dimension = resolveGrouping(graph, groupBy || 'month');
+  
+  if (!dimension) {
+    throw unknownGroupingError(groupBy);
   }
   
-  // Determine grouping description
-  let groupDescription = '';
-  switch (groupBy) {
-    case 'product':
-      groupDescription = 'by product';
-      break;
-    case 'category':
-      groupDescription = 'by product category';
-      break;
-    case 'region':
-      groupDescription = 'by region';
-      break;
-    case 'customer':
-      groupDescription = 'by customer';
-      break;
+  const pivot = resolvePivot(graph, pivotBy);
+  
+  const groupColumns = [dimension, pivot].filter(Boolean);
+  const tables = ['orders', 'order_items', 'products', ...wherePlan.tables, ...groupColumns.map(g => g.table)];
+  
+  const query = `
+    SELECT 
+      ${dimension.expression} as name,
+      ${pivot ? `${pivot.expression} as series,` : ''}
+      SUM(oi.quantity * oi.unit_price) as revenue,
+      SUM(oi.quantity) as units_sold,
+      SUM(oi.quantity * p.product_cost) as total_cost,
+      SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit,
+      ${MARGIN_SQL} as margin_pct
+    FROM 
+      ${planJoins(graph, tables)}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      ${groupColumns.map(g => g.expression).join(', ')}
+    ORDER BY 
+      revenue DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Resolves a grouping to the SQL expression that labels its groups. Time
+ * groupings use o.order_date; anything else is looked up in the schema.
+ * @param {object} graph - The schema graph
+ * @param {string|null} grouping - The grouping name (month, category, region, ...)
+ * @returns {object|null} { table, expression }, or null if the grouping is unknown
+ */
+function resolveGrouping(graph, grouping) {
+  switch (grouping) {
     case 'month':
-      groupDescription = 'by month';
-      break;
+      return { table: 'orders', expression: "strftime('%Y-%m', o.order_date)" };
     case 'quarter':
-      groupDescription = 'by quarter';
-      break;
+      return { table: 'orders', expression: "strftime('%Y', o.order_date) || '-Q' || ((CAST(strftime('%m', o.order_date) AS INTEGER) - 1) / 3 + 1)" };
     case 'year':
-      groupDescription = 'by year';
-      break;
+      return { table: 'orders', expression: "strftime('%Y', o.order_date)" };
     default:
-      groupDescription = 'over time';
+      return grouping ? resolveDimension(graph, grouping, ['products', 'customers']) : null;
   }
+}
+
+/**
+ * Creates the error for a grouping the schema has no column for; the grouping
+ * is kept on the error so the answer can name it
+ */
+function unknownGroupingError(grouping) {
+  const error = new Error(`Unknown grouping "${grouping}"`);
+  error.grouping = grouping;
+  return error;
+}
+
+/**
+ * Resolves the second grouping of a pivoted query
+ * @returns {object|null} { table, expression }, or null when the query isn't pivoted
+ */
+function resolvePivot(graph, pivotBy) {
+  if (!pivotBy) return null;
   
-  // Generate the natural language answer
-  let answer = `## Revenue Analysis ${groupDescription} for ${timeDescription}\n\n`;
-  answer += `The total revenue for ${timeDescription} was **${formattedRevenue}**.\n\n`;
+  const pivot = resolveGrouping(graph, pivotBy);
   
-  // Add insights based on the data
-  if (results.length > 0) {
-    const topItem = results[0];
-    const topName = topItem.name;
-    const topRevenue = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(topItem.revenue);
-    
-    answer += `The highest revenue ${groupDescription === 'over time' ? 'period' : groupBy} was **${topName}** with **${topRevenue}**`;
-    
-    if (topItem.units_sold) {
-      answer += `, selling ${topItem.units_sold.toLocaleString()} units.\n\n`;
-    } else {
-      answer += `.\n\n`;
-    }
-    
-    // Include SQL query for transparency
-    answer += `### Details\n\n`;
-    answer += `I've analyzed the revenue data ${groupDescription} for ${timeDescription} and created the visualizations below.\n`;
-    answer += `You can see the detailed breakdown in the chart and table.\n\n`;
+  if (!pivot) {
+    throw unknownGroupingError(pivotBy);
   }
   
-  // Determine the best visualization type
-  const vizType = determineVisualizationType(groupBy, results);
-  
-  // Prepare chart data
-  const chartData = {
-    chartType: vizType,
+  return pivot;
+}
+
+/**
+ * Generates an SQL query for customer analysis
+ */
+function generateCustomerQuery(queryInfo, graph) {
+  const { limit, metric } = queryInfo;
+  
+  let orderBy = '';
+  let additionalSelect = '';
+  
+  switch (metric) {
+    case 'revenue':
+      orderBy = 'total_revenue DESC';
+      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+      break;
+    case 'orders':
+      orderBy = 'order_count DESC';
+      additionalSelect = 'COUNT(DISTINCT o.order_id) as order_count';
+      break;
+    case 'quantity':
+      orderBy = 'total_items DESC';
+      additionalSelect = 'SUM(oi.quantity) as total_items';
+      break;
+    case 'profit':
+      orderBy = 'total_profit DESC';
+      additionalSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
+      break;
+    case 'margin':
+      orderBy = 'margin_pct DESC';
+      additionalSelect = `${MARGIN_SQL} as margin_pct`;
+      break;
+    default:
+      orderBy = 'total_revenue DESC';
+      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+  }
+  
+  if (queryInfo.classify) {
+    return generateParetoQuery(queryInfo, graph, {
+      key: 'c.customer_id',
+      label: 'c.customer_name',
+      attributes: ['c.segment', 'c.region'],
+      tables: ['customers', 'orders', 'order_items', 'products'],
+      metricSelect: additionalSelect
+    });
+  }
+  
+  if (queryInfo.pivotBy) {
+    return generateRankedPivotQuery(queryInfo, graph, {
+      key: 'c.customer_id',
+      label: 'c.customer_name',
+      tables: ['customers', 'orders', 'order_items', 'products'],
+      metricSelect: additionalSelect,
+      limit
+    });
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  
+  const query = `
+    SELECT 
+      c.customer_id,
+      c.customer_name,
+      c.segment,
+      c.region,
+      ${additionalSelect},
+      ${profitColumns(additionalSelect).join(',\n')},
+      COUNT(DISTINCT o.order_id) as order_count,
+      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value,
+      MAX(o.order_date) as last_purchase_date
+    FROM 
+      ${planJoins(graph, [...['customers', 'orders', 'order_items', 'products'], ...wherePlan.tables])}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      c.customer_id, c.customer_name, c.segment, c.region
+    ORDER BY 
+      ${orderBy}
+    LIMIT ?
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, toLimit(limit)]
+  };
+}
+
+/**
+ * Generates an SQL query for product analysis
+ */
+function generateProductQuery(queryInfo, graph) {
+  const { metric, limit } = queryInfo;
+  
+  let orderBy = '';
+  let additionalSelect = '';
+  
+  switch (metric) {
+    case 'revenue':
+      orderBy = 'total_revenue DESC';
+      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+      break;
+    case 'profit':
+      orderBy = 'total_profit DESC';
+      additionalSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
+      break;
+    case 'quantity':
+      orderBy = 'units_sold DESC';
+      additionalSelect = 'SUM(oi.quantity) as units_sold';
+      break;
+    case 'margin':
+      orderBy = 'margin_pct DESC';
+      additionalSelect = `${MARGIN_SQL} as margin_pct`;
+      break;
+    default:
+      orderBy = 'total_revenue DESC';
+      additionalSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+  }
+  
+  if (queryInfo.classify) {
+    return generateParetoQuery(queryInfo, graph, {
+      key: 'p.product_id',
+      label: 'p.product_name',
+      attributes: ['p.category'],
+      tables: ['products', 'order_items', 'orders'],
+      metricSelect: additionalSelect
+    });
+  }
+  
+  if (queryInfo.pivotBy) {
+    return generateRankedPivotQuery(queryInfo, graph, {
+      key: 'p.product_id',
+      label: 'p.product_name',
+      tables: ['products', 'order_items', 'orders'],
+      metricSelect: additionalSelect,
+      limit
+    });
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  
+  const query = `
+    SELECT 
+      p.product_id,
+      p.product_name,
+      p.category,
+      ${additionalSelect},
+      ${profitColumns(additionalSelect).join(',\n')},
+      SUM(oi.quantity) as units_sold,
+      COUNT(DISTINCT o.order_id) as order_count,
+      ROUND(AVG(oi.unit_price), 2) as avg_selling_price
+    FROM 
+      ${planJoins(graph, [...['products', 'order_items', 'orders'], ...wherePlan.tables])}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      p.product_id, p.product_name, p.category
+    ORDER BY 
+      ${orderBy}
+    LIMIT ?
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, toLimit(limit)]
+  };
+}
+
+/**
+ * Generates a Pareto / ABC classification: every row ranked by a metric (customers,
+ * products) with its share, the cumulative share up to it and its class. A row
+ * is in class A while the rows before it make up less than the class A share,
+ * so the row that crosses the line is still in A; likewise for B.
+ * @param {object} queryInfo - Information about the query intent
+ * @param {object} graph - The schema graph
+ * @param {object} ranking - { key, label, attributes, tables, metricSelect } describing the ranked rows
+ * @returns {object} The SQL returning id, name, the attributes, the metric column,
+ *   share_pct, cumulative_share and abc_class, and its bound parameters
+ */
+function generateParetoQuery(queryInfo, graph, { key, label, attributes, tables, metricSelect }) {
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const metricColumn = metricSelect.split(' as ').pop();
+  const classA = parseFloat(queryInfo.paretoShare) > 0 && parseFloat(queryInfo.paretoShare) < 100
+    ? parseFloat(queryInfo.paretoShare)
+    : config.abc.classA;
+  const classB = Math.max(classA, config.abc.classB);
+  
+  const query = `
+    WITH ranked AS (
+      SELECT 
+        ${key} as id,
+        ${label} as name,
+        ${attributes.map(attribute => `${attribute} as ${attribute.split('.').pop()}`).join(',\n')},
+        ${metricSelect}
+      FROM 
+        ${planJoins(graph, [...tables, ...wherePlan.tables])}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        ${[key, label, ...attributes].join(', ')}
+    ),
+    cumulative AS (
+      SELECT 
+        ranked.*,
+        SUM(${metricColumn}) OVER (ORDER BY ${metricColumn} DESC, name ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) as running_total,
+        SUM(${metricColumn}) OVER () as grand_total
+      FROM 
+        ranked
+    )
+    SELECT 
+      *,
+      ROUND(100.0 * ${metricColumn} / grand_total, 2) as share_pct,
+      ROUND(100.0 * running_total / grand_total, 2) as cumulative_share,
+      CASE 
+        WHEN running_total - ${metricColumn} < grand_total * ? THEN 'A'
+        WHEN running_total - ${metricColumn} < grand_total * ? THEN 'B'
+        ELSE 'C'
+      END as abc_class
+    FROM 
+      cumulative
+    ORDER BY 
+      ${metricColumn} DESC,
+      name
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, classA / 100, classB / 100]
+  };
+}
+
+/**
+ * Generates a pivoted ranking: the top rows by a metric (customers, products),
+ * each split by the query's pivot grouping
+ * @param {object} queryInfo - Information about the query intent
+ * @param {object} graph - The schema graph
+ * @param {object} ranking - { key, label, tables, metricSelect, limit } describing the ranked rows
+ * @returns {object} The SQL returning name, series and the metric column, and its bound parameters
+ */
+function generateRankedPivotQuery(queryInfo, graph, { key, label, tables, metricSelect, limit }) {
+  const pivot = resolvePivot(graph, queryInfo.pivotBy);
+  const [metricExpression] = metricSelect.split(' as ');
+  
+  // Rank over the whole period first so the split doesn't change which rows make the top N
+  const rankingPlan = buildWhereClause(graph, queryInfo);
+  const rankingQuery = `
+    SELECT ${key}
+    FROM ${planJoins(graph, [...tables, ...rankingPlan.tables])}
+    ${rankingPlan.whereClause}
+    GROUP BY ${key}
+    ORDER BY ${metricExpression} DESC
+    LIMIT ?
+  `;
+  
+  const wherePlan = buildWhereClause(graph, queryInfo, {
+    conditions: [`${key} IN (${rankingQuery})`],
+    params: [...rankingPlan.params, toLimit(limit)]
+  });
+  
+  const query = `
+    SELECT 
+      ${label} as name,
+      ${pivot.expression} as series,
+      ${metricSelect}
+    FROM 
+      ${planJoins(graph, [...tables, ...wherePlan.tables, pivot.table])}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      ${key}, ${pivot.expression}
+    ORDER BY 
+      name, series
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query for regional analysis
+ */
+function generateRegionalQuery(queryInfo, graph) {
+  const { metric } = queryInfo;
+  
+  let metricSelect = '';
+  
+  switch (metric) {
+    case 'revenue':
+      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+      break;
+    case 'profit':
+      metricSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
+      break;
+    case 'orders':
+      metricSelect = 'COUNT(DISTINCT o.order_id) as order_count';
+      break;
+    case 'margin':
+      metricSelect = `${MARGIN_SQL} as margin_pct`;
+      break;
+    default:
+      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const tables = ['customers', 'orders', 'order_items', 'products', ...wherePlan.tables];
+  
+  // Regions split by a second grouping ("regional revenue by segment")
+  const pivot = resolvePivot(graph, queryInfo.pivotBy);
+  
+  if (pivot) {
+    const pivotQuery = `
+      SELECT 
+        c.region as name,
+        ${pivot.expression} as series,
+        ${metricSelect}
+      FROM 
+        ${planJoins(graph, [...tables, pivot.table])}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        c.region, ${pivot.expression}
+      ORDER BY 
+        name, series
+    `;
+    
+    return {
+      sql: formatQuery(pivotQuery),
+      params: wherePlan.params
+    };
+  }
+  
+  const query = `
+    SELECT 
+      c.region,
+      ${metricSelect},
+      ${profitColumns(metricSelect).join(',\n')},
+      COUNT(DISTINCT c.customer_id) as customer_count,
+      COUNT(DISTINCT o.order_id) as order_count,
+      SUM(oi.quantity) as total_units,
+      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value
+    FROM 
+      ${planJoins(graph, tables)}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      c.region
+    ORDER BY 
+      ${metric === 'profit' ? 'total_profit' : 
+        metric === 'margin' ? 'margin_pct' :
+        metric === 'orders' ? 'order_count' : 'total_revenue'} DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query for comparison analysis
+ */
+function generateComparisonQuery(queryInfo, graph) {
+  const { entities, metric } = queryInfo;
+  
+  // Default to product category if we can't determine the type of entities
+  const entityDimension = resolveDimension(graph, queryInfo.dimension || 'category');
+  
+  if (!entityDimension) {
+    throw new Error(`Unknown comparison dimension "${queryInfo.dimension}"`);
+  }
+  
+  const entityColumn = entityDimension.expression;
+  
+  let metricSelect = '';
+  let orderBy = '';
+  
+  switch (metric) {
+    case 'revenue':
+      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+      orderBy = 'total_revenue DESC';
+      break;
+    case 'profit':
+      metricSelect = 'SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit';
+      orderBy = 'total_profit DESC';
+      break;
+    case 'quantity':
+      metricSelect = 'SUM(oi.quantity) as total_units';
+      orderBy = 'total_units DESC';
+      break;
+    case 'orders':
+      metricSelect = 'COUNT(DISTINCT o.order_id) as order_count';
+      orderBy = 'order_count DESC';
+      break;
+    case 'margin':
+      // Revenue and profit come along so the margin over all months can be weighted
+      metricSelect = `${MARGIN_SQL} as margin_pct,
+      SUM(oi.quantity * oi.unit_price) as total_revenue,
+      SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit`;
+      orderBy = 'margin_pct DESC';
+      break;
+    default:
+      metricSelect = 'SUM(oi.quantity * oi.unit_price) as total_revenue';
+      orderBy = 'total_revenue DESC';
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo, {
+    conditions: [`${entityColumn} IN (${placeholders(entities)})`],
+    params: entities.map(String)
+  });
+  
+  // Monthly trend if we're comparing entities
+  const query = `
+    SELECT 
+      ${entityColumn} as name,
+      strftime('%Y-%m', o.order_date) as month,
+      ${metricSelect}
+    FROM 
+      ${planJoins(graph, ['orders', 'order_items', 'products', entityDimension.table, ...wherePlan.tables])}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      ${entityColumn}, strftime('%Y-%m', o.order_date)
+    ORDER BY 
+      name, month
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query for period-over-period comparisons. Consecutive periods
+ * are compared with a LAG window over the per-period totals; two named periods
+ * are compared side by side for every value of a dimension.
+ */
+function generatePeriodComparisonQuery(queryInfo, graph) {
+  const { metric, granularity, periods } = queryInfo;
+  
+  // Profit and margin need the product cost
+  const metricTables = ['profit', 'margin'].includes(metric) ? ['products'] : [];
+  
+  if (periods) {
+    return generatePeriodPairQuery(queryInfo, graph, metricTables);
+  }
+  
+  if (!['month', 'quarter', 'year'].includes(granularity)) {
+    throw new Error(`Unknown granularity "${granularity}"`);
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const period = resolveGrouping(graph, granularity);
+  const tables = ['orders', 'order_items', ...metricTables, ...wherePlan.tables];
+  
+  const query = `
+    WITH period_totals AS (
+      SELECT 
+        ${period.expression} as period,
+        ${metricAggregate(metric)} as value
+      FROM 
+        ${planJoins(graph, tables)}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        period
+    ),
+    compared AS (
+      SELECT 
+        period,
+        value,
+        LAG(value) OVER (ORDER BY period) as previous_value
+      FROM 
+        period_totals
+    )
+    SELECT 
+      period,
+      value,
+      previous_value,
+      value - previous_value as change,
+      ROUND(100.0 * (value - previous_value) / NULLIF(previous_value, 0), 1) as change_pct
+    FROM 
+      compared
+    ORDER BY 
+      period
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query comparing two named periods for every value of a dimension
+ */
+function generatePeriodPairQuery(queryInfo, graph, metricTables) {
+  const { metric, periods, groupBy } = queryInfo;
+  const { current, previous } = periods;
+  
+  [current, previous].forEach(period => {
+    if (!period || !/^\d{4}-\d{2}-\d{2}$/.test(period.start) || !/^\d{4}-\d{2}-\d{2}$/.test(period.end)) {
+      throw new Error(`Invalid period ${JSON.stringify(period)}`);
+    }
+  });
+  
+  const dimension = resolveGrouping(graph, groupBy || 'category');
+  
+  if (!dimension) {
+    throw unknownGroupingError(groupBy);
+  }
+  
+  // Only orders in either period are read; the named periods replace any date range
+  const inPeriod = 'o.order_date >= ? AND o.order_date <= ?';
+  const wherePlan = buildWhereClause(graph, { ...queryInfo, dateRange: null }, {
+    conditions: [`((${inPeriod}) OR (${inPeriod}))`],
+    params: [current.start, current.end, previous.start, previous.end]
+  });
+  const tables = ['orders', 'order_items', ...metricTables, ...wherePlan.tables, dimension.table];
+  
+  // A margin tests the condition in both of its sums, so each period's dates are bound once per test
+  const conditionCount = (metricAggregate(metric, inPeriod).match(/\?/g) || []).length / 2;
+  const periodParams = period => Array(conditionCount).fill([period.start, period.end]).flat();
+  
+  const query = `
+    WITH period_totals AS (
+      SELECT 
+        ${dimension.expression} as name,
+        COALESCE(${metricAggregate(metric, inPeriod)}, 0) as value,
+        COALESCE(${metricAggregate(metric, inPeriod)}, 0) as previous_value
+      FROM 
+        ${planJoins(graph, tables)}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        ${dimension.expression}
+    )
+    SELECT 
+      name,
+      value,
+      previous_value,
+      value - previous_value as change,
+      ROUND(100.0 * (value - previous_value) / NULLIF(previous_value, 0), 1) as change_pct
+    FROM 
+      period_totals
+    ORDER BY 
+      change DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...periodParams(current), ...periodParams(previous), ...wherePlan.params]
+  };
+}
+
+/**
+ * Returns the SQL aggregate for a metric, counting only the rows that meet a
+ * condition when one is given
+ * @param {string} metric - revenue, profit, margin, quantity or orders
+ * @param {string|null} condition - SQL condition rows must meet
+ * @returns {string} The aggregate expression
+ */
+function metricAggregate(metric, condition = null) {
+  const when = value => (condition ? `CASE WHEN ${condition} THEN ${value} END` : value);
+  
+  switch (metric) {
+    case 'profit':
+      return `SUM(${when('oi.quantity * (oi.unit_price - p.product_cost)')})`;
+    case 'margin':
+      return `ROUND(100.0 * SUM(${when('oi.quantity * (oi.unit_price - p.product_cost)')}) / SUM(${when('oi.quantity * oi.unit_price')}), 2)`;
+    case 'quantity':
+      return `SUM(${when('oi.quantity')})`;
+    case 'orders':
+      return `COUNT(DISTINCT ${when('o.order_id')})`;
+    case 'revenue':
+    default:
+      return `SUM(${when('oi.quantity * oi.unit_price')})`;
+  }
+}
+
+/**
+ * Generates an SQL query for anomaly detection: daily revenue and order totals,
+ * followed by the same totals for every value of each breakdown dimension.
+ * Monthly series are added up from the daily ones.
+ */
+function generateAnomalyQuery(queryInfo, graph) {
+  // A dimension the question filters on can't explain anything
+  const breakdowns = ANOMALY_BREAKDOWNS.filter(breakdown => !(queryInfo.filters || {})[breakdown]);
+  
+  const parts = [null, ...breakdowns].map(breakdown => {
+    const dimension = breakdown ? resolveGrouping(graph, breakdown) : null;
+    if (breakdown && !dimension) return null;
+    
+    const wherePlan = buildWhereClause(graph, queryInfo);
+    const tables = ['orders', 'order_items', 'products', ...wherePlan.tables, ...(dimension ? [dimension.table] : [])];
+    
+    return {
+      sql: `
+        SELECT 
+          date(o.order_date) as day,
+          ${dimension ? `'${breakdown}'` : 'NULL'} as dimension,
+          ${dimension ? dimension.expression : 'NULL'} as dimension_value,
+          SUM(oi.quantity * oi.unit_price) as revenue,
+          SUM(oi.quantity * (oi.unit_price - p.product_cost)) as profit,
+          COUNT(DISTINCT o.order_id) as order_count
+        FROM 
+          ${planJoins(graph, tables)}
+        ${wherePlan.whereClause}
+        GROUP BY 
+          day${dimension ? `, ${dimension.expression}` : ''}
+      `,
+      params: wherePlan.params
+    };
+  }).filter(Boolean);
+  
+  const query = `
+    ${parts.map(part => part.sql).join('\n    UNION ALL\n')}
+    ORDER BY 
+      day
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: parts.flatMap(part => part.params)
+  };
+}
+
+/**
+ * Generates an SQL query for cohort analysis: for every cohort month and every
+ * month since, how many of the cohort's customers ordered. Customers are in a
+ * cohort by their first order month or their signup month (customers.created_at);
+ * only customers with orders matching the filters are counted. A customer came
+ * back if they ordered in a later month than their first order, whichever the cohort.
+ */
+function generateCohortQuery(queryInfo, graph) {
+  const { dateRange } = queryInfo;
+  
+  // Filters limit the orders counted; the date range limits the cohorts shown
+  const wherePlan = buildWhereClause(graph, { ...queryInfo, dateRange: null });
+  const cohortConditions = [];
+  const cohortParams = [];
+  
+  if (dateRange && dateRange.start) {
+    cohortConditions.push("cohort_month >= strftime('%Y-%m', ?)");
+    cohortParams.push(dateRange.start);
+  }
+  
+  if (dateRange && dateRange.end) {
+    cohortConditions.push("cohort_month <= strftime('%Y-%m', ?)");
+    cohortParams.push(dateRange.end);
+  }
+  
+  const cohortSource = queryInfo.cohortBy === 'signup'
+    ? `
+      SELECT 
+        c.customer_id,
+        strftime('%Y-%m', c.created_at) as cohort_month
+      FROM 
+        customers c
+      WHERE 
+        c.created_at IS NOT NULL
+        AND c.customer_id IN (SELECT customer_id FROM customer_months)
+    `
+    : `
+      SELECT 
+        customer_id,
+        MIN(order_month) as cohort_month
+      FROM 
+        customer_months
+      GROUP BY 
+        customer_id
+    `;
+  
+  const monthIndex = column => `(CAST(substr(${column}, 1, 4) AS INTEGER) * 12 + CAST(substr(${column}, 6, 2) AS INTEGER))`;
+  
+  const query = `
+    WITH customer_months AS (
+      SELECT DISTINCT 
+        o.customer_id,
+        strftime('%Y-%m', o.order_date) as order_month
+      FROM 
+        ${planJoins(graph, ['orders', ...wherePlan.tables])}
+      ${wherePlan.whereClause}
+    ),
+    cohorts AS (
+      SELECT * FROM (${cohortSource})
+      ${cohortConditions.length > 0 ? `WHERE ${cohortConditions.join(' AND ')}` : ''}
+    ),
+    cohort_sizes AS (
+      SELECT 
+        cohort_month,
+        COUNT(*) as cohort_size
+      FROM 
+        cohorts
+      GROUP BY 
+        cohort_month
+    ),
+    activity AS (
+      SELECT 
+        ch.cohort_month,
+        ch.customer_id,
+        ${monthIndex('cm.order_month')} - ${monthIndex('ch.cohort_month')} as months_since
+      FROM 
+        cohorts ch
+        JOIN customer_months cm ON cm.customer_id = ch.customer_id
+    ),
+    first_orders AS (
+      SELECT 
+        customer_id,
+        MIN(order_month) as first_month
+      FROM 
+        customer_months
+      GROUP BY 
+        customer_id
+    ),
+    returners AS (
+      SELECT 
+        ch.cohort_month,
+        COUNT(DISTINCT ch.customer_id) as returning_customers
+      FROM 
+        cohorts ch
+        JOIN first_orders fo ON fo.customer_id = ch.customer_id
+        JOIN customer_months cm ON cm.customer_id = ch.customer_id
+      WHERE 
+        cm.order_month > fo.first_month
+      GROUP BY 
+        ch.cohort_month
+    )
+    SELECT 
+      a.cohort_month,
+      a.months_since,
+      COUNT(DISTINCT a.customer_id) as active_customers,
+      cs.cohort_size,
+      COALESCE(r.returning_customers, 0) as returning_customers
+    FROM 
+      activity a
+      JOIN cohort_sizes cs ON cs.cohort_month = a.cohort_month
+      LEFT JOIN returners r ON r.cohort_month = a.cohort_month
+    WHERE 
+      a.months_since >= 0
+    GROUP BY 
+      a.cohort_month,
+      a.months_since
+    ORDER BY 
+      a.cohort_month,
+      a.months_since
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, ...cohortParams]
+  };
+}
+
+/**
+ * Generates an SQL query for RFM segmentation: every customer's recency,
+ * frequency and monetary value scored into quintiles with NTILE, and the
+ * RFM segment those scores fall into. Recency is counted back from the latest
+ * order in the analyzed period.
+ */
+function generateRfmQuery(queryInfo, graph) {
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  
+  const segmentCases = RFM_SEGMENTS.map(segment => `
+        WHEN recency_score BETWEEN ${segment.recency[0]} AND ${segment.recency[1]}
+          AND frequency_monetary_score BETWEEN ${segment.frequency[0]} AND ${segment.frequency[1]}
+          THEN '${segment.name.replace(/'/g, "''")}'`).join('');
+  
+  const query = `
+    WITH customer_metrics AS (
+      SELECT 
+        c.customer_id,
+        c.customer_name,
+        c.segment,
+        c.region,
+        MAX(date(o.order_date)) as last_purchase_date,
+        COUNT(DISTINCT o.order_id) as order_count,
+        SUM(oi.quantity * oi.unit_price) as total_revenue
+      FROM 
+        ${planJoins(graph, ['customers', 'orders', 'order_items', ...wherePlan.tables])}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        c.customer_id, c.customer_name, c.segment, c.region
+    ),
+    scored AS (
+      SELECT 
+        *,
+        CAST(julianday((SELECT MAX(last_purchase_date) FROM customer_metrics)) - julianday(last_purchase_date) AS INTEGER) as recency_days,
+        NTILE(5) OVER (ORDER BY last_purchase_date) as recency_score,
+        NTILE(5) OVER (ORDER BY order_count) as frequency_score,
+        NTILE(5) OVER (ORDER BY total_revenue) as monetary_score
+      FROM 
+        customer_metrics
+    ),
+    combined AS (
+      SELECT 
+        *,
+        CAST(ROUND((frequency_score + monetary_score) / 2.0) AS INTEGER) as frequency_monetary_score
+      FROM 
+        scored
+    )
+    SELECT 
+      customer_id,
+      customer_name,
+      segment,
+      region,
+      last_purchase_date,
+      recency_days,
+      order_count,
+      total_revenue,
+      recency_score,
+      frequency_score,
+      monetary_score,
+      CASE ${segmentCases}
+        ELSE 'Need Attention'
+      END as rfm_segment
+    FROM 
+      combined
+    ORDER BY 
+      total_revenue DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query for customer lifetime value and churn risk. Every
+ * customer with matching orders is returned so the response can chart the
+ * distribution; days are counted back from the latest matching order.
+ */
+function generateClvQuery(queryInfo, graph) {
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const orderBy = queryInfo.rankBy === 'churn_risk'
+    ? 'churn_rank DESC, recency_ratio DESC, clv DESC'
+    : 'clv DESC';
+  
+  const query = `
+    WITH customer_orders AS (
+      SELECT 
+        c.customer_id,
+        c.customer_name,
+        c.segment,
+        c.region,
+        date(c.created_at) as signup_date,
+        COUNT(DISTINCT o.order_id) as order_count,
+        SUM(oi.quantity * oi.unit_price) as total_revenue,
+        MIN(date(o.order_date)) as first_purchase_date,
+        MAX(date(o.order_date)) as last_purchase_date
+      FROM 
+        ${planJoins(graph, ['customers', 'orders', 'order_items', ...wherePlan.tables])}
+      ${wherePlan.whereClause}
+      GROUP BY 
+        c.customer_id, c.customer_name, c.segment, c.region, c.created_at
+    ),
+    metrics AS (
+      SELECT 
+        co.*,
+        co.total_revenue / co.order_count as avg_order_value,
+        -- At least a day, so customers who just signed up don't divide by zero
+        MAX(julianday(r.reference_date) - julianday(COALESCE(co.signup_date, co.first_purchase_date)), 1) as tenure_days,
+        julianday(r.reference_date) - julianday(co.last_purchase_date) as recency_days,
+        CASE 
+          WHEN co.order_count > 1 THEN (julianday(co.last_purchase_date) - julianday(co.first_purchase_date)) / (co.order_count - 1)
+        END as gap_days
+      FROM 
+        customer_orders co
+        CROSS JOIN (SELECT MAX(last_purchase_date) as reference_date FROM customer_orders) r
+    ),
+    scored AS (
+      SELECT 
+        m.*,
+        -- Customers with a single order are measured against everyone's average gap
+        NULLIF(COALESCE(m.gap_days, (SELECT AVG(gap_days) FROM metrics)), 0) as typical_gap_days,
+        m.order_count * 30.44 / m.tenure_days as orders_per_month
+      FROM 
+        metrics m
+    ),
+    rated AS (
+      SELECT 
+        s.*,
+        s.recency_days / s.typical_gap_days as gap_ratio,
+        CASE 
+          WHEN s.typical_gap_days IS NULL THEN 0
+          WHEN s.recency_days >= s.typical_gap_days * ? THEN 3
+          WHEN s.recency_days >= s.typical_gap_days * ? THEN 2
+          ELSE 1
+        END as churn_rank
+      FROM 
+        scored s
+    )
+    SELECT 
+      customer_id,
+      customer_name,
+      segment,
+      region,
+      signup_date,
+      order_count,
+      ROUND(total_revenue, 2) as total_revenue,
+      ROUND(avg_order_value, 2) as avg_order_value,
+      last_purchase_date,
+      CAST(tenure_days AS INTEGER) as tenure_days,
+      CAST(recency_days AS INTEGER) as recency_days,
+      ROUND(typical_gap_days, 1) as typical_gap_days,
+      ROUND(orders_per_month, 2) as orders_per_month,
+      ROUND(avg_order_value * orders_per_month * ?, 2) as clv,
+      ROUND(gap_ratio, 2) as recency_ratio,
+      churn_rank,
+      CASE churn_rank 
+        WHEN 3 THEN 'High' 
+        WHEN 2 THEN 'Medium' 
+        WHEN 1 THEN 'Low' 
+        ELSE 'Unknown' 
+      END as churn_risk
+    FROM 
+      rated
+    ORDER BY 
+      ${orderBy}
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, config.clv.highRiskGap, config.clv.mediumRiskGap, config.clv.lifetimeMonths]
+  };
+}
+
+/**
+ * Generates an SQL query for pricing analysis: revenue at retail price against
+ * revenue at the prices actually charged, for every value of each breakdown and
+ * for each band of line discount (0-5%, 5-10%, ...) to relate price to volume
+ */
+function generatePricingQuery(queryInfo, graph) {
+  const breakdowns = queryInfo.groupBy ? [queryInfo.groupBy] : PRICING_BREAKDOWNS;
+  const discountBand = `CAST((1 - oi.unit_price / p.retail_price) * 100 / ${DISCOUNT_BAND_WIDTH} AS INTEGER) * ${DISCOUNT_BAND_WIDTH}`;
+  
+  const parts = [...breakdowns, 'discount_band'].map(breakdown => {
+    const dimension = breakdown === 'discount_band'
+      ? { table: 'products', expression: discountBand }
+      : resolveGrouping(graph, breakdown);
+    
+    if (!dimension) {
+      throw unknownGroupingError(breakdown);
+    }
+    
+    const wherePlan = buildWhereClause(graph, queryInfo);
+    const tables = ['orders', 'order_items', 'products', ...wherePlan.tables, dimension.table];
+    
+    return {
+      sql: `
+        SELECT 
+          ? as dimension,
+          ${dimension.expression} as dimension_value,
+          COUNT(*) as order_lines,
+          SUM(oi.quantity) as units_sold,
+          ROUND(SUM(oi.quantity * p.retail_price), 2) as list_revenue,
+          ROUND(SUM(oi.quantity * oi.unit_price), 2) as revenue,
+          ROUND(SUM(oi.quantity * (p.retail_price - oi.unit_price)), 2) as discount_amount,
+          ROUND(100.0 * SUM(oi.quantity * (p.retail_price - oi.unit_price)) / SUM(oi.quantity * p.retail_price), 2) as discount_pct,
+          ROUND(SUM(oi.quantity * oi.unit_price) / SUM(oi.quantity), 2) as avg_unit_price,
+          ROUND(SUM(oi.quantity * p.retail_price) / SUM(oi.quantity), 2) as avg_retail_price
+        FROM 
+          ${planJoins(graph, tables)}
+        ${wherePlan.whereClause}
+        GROUP BY 
+          ${dimension.expression}
+      `,
+      params: [breakdown, ...wherePlan.params]
+    };
+  });
+  
+  const query = `
+    ${parts.map(part => part.sql).join('\n    UNION ALL\n')}
+    ORDER BY 
+      dimension,
+      discount_amount DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: parts.flatMap(part => part.params)
+  };
+}
+
+/**
+ * Generates an SQL query for a margin waterfall: for every value of a grouping
+ * (category by default), revenue at retail price and how much of it went to
+ * discounts, product cost and gross profit
+ */
+function generateMarginWaterfallQuery(queryInfo, graph) {
+  const dimension = resolveGrouping(graph, queryInfo.groupBy || 'category');
+  
+  if (!dimension) {
+    throw unknownGroupingError(queryInfo.groupBy);
+  }
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const tables = ['orders', 'order_items', 'products', ...wherePlan.tables, dimension.table];
+  
+  const query = `
+    SELECT 
+      ${dimension.expression} as name,
+      SUM(oi.quantity) as units_sold,
+      ROUND(SUM(oi.quantity * p.retail_price), 2) as list_revenue,
+      ROUND(SUM(oi.quantity * (p.retail_price - oi.unit_price)), 2) as discount_amount,
+      ROUND(SUM(oi.quantity * oi.unit_price), 2) as revenue,
+      ROUND(SUM(oi.quantity * p.product_cost), 2) as total_cost,
+      ROUND(SUM(oi.quantity * (oi.unit_price - p.product_cost)), 2) as total_profit,
+      ${MARGIN_SQL} as margin_pct
+    FROM 
+      ${planJoins(graph, tables)}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      ${dimension.expression}
+    ORDER BY 
+      total_profit DESC
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Generates an SQL query for order status analysis: orders and revenue in each
+ * status, overall and for every value of each breakdown. Orders in every status
+ * are counted, whatever counts as revenue.
+ */
+function generateStatusQuery(queryInfo, graph) {
+  const breakdowns = queryInfo.groupBy ? [queryInfo.groupBy] : STATUS_BREAKDOWNS;
+  
+  const parts = [null, ...breakdowns].map(breakdown => {
+    const dimension = breakdown ? resolveGrouping(graph, breakdown) : null;
+    
+    if (breakdown && !dimension) {
+      throw unknownGroupingError(breakdown);
+    }
+    
+    const wherePlan = buildWhereClause(graph, queryInfo, undefined, { allStatuses: true });
+    const tables = ['orders', 'order_items', ...wherePlan.tables, ...(dimension ? [dimension.table] : [])];
+    
+    return {
+      sql: `
+        SELECT 
+          ? as dimension,
+          ${dimension ? dimension.expression : "'All orders'"} as dimension_value,
+          o.status as status,
+          COUNT(DISTINCT o.order_id) as order_count,
+          ROUND(SUM(oi.quantity * oi.unit_price), 2) as revenue
+        FROM 
+          ${planJoins(graph, tables)}
+        ${wherePlan.whereClause}
+        GROUP BY 
+          dimension_value, o.status
+      `,
+      params: [breakdown || 'overall', ...wherePlan.params]
+    };
+  });
+  
+  const query = `
+    ${parts.map(part => part.sql).join('\n    UNION ALL\n')}
+    ORDER BY 
+      dimension,
+      dimension_value,
+      status
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: parts.flatMap(part => part.params)
+  };
+}
+
+/**
+ * Generates an SQL query for market basket analysis: association rules between
+ * the products (or categories) bought in the same order, with their support
+ * (share of orders containing both), confidence (share of orders with the first
+ * that also contain the second) and lift (confidence relative to chance)
+ */
+function generateMarketBasketQuery(queryInfo, graph) {
+  const item = resolveGrouping(graph, queryInfo.level === 'category' ? 'category' : 'product');
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  const tables = ['orders', 'order_items', ...wherePlan.tables, item.table];
+  
+  const threshold = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  
+  const conditions = ['support >= ?', 'confidence >= ?', 'lift >= ?'];
+  const params = [
+    threshold(queryInfo.minSupport, config.basket.minSupport),
+    threshold(queryInfo.minConfidence, config.basket.minConfidence),
+    threshold(queryInfo.minLift, config.basket.minLift)
+  ];
+  
+  if (queryInfo.target) {
+    conditions.push('antecedent = ?');
+    params.push(String(queryInfo.target));
+  }
+  
+  const query = `
+    WITH baskets AS (
+      SELECT DISTINCT 
+        o.order_id,
+        ${item.expression} as item
+      FROM 
+        ${planJoins(graph, tables)}
+      ${wherePlan.whereClause}
+    ),
+    order_total AS (
+      SELECT 
+        COUNT(DISTINCT order_id) as total_orders
+      FROM 
+        baskets
+    ),
+    item_counts AS (
+      SELECT 
+        item,
+        COUNT(*) as item_orders
+      FROM 
+        baskets
+      GROUP BY 
+        item
+    ),
+    pairs AS (
+      SELECT 
+        a.item as antecedent,
+        b.item as consequent,
+        COUNT(*) as pair_orders
+      FROM 
+        baskets a
+        JOIN baskets b ON a.order_id = b.order_id AND a.item <> b.item
+      GROUP BY 
+        a.item, b.item
+    ),
+    rules AS (
+      SELECT 
+        pr.antecedent,
+        pr.consequent,
+        pr.pair_orders,
+        ia.item_orders as antecedent_orders,
+        ic.item_orders as consequent_orders,
+        t.total_orders,
+        ROUND(1.0 * pr.pair_orders / t.total_orders, 4) as support,
+        ROUND(1.0 * pr.pair_orders / ia.item_orders, 4) as confidence,
+        ROUND(1.0 * pr.pair_orders * t.total_orders / (ia.item_orders * ic.item_orders), 3) as lift
+      FROM 
+        pairs pr
+        JOIN item_counts ia ON ia.item = pr.antecedent
+        JOIN item_counts ic ON ic.item = pr.consequent
+        CROSS JOIN order_total t
+    )
+    SELECT 
+      *
+    FROM 
+      rules
+    WHERE 
+      ${conditions.join(' AND ')}
+    ORDER BY 
+      lift DESC,
+      support DESC
+    LIMIT ?
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, ...params, toLimit(queryInfo.limit) * (queryInfo.target ? 1 : 2)]
+  };
+}
+
+/**
+ * Generates an SQL query for a schema-planned question, joining the measure's
+ * table to the tables of the requested dimensions along foreign keys
+ */
+function generateSchemaQuery(queryInfo, graph) {
+  const { measure, dimensions, limit } = queryInfo;
+  
+  if (!graph.tables[measure.table]) {
+    throw new Error(`Unknown table "${measure.table}"`);
+  }
+  
+  // queryInfo may come from an LLM, so only known aggregates and columns reach the SQL
+  if (!['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(measure.aggregate)) {
+    throw new Error(`Unknown aggregate "${measure.aggregate}"`);
+  }
+  
+  if (measure.aggregate !== 'COUNT' && !graph.tables[measure.table].columns.some(c => c.name === measure.column)) {
+    throw new Error(`Unknown column "${measure.table}.${measure.column}"`);
+  }
+  
+  const dimensionColumns = dimensions.map(dimension => {
+    const [table, column] = dimension.split('.');
+    
+    if (!graph.tables[table] || !graph.tables[table].columns.some(c => c.name === column)) {
+      throw new Error(`Unknown column "${dimension}"`);
+    }
+    
+    return { table, column, expression: `${graph.tables[table].alias}.${quoteIdentifier(column)}` };
+  });
+  
+  const measureAlias = schemaMeasureAlias(measure);
+  const measureTable = graph.tables[measure.table];
+  const primaryKey = measureTable.columns.find(c => c.pk);
+  const measureSelect = measure.aggregate === 'COUNT'
+    ? `COUNT(DISTINCT ${measureTable.alias}.${primaryKey ? quoteIdentifier(primaryKey.name) : 'rowid'})`
+    : `ROUND(${measure.aggregate}(${measureTable.alias}.${quoteIdentifier(measure.column)}), 2)`;
+  
+  // A date range is applied through the orders table, so it is joined in when
+  // needed; the revenue statuses only apply to questions about orders
+  const usesOrders = [measure.table, ...dimensionColumns.map(d => d.table)].some(table => ['orders', 'order_items'].includes(table));
+  const wherePlan = buildWhereClause(graph, queryInfo, undefined, { allStatuses: !usesOrders });
+  const tables = [measure.table, ...dimensionColumns.map(d => d.table), ...wherePlan.tables];
+  if (wherePlan.params.length > 0) tables.push('orders');
+  
+  const selectColumns = dimensionColumns.map(d => `${d.expression} as ${quoteIdentifier(d.column)}`);
+  const groupByClause = dimensionColumns.length > 0
+    ? `GROUP BY ${dimensionColumns.map(d => d.expression).join(', ')}`
+    : '';
+  
+  const query = `
+    SELECT 
+      ${[...selectColumns, `${measureSelect} as ${quoteIdentifier(measureAlias)}`].join(',\n')}
+    FROM 
+      ${planJoins(graph, tables)}
+    ${wherePlan.whereClause}
+    ${groupByClause}
+    ORDER BY 
+      ${quoteIdentifier(measureAlias)} DESC
+    LIMIT ?
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: [...wherePlan.params, toLimit(limit, 50)]
+  };
+}
+
+/**
+ * Returns the column alias of a schema-planned measure (e.g. total_quantity, orders_count)
+ */
+function schemaMeasureAlias(measure) {
+  if (measure.aggregate === 'COUNT') return `${measure.table}_count`;
+  
+  const prefix = { SUM: 'total', AVG: 'avg', MIN: 'min', MAX: 'max' }[measure.aggregate];
+  return `${prefix}_${measure.column}`;
+}
+
+/**
+ * Generates a general SQL query based on extracted keywords
+ */
+function generateGeneralQuery(queryInfo, graph) {
+  const { keywords } = queryInfo;
+  
+  const wherePlan = buildWhereClause(graph, queryInfo);
+  
+  // Default to a general overview query if we can't determine specifics
+  const query = `
+    SELECT 
+      strftime('%Y-%m', o.order_date) as month,
+      SUM(oi.quantity * oi.unit_price) as total_revenue,
+      COUNT(DISTINCT o.order_id) as order_count,
+      COUNT(DISTINCT o.customer_id) as customer_count,
+      SUM(oi.quantity) as units_sold,
+      ROUND(AVG(oi.quantity * oi.unit_price), 2) as avg_order_value,
+      SUM(oi.quantity * (oi.unit_price - p.product_cost)) as total_profit,
+      ${MARGIN_SQL} as margin_pct
+    FROM 
+      ${planJoins(graph, ['orders', 'order_items', 'products', ...wherePlan.tables])}
+    ${wherePlan.whereClause}
+    GROUP BY 
+      month
+    ORDER BY 
+      month
+  `;
+  
+  return {
+    sql: formatQuery(query),
+    params: wherePlan.params
+  };
+}
+
+/**
+ * Creates a comprehensive response with natural language answer and visualizations
+ * @param {string} query - The original query
+ * @param {object} queryInfo - Information about the query intent
+ * @param {Array} queryResult - The result of the SQL query
+ * @param {string} sqlQuery - The executed SQL query
+ * @returns {object} The response with answer and visualizations
+ */
+function createResponse(query, queryInfo, queryResult, sqlQuery) {
+  const { type } = queryInfo;
+  
+  // ABC classifications rank every product or customer, so they are never pivoted
+  if (queryInfo.classify && ['customer_analysis', 'product_analysis'].includes(type)) {
+    return createParetoResponse(query, queryInfo, queryResult, sqlQuery);
+  }
+  
+  // Results grouped by two dimensions are shown as a pivot
+  if (queryInfo.pivotBy && type !== 'comparison' && type !== 'general_analysis') {
+    return createPivotResponse(query, queryInfo, queryResult, sqlQuery);
+  }
+  
+  if (type === 'schema_analysis' && queryInfo.dimensions.length === 2) {
+    return createPivotResponse(query, queryInfo, queryResult, sqlQuery);
+  }
+  
+  // Generate the appropriate response based on the query type and results
+  switch (type) {
+    case 'revenue_analysis':
+      return createRevenueResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'customer_analysis':
+      return createCustomerResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'product_analysis':
+      return createProductResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'regional_analysis':
+      return createRegionalResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'comparison':
+      return createComparisonResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'period_comparison':
+      return createPeriodComparisonResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'forecast':
+      return createForecastResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'anomaly_detection':
+      return createAnomalyResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'cohort_analysis':
+      return createCohortResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'rfm_analysis':
+      return createRfmResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'clv_analysis':
+      return createClvResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'pricing_analysis':
+      return createPricingResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'margin_waterfall':
+      return createMarginWaterfallResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'status_analysis':
+      return createStatusResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'market_basket':
+      return createMarketBasketResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'schema_analysis':
+      return createSchemaResponse(query, queryInfo, queryResult, sqlQuery);
+    case 'general_analysis':
+    default:
+      return createGeneralResponse(query, queryInfo, queryResult, sqlQuery);
+  }
+}
+
+/**
+ * Creates a response for revenue analysis queries
+ */
+function createRevenueResponse(query, queryInfo, results, sqlQuery) {
+  const { dateRange, groupBy } = queryInfo;
+  
+  // Extract needed metrics
+  const totalRevenue = results.reduce((sum, row) => sum + row.revenue, 0);
+  const formattedRevenue = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(totalRevenue);
+  
+  // Describe the period the way the question put it ("for Q2 2023", "since 2023-05-01")
+  const periodLabel = dateRange ? dateRange.label : 'all time';
+  const timeDescription = /^(since|after|before|until) /.test(periodLabel) ? periodLabel : `for ${periodLabel}`;
+  
+  // Determine grouping description
+  let groupDescription = '';
+  switch (groupBy) {
+    case 'product':
+      groupDescription = 'by product';
+      break;
+    case 'category':
+      groupDescription = 'by product category';
+      break;
+    case 'region':
+      groupDescription = 'by region';
+      break;
+    case 'customer':
+      groupDescription = 'by customer';
+      break;
+    case 'month':
+      groupDescription = 'by month';
+      break;
+    case 'quarter':
+      groupDescription = 'by quarter';
+      break;
+    case 'year':
+      groupDescription = 'by year';
+      break;
+    default:
+      groupDescription = groupBy ? `by ${groupBy}` : 'over time';
+  }
+  
+  // Generate the natural language answer
+  let answer = `## Revenue Analysis ${groupDescription} ${timeDescription}\n\n`;
+  answer += `The total revenue ${timeDescription} was **${formattedRevenue}**.\n\n`;
+  
+  // Add insights based on the data
+  if (results.length > 0) {
+    const totalProfit = results.reduce((sum, row) => sum + row.total_profit, 0);
+    answer += `After product costs that leaves a gross profit of **${formatMetricValue('profit', totalProfit)}**, `;
+    answer += `a margin of **${formatMetricValue('margin', totalRevenue > 0 ? totalProfit / totalRevenue * 100 : 0)}**.\n\n`;
+    
+    const topItem = results[0];
+    const topName = topItem.name;
+    const topRevenue = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(topItem.revenue);
+    
+    answer += `The highest revenue ${groupDescription === 'over time' ? 'period' : groupBy} was **${topName}** with **${topRevenue}**`;
+    
+    if (topItem.units_sold) {
+      answer += `, selling ${topItem.units_sold.toLocaleString()} units.\n\n`;
+    } else {
+      answer += `.\n\n`;
+    }
+    
+    // Include SQL query for transparency
+    answer += `### Details\n\n`;
+    answer += `I've analyzed the revenue data ${groupDescription} ${timeDescription} and created the visualizations below.\n`;
+    answer += `You can see the detailed breakdown in the chart and table.\n\n`;
+  }
+  
+  // Determine the best visualization type
+  const vizType = determineVisualizationType(groupBy, results);
+  
+  // Prepare chart data
+  const chartData = {
+    chartType: vizType,
+    chartData: {
+      labels: results.map(r => r.name),
+      datasets: [
+        {
+          label: 'Revenue',
+          data: results.map(r => r.revenue),
+          backgroundColor: 'rgba(54, 162, 235, 0.2)',
+          borderColor: 'rgba(54, 162, 235, 1)',
+          borderWidth: 1
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return '$' + value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  // Prepare table data
+  const tableData = {
+    columns: ['name', 'revenue', 'units_sold', 'total_profit', 'margin_pct'],
+    rows: results.map(r => ({
+      name: r.name,
+      revenue: new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+      }).format(r.revenue),
+      units_sold: r.units_sold ? r.units_sold.toLocaleString() : 'N/A',
+      total_profit: formatMetricValue('profit', r.total_profit),
+      margin_pct: formatMetricValue('margin', r.margin_pct)
+    }))
+  };
+  
+  // Create visualizations
+  const visualizations = [
+    {
+      type: 'chart',
+      title: `Revenue ${groupDescription} ${timeDescription}`,
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: `Revenue Data ${groupDescription}`,
+      data: tableData
+    }
+  ];
+  
+  // Add SQL details for transparency (in a real app, this might be toggleable or only for advanced users)
+  answer += `\`\`\`visualization:chart:Revenue Analysis\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Detailed Revenue Data\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for customer analysis queries
+ */
+function createCustomerResponse(query, queryInfo, results, sqlQuery) {
+  const { limit, metric } = queryInfo;
+  
+  // Generate natural language answer
+  const metricLabels = { revenue: 'Revenue', orders: 'Order Count', profit: 'Gross Profit', margin: 'Margin' };
+  let answer = `## Top ${limit} Customers by ${metricLabels[metric] || 'Purchase Volume'}\n\n`;
+  
+  // Add insights based on the data
+  if (results.length > 0) {
+    const topCustomer = results[0];
+    let metricValue = '';
+    
+    switch (metric) {
+      case 'revenue':
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topCustomer.total_revenue);
+        answer += `Your top customer is **${topCustomer.customer_name}** with a total revenue of **${metricValue}**.\n\n`;
+        break;
+      case 'orders':
+        metricValue = topCustomer.order_count.toLocaleString();
+        answer += `Your top customer by order count is **${topCustomer.customer_name}** with **${metricValue}** orders.\n\n`;
+        break;
+      case 'quantity':
+        metricValue = topCustomer.total_items.toLocaleString();
+        answer += `Your top customer by purchase volume is **${topCustomer.customer_name}** who purchased **${metricValue}** items.\n\n`;
+        break;
+      case 'profit':
+        metricValue = formatMetricValue('profit', topCustomer.total_profit);
+        answer += `Your most profitable customer is **${topCustomer.customer_name}** with a gross profit of **${metricValue}** `;
+        answer += `(${formatMetricValue('margin', topCustomer.margin_pct)} margin).\n\n`;
+        break;
+      case 'margin':
+        metricValue = formatMetricValue('margin', topCustomer.margin_pct);
+        answer += `The customer with the highest margin is **${topCustomer.customer_name}** at **${metricValue}** `;
+        answer += `on ${formatMetricValue('revenue', topCustomer.total_revenue)} of revenue.\n\n`;
+        break;
+      default:
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topCustomer.total_revenue);
+        answer += `Your top customer is **${topCustomer.customer_name}** with a total revenue of **${metricValue}**.\n\n`;
+    }
+    
+    // Additional insights
+    answer += `### Customer Segments\n\n`;
+    answer += `${describeSegments(results)}\n\n`;
+    
+    // Include summary
+    answer += `### Details\n\n`;
+    const basis = { revenue: 'revenue generated', orders: 'number of orders placed', profit: 'gross profit', margin: 'gross margin' };
+    answer += `I've analyzed your top ${limit} customers based on ${basis[metric] || 'quantity of items purchased'}.\n`;
+    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+  }
+  
+  // Prepare chart data
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: results.map(r => r.customer_name),
+      datasets: [
+        {
+          label: metricLabels[metric] || 'Items Purchased',
+          data: results.map(r => 
+            metric === 'revenue' ? r.total_revenue : 
+            metric === 'orders' ? r.order_count : 
+            metric === 'profit' ? r.total_profit : 
+            metric === 'margin' ? r.margin_pct : 
+            r.total_items
+          ),
+          backgroundColor: results.map((_, i) => `rgba(54, 162, ${235 - i * 10}, 0.2)`),
+          borderColor: results.map((_, i) => `rgba(54, 162, ${235 - i * 10}, 1)`),
+          borderWidth: 1
+        }
+      ]
+    },
+    chartOptions: {
+      indexAxis: 'y',
+      scales: {
+        x: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              if (metric === 'revenue' || metric === 'profit') return '$' + value.toLocaleString();
+              if (metric === 'margin') return value + '%';
+              return value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  // Prepare table data with appropriate column formatting
+  const metricColumn = { revenue: 'total_revenue', profit: 'total_profit', margin: 'margin_pct' }[metric];
+  const tableData = {
+    columns: ['customer_name', 'segment', 'region', 
+              metric === 'revenue' ? 'total_revenue' : 
+              metric === 'orders' ? 'order_count' : 
+              metric === 'profit' ? 'total_profit' : 
+              metric === 'margin' ? 'margin_pct' : 
+              'total_items',
+              ...['total_revenue', 'total_profit', 'margin_pct'].filter(column => column !== metricColumn),
+              'avg_order_value', 'last_purchase_date'],
+    rows: results.map(r => {
+      const row = {
+        customer_name: r.customer_name,
+        segment: r.segment,
+        region: r.region
+      };
+      
+      // Add the metric-specific column
+      if (metric === 'revenue') {
+        row.total_revenue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_revenue);
+      } else if (metric === 'orders') {
+        row.order_count = r.order_count.toLocaleString();
+      } else if (metric !== 'profit' && metric !== 'margin') {
+        row.total_items = r.total_items.toLocaleString();
+      }
+      
+      // Add common columns
+      row.total_revenue = formatMetricValue('revenue', r.total_revenue);
+      row.total_profit = formatMetricValue('profit', r.total_profit);
+      row.margin_pct = formatMetricValue('margin', r.margin_pct);
+      
+      row.avg_order_value = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+      }).format(r.avg_order_value);
+      
+      row.last_purchase_date = new Date(r.last_purchase_date).toLocaleDateString();
+      
+      return row;
+    })
+  };
+  
+  // Create visualizations
+  answer += `\`\`\`visualization:chart:Top Customers\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Customer Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations: []
+  };
+}
+
+/**
+ * Creates a response for a Pareto / ABC classification of products or
+ * customers: how few items make up most of the metric, the size of each class
+ * and a Pareto chart of bars with the cumulative share as a line
+ */
+function createParetoResponse(query, queryInfo, results, sqlQuery) {
+  const isCustomers = queryInfo.type === 'customer_analysis';
+  const items = isCustomers ? 'customers' : 'products';
+  const metricColumn = {
+    revenue: 'total_revenue',
+    profit: 'total_profit',
+    orders: 'order_count',
+    quantity: isCustomers ? 'total_items' : 'units_sold'
+  }[queryInfo.metric] || 'total_revenue';
+  const metricLabel = { total_revenue: 'Revenue', total_profit: 'Profit', order_count: 'Orders', total_items: 'Items Purchased', units_sold: 'Units Sold' }[metricColumn];
+  const formatMetric = ['total_revenue', 'total_profit'].includes(metricColumn)
+    ? formatCurrency
+    : value => value.toLocaleString();
+  const classA = parseFloat(queryInfo.paretoShare) > 0 && parseFloat(queryInfo.paretoShare) < 100
+    ? parseFloat(queryInfo.paretoShare)
+    : config.abc.classA;
+  const classB = Math.max(classA, config.abc.classB);
+  
+  let answer = `## Pareto Analysis of ${items.replace(/^\w/, c => c.toUpperCase())} by ${metricLabel}\n\n`;
+  
+  if (results.length === 0) {
+    answer += `No ${items} matched this question, so there is nothing to classify.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const total = results.reduce((sum, r) => sum + r[metricColumn], 0);
+  const classes = ['A', 'B', 'C'].map(name => {
+    const members = results.filter(r => r.abc_class === name);
+    const value = members.reduce((sum, r) => sum + r[metricColumn], 0);
+    return { name, members, value, share: total !== 0 ? value / total : 0 };
+  });
+  const [a] = classes;
+  
+  answer += `**${a.members.length} of ${results.length} ${items}** (${(a.members.length / results.length * 100).toFixed(1)}%) `;
+  answer += `make up ${(a.share * 100).toFixed(1)}% of ${metricLabel.toLowerCase()}, `;
+  answer += `the smallest group of top ${items} reaching ${classA}%.\n\n`;
+  
+  answer += `### ABC Classes\n\n`;
+  const classRanges = { A: `the top ${classA}%`, B: `the next ${classB - classA}%`, C: `the remaining ${100 - classB}%` };
+  classes.forEach(abcClass => {
+    answer += `- **Class ${abcClass.name}** (${classRanges[abcClass.name]}): ${abcClass.members.length} ${abcClass.members.length === 1 ? items.slice(0, -1) : items}, `;
+    answer += `${formatMetric(abcClass.value)} (${(abcClass.share * 100).toFixed(1)}% of ${metricLabel.toLowerCase()})\n`;
+  });
+  answer += `\n`;
+  
+  const names = a.members.slice(0, 10).map(r => r.name);
+  answer += `Class A ${items}: ${names.join(', ')}${a.members.length > names.length ? ` and ${a.members.length - names.length} more` : ''}.\n\n`;
+  
+  const classColors = { A: 1, B: 4, C: 3 };
+  
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: results.map(r => r.name),
+      datasets: [
+        {
+          type: 'bar',
+          label: metricLabel,
+          data: results.map(r => r[metricColumn]),
+          backgroundColor: results.map(r => getColor(classColors[r.abc_class], 'background')),
+          borderColor: results.map(r => getColor(classColors[r.abc_class], 'border')),
+          borderWidth: 1,
+          yAxisID: 'y',
+          order: 2
+        },
+        {
+          type: 'line',
+          label: 'Cumulative share (%)',
+          data: results.map(r => r.cumulative_share),
+          borderColor: getColor(0, 'border'),
+          backgroundColor: getColor(0, 'background'),
+          borderWidth: 2,
+          fill: false,
+          yAxisID: 'y1',
+          order: 1
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          type: 'linear',
+          position: 'left',
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              if (metricColumn === 'total_revenue' || metricColumn === 'total_profit') return '$' + value.toLocaleString();
+              return value.toLocaleString();
+            }
+          }
+        },
+        y1: {
+          type: 'linear',
+          position: 'right',
+          min: 0,
+          max: 100,
+          grid: {
+            drawOnChartArea: false
+          },
+          ticks: {
+            callback: function(value) {
+              return value + '%';
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const attributes = isCustomers ? ['segment', 'region'] : ['category'];
+  const tableData = {
+    columns: ['rank', 'name', ...attributes, metricColumn, 'share', 'cumulative_share', 'abc_class'],
+    rows: results.map((r, index) => ({
+      rank: index + 1,
+      name: r.name,
+      ...Object.fromEntries(attributes.map(attribute => [attribute, r[attribute]])),
+      [metricColumn]: formatMetric(r[metricColumn]),
+      share: `${r.share_pct}%`,
+      cumulative_share: `${r.cumulative_share}%`,
+      abc_class: r.abc_class
+    }))
+  };
+  
+  const visualizations = [
+    {
+      type: 'chart',
+      title: `Pareto chart of ${items}`,
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: `ABC classification of ${items}`,
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:Pareto Chart of ${items.replace(/^\w/, c => c.toUpperCase())}\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:ABC Classification of ${items.replace(/^\w/, c => c.toUpperCase())}\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Rolls customers up by segment into one line per segment: customers, orders and revenue
+ * @param {Array} customers - Customer rows with segment, order_count and total_revenue
+ * @param {Function} describeExtra - Optional function of a segment's customers returning more text for its line
+ * @returns {string} Markdown list lines
+ */
+function describeSegments(customers, describeExtra = null) {
+  // Group by segment and calculate totals
+  const segments = {};
+  customers.forEach(customer => {
+    if (!segments[customer.segment]) {
+      segments[customer.segment] = {
+        count: 0,
+        revenue: 0,
+        orders: 0,
+        customers: []
+      };
+    }
+    
+    segments[customer.segment].count++;
+    segments[customer.segment].customers.push(customer);
+    if (customer.total_revenue) segments[customer.segment].revenue += customer.total_revenue;
+    if (customer.order_count) segments[customer.segment].orders += customer.order_count;
+  });
+  
+  return Object.entries(segments)
+    .map(([segment, data]) => {
+      const revFormatted = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+      }).format(data.revenue);
+      
+      const extra = describeExtra ? describeExtra(data.customers) : '';
+      return `- ${segment}: ${data.count} customers, ${data.orders} orders, ${revFormatted} total revenue${extra}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Creates a response for product analysis queries
+ */
+function createProductResponse(query, queryInfo, results, sqlQuery) {
+  const { metric, limit } = queryInfo;
+  
+  // Generate natural language answer
+  const metricLabels = { revenue: 'Revenue', profit: 'Profit', margin: 'Margin' };
+  let answer = `## Top ${limit} Products by ${metricLabels[metric] || 'Units Sold'}\n\n`;
+  
+  // Add insights based on the data
+  if (results.length > 0) {
+    const topProduct = results[0];
+    let metricValue = '';
+    
+    switch (metric) {
+      case 'revenue':
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topProduct.total_revenue);
+        answer += `Your top product is **${topProduct.product_name}** with a total revenue of **${metricValue}**.\n\n`;
+        break;
+      case 'profit':
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topProduct.total_profit);
+        answer += `Your most profitable product is **${topProduct.product_name}** with a total profit of **${metricValue}**.\n\n`;
+        break;
+      case 'quantity':
+        metricValue = topProduct.units_sold.toLocaleString();
+        answer += `Your best-selling product by volume is **${topProduct.product_name}** with **${metricValue}** units sold.\n\n`;
+        break;
+      case 'margin':
+        metricValue = formatMetricValue('margin', topProduct.margin_pct);
+        answer += `Your highest-margin product is **${topProduct.product_name}** at **${metricValue}**, `;
+        answer += `earning ${formatMetricValue('profit', topProduct.total_profit)} on ${formatMetricValue('revenue', topProduct.total_revenue)} of revenue.\n\n`;
+        break;
+      default:
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topProduct.total_revenue);
+        answer += `Your top product is **${topProduct.product_name}** with a total revenue of **${metricValue}**.\n\n`;
+    }
+    
+    // Additional insights
+    answer += `### Product Categories\n\n`;
+    
+    // Group by category and calculate totals
+    const categories = {};
+    results.forEach(product => {
+      if (!categories[product.category]) {
+        categories[product.category] = {
+          count: 0,
+          revenue: 0,
+          profit: 0,
+          units: 0
+        };
+      }
+      
+      categories[product.category].count++;
+      if (product.total_revenue) categories[product.category].revenue += product.total_revenue;
+      if (product.total_profit) categories[product.category].profit += product.total_profit;
+      if (product.units_sold) categories[product.category].units += product.units_sold;
+    });
+    
+    // Add category insights
+    const categoryInsights = Object.entries(categories)
+      .map(([category, data]) => {
+        let insight = `- ${category}: ${data.count} products`;
+        
+        if (metric === 'revenue' || metric === 'profit') {
+          const value = metric === 'revenue' ? data.revenue : data.profit;
+          const formatted = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+          }).format(value);
+          insight += `, ${formatted} total ${metric}`;
+        }
+        
+        // A category's margin is its profit over its revenue, not an average of product margins
+        if (metric === 'margin' && data.revenue > 0) {
+          insight += `, ${formatMetricValue('margin', data.profit / data.revenue * 100)} margin`;
+        }
+        
+        if (data.units) {
+          insight += `, ${data.units.toLocaleString()} units sold`;
+        }
+        
+        return insight;
+      })
+      .join('\n');
+    
+    answer += `${categoryInsights}\n\n`;
+    
+    // Include summary
+    answer += `### Details\n\n`;
+    const basis = { revenue: 'revenue generated', profit: 'gross profit', margin: 'gross margin' };
+    answer += `I've analyzed your top ${limit} products based on ${basis[metric] || 'quantity sold'}.\n`;
+    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+  }
+  
+  // Prepare chart data
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: results.map(r => r.product_name),
+      datasets: [
+        {
+          label: metricLabels[metric] || 'Units Sold',
+          data: results.map(r => 
+            metric === 'revenue' ? r.total_revenue : 
+            metric === 'profit' ? r.total_profit : 
+            metric === 'margin' ? r.margin_pct : 
+            r.units_sold
+          ),
+          backgroundColor: results.map((_, i) => `rgba(75, 192, ${100 + i * 10}, 0.2)`),
+          borderColor: results.map((_, i) => `rgba(75, 192, ${100 + i * 10}, 1)`),
+          borderWidth: 1
+        }
+      ]
+    },
+    chartOptions: {
+      indexAxis: 'y',
+      scales: {
+        x: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              if (metric === 'revenue' || metric === 'profit') {
+                return '$' + value.toLocaleString();
+              }
+              if (metric === 'margin') return value + '%';
+              return value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  // Prepare table data with appropriate column formatting
+  const metricColumn = { revenue: 'total_revenue', profit: 'total_profit', margin: 'margin_pct' }[metric];
+  const tableData = {
+    columns: ['product_name', 'category', 
+              metric === 'revenue' ? 'total_revenue' : 
+              metric === 'profit' ? 'total_profit' : 
+              metric === 'margin' ? 'margin_pct' : 
+              'units_sold',
+              ...['total_revenue', 'total_profit', 'margin_pct'].filter(column => column !== metricColumn),
+              'order_count', 'avg_selling_price'],
+    rows: results.map(r => {
+      const row = {
+        product_name: r.product_name,
+        category: r.category
+      };
+      
+      // Add the metric-specific column
+      if (metric === 'revenue') {
+        row.total_revenue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_revenue);
+      } else if (metric === 'profit') {
+        row.total_profit = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_profit);
+      } else if (metric !== 'margin') {
+        row.units_sold = r.units_sold.toLocaleString();
+      }
+      
+      // Add common columns
+      row.total_revenue = formatMetricValue('revenue', r.total_revenue);
+      row.total_profit = formatMetricValue('profit', r.total_profit);
+      row.margin_pct = formatMetricValue('margin', r.margin_pct);
+      row.order_count = r.order_count.toLocaleString();
+      row.avg_selling_price = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+      }).format(r.avg_selling_price);
+      
+      return row;
+    })
+  };
+  
+  // Create visualizations
+  answer += `\`\`\`visualization:chart:Top Products\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Product Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations: []
+  };
+}
+
+/**
+ * Creates a response for regional analysis queries
+ */
+function createRegionalResponse(query, queryInfo, results, sqlQuery) {
+  const { metric } = queryInfo;
+  
+  // Generate natural language answer
+  let answer = `## Regional Analysis by ${metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : metric === 'margin' ? 'Margin' : metric === 'orders' ? 'Order Count' : 'Sales'}\n\n`;
+  
+  // Add insights based on the data
+  if (results.length > 0) {
+    // Sort results by the appropriate metric
+    let sortedResults = [...results].sort((a, b) => {
+      if (metric === 'revenue') return b.total_revenue - a.total_revenue;
+      if (metric === 'profit') return b.total_profit - a.total_profit;
+      if (metric === 'margin') return b.margin_pct - a.margin_pct;
+      if (metric === 'orders') return b.order_count - a.order_count;
+      return b.total_revenue - a.total_revenue;
+    });
+    
+    const topRegion = sortedResults[0];
+    let metricValue = '';
+    
+    switch (metric) {
+      case 'revenue':
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topRegion.total_revenue);
+        answer += `Your top performing region is **${topRegion.region}** with a total revenue of **${metricValue}**.\n\n`;
+        break;
+      case 'profit':
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topRegion.total_profit);
+        answer += `Your most profitable region is **${topRegion.region}** with a total profit of **${metricValue}**.\n\n`;
+        break;
+      case 'margin':
+        metricValue = formatMetricValue('margin', topRegion.margin_pct);
+        answer += `Your region with the highest margin is **${topRegion.region}** at **${metricValue}**, `;
+        answer += `earning ${formatMetricValue('profit', topRegion.total_profit)} on ${formatMetricValue('revenue', topRegion.total_revenue)} of revenue.\n\n`;
+        break;
+      case 'orders':
+        metricValue = topRegion.order_count.toLocaleString();
+        answer += `Your region with the highest order count is **${topRegion.region}** with **${metricValue}** orders.\n\n`;
+        break;
+      default:
+        metricValue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(topRegion.total_revenue);
+        answer += `Your top performing region is **${topRegion.region}** with a total revenue of **${metricValue}**.\n\n`;
+    }
+    
+    // Additional insights - calculate region percentages
+    let totalMetric = 0;
+    results.forEach(region => {
+      if (metric === 'revenue') totalMetric += region.total_revenue;
+      else if (metric === 'profit') totalMetric += region.total_profit;
+      else if (metric === 'orders') totalMetric += region.order_count;
+      else totalMetric += region.total_revenue;
+    });
+    
+    answer += `### Regional Distribution\n\n`;
+    answer += `Here's how your business is distributed across regions:\n\n`;
+    
+    const regionInsights = results
+      .map(region => {
+        // Margins don't add up across regions, so they have no share of a total
+        if (metric === 'margin') {
+          return `- **${region.region}**: ${formatMetricValue('margin', region.margin_pct)} (${formatMetricValue('profit', region.total_profit)} profit)`;
+        }
+        
+        let metricValue = 0;
+        if (metric === 'revenue') metricValue = region.total_revenue;
+        else if (metric === 'profit') metricValue = region.total_profit;
+        else if (metric === 'orders') metricValue = region.order_count;
+        else metricValue = region.total_revenue;
+        
+        const percentage = (metricValue / totalMetric * 100).toFixed(1);
+        
+        let formattedValue = '';
+        if (metric === 'revenue' || metric === 'profit') {
+          formattedValue = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+          }).format(metricValue);
+        } else {
+          formattedValue = metricValue.toLocaleString();
+        }
+        
+        return `- **${region.region}**: ${formattedValue} (${percentage}%)`;
+      })
+      .join('\n');
+    
+    answer += `${regionInsights}\n\n`;
+    
+    // Customer insights
+    answer += `### Customer Insights\n\n`;
+    
+    const customerInsights = results
+      .map(region => {
+        const avgValue = region.total_units > 0 
+          ? region.total_units / region.order_count 
+          : 0;
+        
+        return `- **${region.region}** has ${region.customer_count.toLocaleString()} customers with an average order value of ${region.avg_order_value ? new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(region.avg_order_value) : '$0.00'}`;
+      })
+      .join('\n');
+    
+    answer += `${customerInsights}\n\n`;
+    
+    // Include summary
+    answer += `### Details\n\n`;
+    answer += `I've analyzed your regional performance based on ${metric === 'revenue' ? 'revenue generated' : metric === 'profit' ? 'profit' : metric === 'margin' ? 'gross margin' : metric === 'orders' ? 'number of orders' : 'sales'}.\n`;
+    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+  }
+  
+  // Prepare chart data - use pie chart for regions, or bars for margins since they aren't parts of a whole
+  const chartData = {
+    chartType: metric === 'margin' ? 'bar' : 'pie',
+    chartData: {
+      labels: results.map(r => r.region),
+      datasets: [
+        {
+          ...(metric === 'margin' ? { label: 'Margin %' } : {}),
+          data: results.map(r => 
+            metric === 'revenue' ? r.total_revenue : 
+            metric === 'profit' ? r.total_profit : 
+            metric === 'margin' ? r.margin_pct : 
+            metric === 'orders' ? r.order_count :
+            r.total_revenue
+          ),
+          backgroundColor: [
+            'rgba(255, 99, 132, 0.2)',
+            'rgba(54, 162, 235, 0.2)',
+            'rgba(255, 206, 86, 0.2)',
+            'rgba(75, 192, 192, 0.2)',
+            'rgba(153, 102, 255, 0.2)',
+            'rgba(255, 159, 64, 0.2)'
+          ],
+          borderColor: [
+            'rgba(255, 99, 132, 1)',
+            'rgba(54, 162, 235, 1)',
+            'rgba(255, 206, 86, 1)',
+            'rgba(75, 192, 192, 1)',
+            'rgba(153, 102, 255, 1)',
+            'rgba(255, 159, 64, 1)'
+          ],
+          borderWidth: 1
+        }
+      ]
+    },
+    chartOptions: {
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              let label = context.label || '';
+              if (label) {
+                label += ': ';
+              }
+              if (context.parsed !== undefined) {
+                if (metric === 'revenue' || metric === 'profit') {
+                  label += new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: 'USD'
+                  }).format(context.parsed);
+                } else if (metric === 'margin') {
+                  label += context.parsed.y + '%';
+                } else {
+                  label += context.parsed.toLocaleString();
+                }
+              }
+              return label;
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  // Prepare table data with appropriate column formatting
+  const metricColumn = { revenue: 'total_revenue', profit: 'total_profit', margin: 'margin_pct' }[metric] || (metric === 'orders' ? null : 'total_revenue');
+  const tableData = {
+    columns: ['region', 
+              metric === 'revenue' ? 'total_revenue' : 
+              metric === 'profit' ? 'total_profit' : 
+              metric === 'margin' ? 'margin_pct' : 
+              metric === 'orders' ? 'order_count' :
+              'total_revenue',
+              ...['total_revenue', 'total_profit', 'margin_pct'].filter(column => column !== metricColumn),
+              'customer_count', 'order_count', 'total_units', 'avg_order_value'],
+    rows: results.map(r => {
+      const row = {
+        region: r.region,
+        total_revenue: formatMetricValue('revenue', r.total_revenue),
+        total_profit: formatMetricValue('profit', r.total_profit),
+        margin_pct: formatMetricValue('margin', r.margin_pct),
+        customer_count: r.customer_count.toLocaleString(),
+        order_count: r.order_count.toLocaleString(),
+        total_units: r.total_units.toLocaleString(),
+        avg_order_value: new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.avg_order_value)
+      };
+      
+      // Add the metric-specific column
+      if (metric === 'revenue') {
+        row.total_revenue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_revenue);
+      } else if (metric === 'profit') {
+        row.total_profit = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_profit);
+      } else if (metric === 'orders') {
+        // Already added above
+      } else {
+        row.total_revenue = new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(r.total_revenue);
+      }
+      
+      return row;
+    })
+  };
+  
+  // Create visualizations
+  answer += `\`\`\`visualization:chart:Regional Distribution\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Regional Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations: []
+  };
+}
+
+/**
+ * Creates a response for comparison analysis queries
+ */
+function createComparisonResponse(query, queryInfo, results, sqlQuery) {
+  const { entities, metric } = queryInfo;
+  
+  // Generate natural language answer
+  const entityLabels = {
+    category: ['Product Categories', 'category'],
+    region: ['Regions', 'region'],
+    segment: ['Customer Segments', 'segment'],
+    product: ['Products', 'product'],
+    customer: ['Customers', 'customer'],
+    status: ['Order Statuses', 'status']
+  };
+  const [entityType, entitySingular] = entityLabels[queryInfo.dimension || 'category'] || ['Items', 'item'];
+  
+  let answer = `## Comparison of ${entityType} by ${metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : metric === 'margin' ? 'Margin' : metric === 'quantity' ? 'Units Sold' : metric === 'orders' ? 'Order Count' : 'Performance'}\n\n`;
+  
+  // Process results to create a time series for each entity
+  if (results.length > 0) {
+    // Group results by entity
+    const entitiesData = {};
+    
+    results.forEach(row => {
+      if (!entitiesData[row.name]) {
+        entitiesData[row.name] = {
+          data: [],
+          total: 0,
+          revenue: 0,
+          profit: 0
+        };
+      }
+      
+      let value = 0;
+      if (metric === 'revenue') value = row.total_revenue;
+      else if (metric === 'profit') value = row.total_profit;
+      else if (metric === 'margin') value = row.margin_pct;
+      else if (metric === 'quantity') value = row.total_units;
+      else if (metric === 'orders') value = row.order_count;
+      else value = row.total_revenue;
+      
+      entitiesData[row.name].data.push({
+        month: row.month,
+        value
+      });
+      
+      entitiesData[row.name].total += value;
+      entitiesData[row.name].revenue += row.total_revenue || 0;
+      entitiesData[row.name].profit += row.total_profit || 0;
+    });
+    
+    // Monthly margins don't add up; the overall margin is total profit over total revenue
+    if (metric === 'margin') {
+      Object.values(entitiesData).forEach(data => {
+        data.total = data.revenue > 0 ? data.profit / data.revenue * 100 : 0;
+      });
+    }
+    
+    // Sort entities by total values
+    const sortedEntities = Object.entries(entitiesData)
+      .sort((a, b) => b[1].total - a[1].total)
+      .map(([name, data]) => name);
+    
+    // Generate insights
+    if (sortedEntities.length > 0) {
+      const topEntity = sortedEntities[0];
+      const topEntityData = entitiesData[topEntity];
+      
+      let metricLabel = '';
+      let metricValue = '';
+      
+      switch (metric) {
+        case 'revenue':
+          metricLabel = 'revenue';
+          metricValue = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+          }).format(topEntityData.total);
+          break;
+        case 'profit':
+          metricLabel = 'profit';
+          metricValue = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+          }).format(topEntityData.total);
+          break;
+        case 'margin':
+          metricLabel = 'margin';
+          metricValue = formatMetricValue('margin', topEntityData.total);
+          break;
+        case 'quantity':
+          metricLabel = 'units sold';
+          metricValue = topEntityData.total.toLocaleString();
+          break;
+        case 'orders':
+          metricLabel = 'orders';
+          metricValue = topEntityData.total.toLocaleString();
+          break;
+        default:
+          metricLabel = 'revenue';
+          metricValue = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+          }).format(topEntityData.total);
+      }
+      
+      answer += `Based on the analysis, **${topEntity}** has the highest ${metricLabel} with **${metricValue}**.\n\n`;
+      
+      // Compare entities
+      if (sortedEntities.length > 1) {
+        answer += `### Comparison Summary\n\n`;
+        
+        const entityInsights = sortedEntities.map(entity => {
+          const data = entitiesData[entity];
+          const formattedValue = metric === 'revenue' || metric === 'profit'
+            ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(data.total)
+            : metric === 'margin' ? formatMetricValue('margin', data.total)
+            : data.total.toLocaleString();
+          
+          return `- **${entity}**: ${formattedValue}`;
+        }).join('\n');
+        
+        answer += `${entityInsights}\n\n`;
+        
+        // Trends analysis
+        answer += `### Trend Analysis\n\n`;
+        
+        // Get trends for top entities
+        const topEntitiesForTrend = sortedEntities.slice(0, Math.min(3, sortedEntities.length));
+        
+        // Calculate month-over-month growth for each entity
+        const trendInsights = topEntitiesForTrend.map(entity => {
+          const monthlyData = entitiesData[entity].data;
+          
+          if (monthlyData.length < 2) {
+            return `- **${entity}**: Not enough data to calculate trend`;
+          }
+          
+          // Sort by month
+          monthlyData.sort((a, b) => a.month.localeCompare(b.month));
+          
+          // Calculate growth between first and last month
+          const firstMonth = monthlyData[0];
+          const lastMonth = monthlyData[monthlyData.length - 1];
+          
+          // A margin moves by percentage points rather than by a percentage of itself
+          if (metric === 'margin') {
+            const points = lastMonth.value - firstMonth.value;
+            return `- **${entity}** has ${points >= 0 ? 'increased' : 'decreased'} by ${Math.abs(points).toFixed(1)} points from ${firstMonth.month} to ${lastMonth.month}`;
+          }
+          
+          if (firstMonth.value === 0) {
+            return `- **${entity}**: No data available for the first month`;
+          }
+          
+          const growthPercent = ((lastMonth.value - firstMonth.value) / firstMonth.value * 100).toFixed(1);
+          const trend = growthPercent >= 0 ? 'increased' : 'decreased';
+          
+          return `- **${entity}** has ${trend} by ${Math.abs(growthPercent)}% from ${firstMonth.month} to ${lastMonth.month}`;
+        }).join('\n');
+        
+        answer += `${trendInsights}\n\n`;
+      }
+      
+      // Include summary
+      answer += `### Details\n\n`;
+      answer += `I've analyzed the performance of different ${entityType.toLowerCase()} based on ${metricLabel}.\n`;
+      answer += `The line chart below shows the trend over time for each ${entitySingular}.\n\n`;
+    }
+    
+    // Create datasets for line chart
+    const uniqueMonths = [...new Set(results.map(r => r.month))].sort();
+    
+    // Prepare chart data - use line chart for time series comparison
+    const chartData = {
+      chartType: 'line',
+      chartData: {
+        labels: uniqueMonths,
+        datasets: sortedEntities.map((entity, index) => {
+          // Generate data points for all months (fill in zeros for missing months)
+          const data = uniqueMonths.map(month => {
+            const monthData = entitiesData[entity].data.find(d => d.month === month);
+            return monthData ? monthData.value : 0;
+          });
+          
+          return {
+            label: entity,
+            data,
+            borderColor: getColor(index, 'border'),
+            backgroundColor: getColor(index, 'background'),
+            tension: 0.1,
+            fill: false
+          };
+        })
+      },
+      chartOptions: {
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: {
+              callback: function(value) {
+                if (metric === 'revenue' || metric === 'profit') {
+                  return '$' + value.toLocaleString();
+                }
+                if (metric === 'margin') return value + '%';
+                return value.toLocaleString();
+              }
+            }
+          }
+        }
+      }
+    };
+    
+    // Prepare aggregate table data
+    const tableData = {
+      columns: ['name', 'total', 'average', 'max', 'min'],
+      rows: sortedEntities.map(entity => {
+        const data = entitiesData[entity].data;
+        const values = data.map(d => d.value);
+        const total = entitiesData[entity].total;
+        const avg = values.reduce((sum, value) => sum + value, 0) / data.length;
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        
+        const formatValue = (value) => {
+          if (metric === 'revenue' || metric === 'profit') {
+            return formatCurrency(value);
+          }
+          if (metric === 'margin') return formatMetricValue('margin', value);
+          return value.toLocaleString();
+        };
+        
+        return {
+          name: entity,
+          total: formatValue(total),
+          average: formatValue(avg),
+          max: formatValue(max),
+          min: formatValue(min)
+        };
+      })
+    };
+    
+    // Create visualizations
+    answer += `\`\`\`visualization:chart:Comparison Over Time\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+    answer += `\`\`\`visualization:table:Performance Summary\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  }
+  
+  return {
+    answer,
+    visualizations: []
+  };
+}
+
+/**
+ * Creates a response for period-over-period comparisons: the change from each
+ * period to the next, or between two named periods for every value of a
+ * dimension, with the biggest gains and losses called out
+ */
+function createPeriodComparisonResponse(query, queryInfo, results, sqlQuery) {
+  const { metric, granularity, periods } = queryInfo;
+  const metricLabel = { profit: 'Profit', margin: 'Margin', quantity: 'Units Sold', orders: 'Orders' }[metric] || 'Revenue';
+  const isCurrency = !['quantity', 'orders', 'margin'].includes(metric);
+  const isMargin = metric === 'margin';
+  
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (isMargin) return `${value.toFixed(1)}%`;
+    if (isCurrency) {
+      return formatCurrency(value);
+    }
+    return value.toLocaleString();
+  };
+  const formatChange = (change, pct) => {
+    if (change === null || change === undefined) return 'N/A';
+    const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+    
+    // A margin changes by percentage points
+    if (isMargin) return `${sign}${Math.abs(change).toFixed(1)} pts`;
+    
+    const percent = pct === null || pct === undefined ? '' : ` (${pct > 0 ? '+' : ''}${pct}%)`;
+    return `${sign}${formatValue(Math.abs(change))}${percent}`;
+  };
+  
+  // Rows are periods, or dimension values when two named periods are compared
+  const rowKey = periods ? 'name' : 'period';
+  const rowLabel = periods ? (queryInfo.groupBy || 'category') : granularity;
+  const compared = results.filter(r => r.change !== null && r.change !== undefined);
+  const gains = compared.filter(r => r.change > 0).sort((a, b) => b.change - a.change).slice(0, 3);
+  const losses = compared.filter(r => r.change < 0).sort((a, b) => a.change - b.change).slice(0, 3);
+  
+  let title;
+  let answer;
+  
+  if (periods) {
+    title = `${metricLabel}: ${periods.current.label} vs ${periods.previous.label}`;
+    answer = `## ${title}\n\n`;
+    
+    // An order with items in several categories counts once in each, so order counts aren't summed
+    if (results.length > 0 && metric === 'orders') {
+      answer += `Orders are counted per ${rowLabel}; an order can count towards more than one ${rowLabel}.\n\n`;
+    } else if (results.length > 0 && isMargin) {
+      answer += `Margins are compared per ${rowLabel}; changes are in percentage points.\n\n`;
+    } else if (results.length > 0) {
+      const total = results.reduce((sum, r) => sum + r.value, 0);
+      const previousTotal = results.reduce((sum, r) => sum + r.previous_value, 0);
+      const change = total - previousTotal;
+      const pct = previousTotal ? Math.round(change / previousTotal * 1000) / 10 : null;
+      
+      answer += `${metricLabel} came to **${formatValue(total)}** in ${periods.current.label}, compared with **${formatValue(previousTotal)}** in ${periods.previous.label}: `;
+      answer += `a change of **${formatChange(change, pct)}**.\n\n`;
+    }
+  } else {
+    const granularityLabel = { quarter: 'Quarter-over-Quarter', year: 'Year-over-Year' }[granularity] || 'Month-over-Month';
+    title = `${granularityLabel} ${metricLabel}`;
+    answer = `## ${title}\n\n`;
+    
+    if (results.length === 1) {
+      answer += `The data covers a single ${granularity} (**${results[0].period}**, ${formatValue(results[0].value)}), so there is no earlier ${granularity} to compare it with.\n\n`;
+    } else if (results.length > 1) {
+      const latest = results[results.length - 1];
+      const growing = compared.filter(r => r.change > 0).length;
+      
+      answer += `In **${latest.period}**, ${metricLabel.toLowerCase()} came to **${formatValue(latest.value)}**, `;
+      answer += `a change of **${formatChange(latest.change, latest.change_pct)}** from ${results[results.length - 2].period}.\n\n`;
+      answer += `${metricLabel} grew in ${growing} of the ${compared.length} ${granularity}s that had an earlier ${granularity} to compare with.\n\n`;
+    }
+  }
+  
+  if (results.length === 0) {
+    answer += `No data matched this question.\n\n`;
+  }
+  
+  const describeRow = r => periods
+    ? `- **${r[rowKey]}**: ${formatChange(r.change, r.change_pct)} (${formatValue(r.previous_value)} to ${formatValue(r.value)})\n`
+    : `- **${r[rowKey]}**: ${formatChange(r.change, r.change_pct)} from the previous ${granularity}\n`;
+  
+  if (compared.length > 0) {
+    answer += `### Biggest Gains\n\n`;
+    answer += gains.length > 0 ? gains.map(describeRow).join('') : `No ${rowLabel} increased.\n`;
+    answer += `\n### Biggest Losses\n\n`;
+    answer += losses.length > 0 ? losses.map(describeRow).join('') : `No ${rowLabel} decreased.\n`;
+    answer += `\n`;
+  }
+  
+  // Bars for the values and a line for the percentage change on a second axis
+  const valueDatasets = periods
+    ? [
+        { label: periods.previous.label, data: results.map(r => r.previous_value), color: 6 },
+        { label: periods.current.label, data: results.map(r => r.value), color: 0 }
+      ]
+    : [{ label: metricLabel, data: results.map(r => r.value), color: 0 }];
+  
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: results.map(r => r[rowKey]),
+      datasets: [
+        ...valueDatasets.map(({ label, data, color }) => ({
+          type: 'bar',
+          label,
+          data,
+          backgroundColor: getColor(color, 'background'),
+          borderColor: getColor(color, 'border'),
+          borderWidth: 1,
+          yAxisID: 'y'
+        })),
+        {
+          type: 'line',
+          label: isMargin ? 'Change (pts)' : 'Change %',
+          data: results.map(r => (isMargin ? r.change : r.change_pct)),
+          borderColor: getColor(1, 'border'),
+          backgroundColor: getColor(1, 'background'),
+          yAxisID: 'y1',
+          tension: 0.1
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          type: 'linear',
+          position: 'left',
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: metricLabel
+          },
+          ticks: {
+            callback: function(value) {
+              if (isMargin) return value + '%';
+              return isCurrency ? '$' + value.toLocaleString() : value.toLocaleString();
+            }
+          }
+        },
+        y1: {
+          type: 'linear',
+          position: 'right',
+          grid: {
+            drawOnChartArea: false
+          },
+          title: {
+            display: true,
+            text: isMargin ? 'Change (pts)' : 'Change %'
+          },
+          ticks: {
+            callback: function(value) {
+              return isMargin ? value : value + '%';
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const valueColumns = periods
+    ? [periods.previous.label, periods.current.label]
+    : [`previous ${granularity}`, metricLabel.toLowerCase()];
+  
+  const tableData = {
+    columns: [rowLabel, ...valueColumns, 'change', 'change %'],
+    rows: results.map(r => ({
+      [rowLabel]: r[rowKey],
+      [valueColumns[0]]: formatValue(r.previous_value),
+      [valueColumns[1]]: formatValue(r.value),
+      change: r.change === null ? 'N/A' : formatChange(r.change, null),
+      'change %': r.change_pct === null ? 'N/A' : `${r.change_pct > 0 ? '+' : ''}${r.change_pct}%`
+    }))
+  };
+  
+  const visualizations = [
+    {
+      type: 'chart',
+      title,
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: `${title} by ${rowLabel}`,
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:${title}\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Period Comparison\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for forecasts: the monthly history, the forecast months
+ * with their 95% confidence band, and which method was used and why
+ */
+function createForecastResponse(query, queryInfo, results, sqlQuery) {
+  const column = { orders: 'order_count', quantity: 'units_sold', profit: 'total_profit' }[queryInfo.metric] || 'total_revenue';
+  const metricLabel = { order_count: 'Orders', units_sold: 'Units Sold', total_profit: 'Profit' }[column] || 'Revenue';
+  const isCurrency = column === 'total_revenue' || column === 'total_profit';
+  const horizon = Math.min(toLimit(queryInfo.horizon, 3), 24);
+  const method = FORECAST_METHODS.includes(queryInfo.method) ? queryInfo.method : 'auto';
+  
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (isCurrency) {
+      return formatCurrency(value);
+    }
+    return Math.round(value).toLocaleString();
+  };
+  
+  // Months without orders are missing from the results; they count as zero
+  const sorted = [...results].sort((a, b) => a.month.localeCompare(b.month));
+  const history = [];
+  sorted.forEach(row => {
+    while (history.length > 0 && shiftMonth(history[history.length - 1].month, 1) < row.month) {
+      history.push({ month: shiftMonth(history[history.length - 1].month, 1), value: 0 });
+    }
+    history.push({ month: row.month, value: row[column] || 0 });
+  });
+  
+  const title = `${metricLabel} Forecast: Next ${horizon} Month${horizon === 1 ? '' : 's'}`;
+  let answer = `## ${title}\n\n`;
+  
+  if (history.length < 2) {
+    answer += `There isn't enough monthly history to forecast from: at least two months of data are needed, and this question matched ${history.length}.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const result = forecastSeries(history.map(h => h.value), horizon, { method });
+  const lastMonth = history[history.length - 1].month;
+  
+  // Revenue, orders and units can't go below zero
+  const forecast = result.forecast.map((f, i) => ({
+    month: shiftMonth(lastMonth, i + 1),
+    value: Math.max(f.value, 0),
+    lower: Math.max(f.lower, 0),
+    upper: Math.max(f.upper, 0)
+  }));
+  const total = forecast.reduce((sum, f) => sum + f.value, 0);
+  
+  answer += `Based on ${history.length} months of history (${history[0].month} to ${lastMonth}), the ${metricLabel.toLowerCase()} forecast for the next `;
+  answer += `${horizon} month${horizon === 1 ? '' : 's'} (${forecast[0].month}${horizon > 1 ? ` to ${forecast[forecast.length - 1].month}` : ''}) totals **${formatValue(total)}**.\n\n`;
+  
+  forecast.forEach(f => {
+    answer += `- **${f.month}**: ${formatValue(f.value)} (95% range ${formatValue(f.lower)} to ${formatValue(f.upper)})\n`;
+  });
+  answer += `\n`;
+  
+  // Explain the choice of method from the backtest
+  answer += `### Method\n\n`;
+  const evaluation = result.evaluations.find(e => e.method === result.method);
+  const others = result.evaluations.filter(e => e.method !== result.method);
+  const methodLabel = result.label.replace(/^\w/, c => c.toUpperCase());
+  const backtest = `forecasting the last ${result.holdout} month${result.holdout === 1 ? '' : 's'} of history from the months before`;
+  
+  if (!evaluation) {
+    answer += `**${methodLabel}** was used${method === 'auto' ? '' : ', as requested'}. The history is too short to backtest the methods against each other.\n\n`;
+  } else if (method === 'auto') {
+    answer += `**${methodLabel}** was used because it had the lowest error when ${backtest} `;
+    answer += `(RMSE ${formatValue(evaluation.rmse)}, against ${others.map(e => `${formatValue(e.rmse)} for ${e.label}`).join(' and ')}).\n\n`;
+  } else {
+    const best = [...result.evaluations].sort((a, b) => a.rmse - b.rmse)[0];
+    answer += `**${methodLabel}** was used, as requested. Its RMSE when ${backtest} was ${formatValue(evaluation.rmse)}`;
+    answer += best.method === result.method
+      ? `, the lowest of the methods.\n\n`
+      : `; ${best.label} did better with ${formatValue(best.rmse)}.\n\n`;
+  }
+  
+  if (result.method === 'holt_winters' && !result.seasonal) {
+    answer += `Seasonality was left out because it needs at least 24 months of history, so only the level and trend were smoothed.\n\n`;
+  }
+  
+  answer += `The band is a 95% confidence range based on how far the method's fitted values were from the actual ones, and widens further ahead. `;
+  answer += `The forecast projects past patterns only; it can't anticipate promotions, price changes or other events.\n\n`;
+  
+  // History and forecast share the x-axis; the forecast line starts at the last actual month
+  const labels = [...history.map(h => h.month), ...forecast.map(f => f.month)];
+  const padding = Array(history.length - 1).fill(null);
+  const lastValue = history[history.length - 1].value;
+  
+  const chartData = {
+    chartType: 'line',
+    chartData: {
+      labels,
+      datasets: [
+        {
+          label: `Actual ${metricLabel.toLowerCase()}`,
+          data: [...history.map(h => h.value), ...forecast.map(() => null)],
+          borderColor: getColor(0, 'border'),
+          backgroundColor: getColor(0, 'background'),
+          tension: 0.1
+        },
+        {
+          label: 'Forecast',
+          data: [...padding, lastValue, ...forecast.map(f => f.value)],
+          borderColor: getColor(1, 'border'),
+          backgroundColor: getColor(1, 'background'),
+          borderDash: [5, 5],
+          tension: 0.1
+        },
+        {
+          label: 'Upper bound (95%)',
+          data: [...padding, lastValue, ...forecast.map(f => f.upper)],
+          borderColor: getColor(6, 'border'),
+          backgroundColor: getColor(6, 'background'),
+          borderDash: [2, 2],
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: 'Lower bound (95%)',
+          data: [...padding, lastValue, ...forecast.map(f => f.lower)],
+          borderColor: getColor(6, 'border'),
+          backgroundColor: getColor(6, 'background'),
+          borderDash: [2, 2],
+          pointRadius: 0,
+          // Shades the band between the two bounds
+          fill: '-1'
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return isCurrency ? '$' + value.toLocaleString() : value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const tableData = {
+    columns: ['month', 'actual', 'forecast', 'lower', 'upper'],
+    rows: [
+      ...history.map(h => ({
+        month: h.month,
+        actual: formatValue(h.value),
+        forecast: '',
+        lower: '',
+        upper: ''
+      })),
+      ...forecast.map(f => ({
+        month: f.month,
+        actual: '',
+        forecast: formatValue(f.value),
+        lower: formatValue(f.lower),
+        upper: formatValue(f.upper)
+      }))
+    ]
+  };
+  
+  const visualizations = [
+    {
+      type: 'chart',
+      title,
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: `${metricLabel} history and forecast`,
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:${title}\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Forecast Data\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for anomaly scans: the unusual days and months of each
+ * metric, what drove them, and line charts with the anomalies marked
+ */
+function createAnomalyResponse(query, queryInfo, results, sqlQuery) {
+  const metrics = (queryInfo.metrics || []).filter(m => ['revenue', 'orders', 'aov', 'profit', 'margin'].includes(m));
+  const granularities = (queryInfo.granularities || []).filter(g => ['day', 'month'].includes(g));
+  const metricLabels = { revenue: 'revenue', orders: 'orders', aov: 'average order value', profit: 'gross profit', margin: 'gross margin' };
+  const granularityLabels = { day: 'daily', month: 'monthly' };
+  
+  const formatValue = (metric, value) => (metric === 'orders' ? Math.round(value).toLocaleString()
+    : metric === 'margin' ? `${value.toFixed(1)}%`
+    : formatCurrency(value));
+  const list = items => new Intl.ListFormat('en', { style: 'long', type: 'conjunction' }).format(items);
+  
+  // Add up revenue, profit and orders per period, in total and per breakdown value
+  const totals = { day: {}, month: {} };
+  const breakdowns = { day: {}, month: {} };
+  
+  results.forEach(row => {
+    const keys = { day: row.day, month: row.day.slice(0, 7) };
+    
+    granularities.forEach(granularity => {
+      const key = keys[granularity];
+      
+      if (!row.dimension) {
+        const total = totals[granularity][key] || { revenue: 0, profit: 0, orders: 0 };
+        totals[granularity][key] = { revenue: total.revenue + row.revenue, profit: total.profit + row.profit, orders: total.orders + row.order_count };
+        return;
+      }
+      
+      const name = `${row.dimension}\t${row.dimension_value}`;
+      const byPeriod = breakdowns[granularity][name] || {};
+      const cell = byPeriod[key] || { revenue: 0, profit: 0, orders: 0 };
+      byPeriod[key] = { revenue: cell.revenue + row.revenue, profit: cell.profit + row.profit, orders: cell.orders + row.order_count };
+      breakdowns[granularity][name] = byPeriod;
+    });
+  });
+  
+  // Periods without orders count as zero revenue, profit and orders
+  const series = {};
+  granularities.forEach(granularity => {
+    const keys = Object.keys(totals[granularity]).sort();
+    const periods = [];
+    
+    keys.forEach(key => {
+      while (periods.length > 0 && shiftPeriod(granularity, periods[periods.length - 1], 1) < key) {
+        periods.push(shiftPeriod(granularity, periods[periods.length - 1], 1));
+      }
+      periods.push(key);
+    });
+    
+    series[granularity] = periods.map(key => {
+      const { revenue, profit, orders } = totals[granularity][key] || { revenue: 0, profit: 0, orders: 0 };
+      return {
+        key,
+        revenue,
+        profit,
+        orders,
+        aov: orders > 0 ? revenue / orders : null,
+        margin: revenue > 0 ? profit / revenue * 100 : null
+      };
+    });
+  });
+  
+  // Scan every metric at every granularity; AOV and margin have no value for periods without orders
+  const anomalies = [];
+  const methodsUsed = {};
+  
+  granularities.forEach(granularity => {
+    metrics.forEach(metric => {
+      const points = series[granularity].filter(point => point[metric] !== null);
+      const scan = detectAnomalies(points.map(point => point[metric]), { seasonLength: granularity === 'day' ? 7 : 12 });
+      methodsUsed[granularity] = scan.methods;
+      
+      scan.anomalies.forEach(anomaly => {
+        anomalies.push({
+          ...anomaly,
+          key: points[anomaly.index].key,
+          granularity,
+          metric,
+          drivers: findAnomalyDrivers(breakdowns[granularity], series[granularity], points[anomaly.index].key, metric, anomaly.direction)
+        });
+      });
+    });
+  });
+  
+  anomalies.sort((a, b) => b.score - a.score);
+  const listed = anomalies.slice(0, 10);
+  
+  const scanned = granularities.map(g => `${series[g].length} ${g}${series[g].length === 1 ? '' : 's'}`).join(' and ');
+  let answer = `## Anomaly Scan\n\n`;
+  answer += `I scanned ${list(granularities.map(g => granularityLabels[g]))} ${list(metrics.map(m => metricLabels[m]))} (${scanned}) `;
+  answer += `for values that z-scores, the interquartile range (IQR) and seasonal decomposition mark as outliers. `;
+  answer += `A value counts as an anomaly when at least two of the methods flag it.\n\n`;
+  
+  // Series too short to scan at all
+  granularities
+    .filter(g => (methodsUsed[g] || []).length === 0)
+    .forEach(g => {
+      answer += `The ${granularityLabels[g]} series has only ${series[g].length} ${g}${series[g].length === 1 ? '' : 's'}, too few to tell what is normal (at least 4 are needed).\n\n`;
+    });
+  
+  const withoutSeasonal = granularities.filter(g => (methodsUsed[g] || []).length > 0 && !methodsUsed[g].includes('seasonal'));
+  if (withoutSeasonal.length > 0) {
+    answer += `Seasonal decomposition needs two full seasons (14 days or 24 months), so it wasn't applied to the ${withoutSeasonal.map(g => granularityLabels[g]).join(' or ')} series.\n\n`;
+  }
+  
+  const scannedGranularities = granularities.filter(g => (methodsUsed[g] || []).length > 0);
+  
+  if (anomalies.length === 0 && scannedGranularities.length > 0) {
+    answer += `Nothing stood out: no ${scannedGranularities.join(' or ')} was unusual for any of the metrics.\n\n`;
+  } else if (anomalies.length > 0) {
+    answer += `### Anomalies\n\n`;
+    answer += anomalies.length > listed.length
+      ? `Found ${anomalies.length} anomalies; these are the ${listed.length} largest.\n\n`
+      : `Found ${anomalies.length} ${anomalies.length === 1 ? 'anomaly' : 'anomalies'}.\n\n`;
+    
+    listed.forEach(anomaly => {
+      answer += `- **${anomaly.key}** (${granularityLabels[anomaly.granularity]} ${metricLabels[anomaly.metric]}): `;
+      answer += `**${formatValue(anomaly.metric, anomaly.value)}** against an expected ${formatValue(anomaly.metric, anomaly.expected)}, `;
+      answer += `a ${anomaly.direction} flagged by ${list(anomaly.methods)}.`;
+      
+      if (anomaly.drivers.length > 0) {
+        const driverMetric = { orders: 'orders', profit: 'profit', margin: 'profit' }[anomaly.metric] || 'revenue';
+        const noun = anomaly.direction === 'spike' ? 'contributor' : 'shortfall';
+        answer += ` Largest ${noun}${anomaly.drivers.length === 1 ? '' : 's'}: `;
+        answer += list(anomaly.drivers.map(d => {
+          const sign = d.deviation >= 0 ? '+' : '-';
+          return `${d.dimension} **${d.value}** (${sign}${formatValue(driverMetric, Math.abs(d.deviation))} ${driverMetric === 'orders' ? 'orders ' : ''}against its ${granularityLabels[anomaly.granularity]} average)`;
+        }));
+        answer += '.';
+      }
+      
+      answer += `\n`;
+    });
+    answer += `\n`;
+  }
+  
+  // One line chart per granularity with each metric's anomalies marked
+  const metricColors = { revenue: 0, orders: 3, aov: 4, profit: 1, margin: 5 };
+  const metricAxes = { orders: 'y1', margin: 'y2' };
+  const charts = granularities.map(granularity => {
+    const points = series[granularity];
+    const lines = metrics.map(metric => ({
+      label: metricLabels[metric].replace(/^\w/, c => c.toUpperCase()),
+      data: points.map(point => point[metric]),
+      borderColor: getColor(metricColors[metric], 'border'),
+      backgroundColor: getColor(metricColors[metric], 'background'),
+      yAxisID: metricAxes[metric] || 'y',
+      pointRadius: granularity === 'day' ? 0 : 3,
+      tension: 0.1
+    }));
+    
+    const markers = metrics
+      .map(metric => {
+        const marked = anomalies.filter(a => a.granularity === granularity && a.metric === metric);
+        if (marked.length === 0) return null;
+        
+        return {
+          label: `${metricLabels[metric].replace(/^\w/, c => c.toUpperCase())} anomalies`,
+          data: points.map(point => (marked.some(a => a.key === point.key) ? point[metric] : null)),
+          borderColor: getColor(8, 'border'),
+          backgroundColor: getColor(8, 'border'),
+          yAxisID: metricAxes[metric] || 'y',
+          showLine: false,
+          pointRadius: 6,
+          pointStyle: 'triangle'
+        };
+      })
+      .filter(Boolean);
+    
+    return {
+      title: `${granularityLabels[granularity].replace(/^\w/, c => c.toUpperCase())} metrics with anomalies`,
+      data: {
+        chartType: 'line',
+        chartData: {
+          labels: points.map(point => point.key),
+          datasets: [...lines, ...markers]
+        },
+        chartOptions: {
+          scales: {
+            y: {
+              type: 'linear',
+              position: 'left',
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return '$' + value.toLocaleString();
+                }
+              }
+            },
+            y1: {
+              type: 'linear',
+              display: metrics.includes('orders'),
+              position: 'right',
+              beginAtZero: true,
+              grid: {
+                drawOnChartArea: false
+              },
+              title: {
+                display: true,
+                text: 'Orders'
+              }
+            },
+            y2: {
+              type: 'linear',
+              display: metrics.includes('margin'),
+              position: 'right',
+              grid: {
+                drawOnChartArea: false
+              },
+              ticks: {
+                callback: function(value) {
+                  return value + '%';
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+  });
+  
+  const tableData = {
+    columns: ['period', 'metric', 'value', 'expected', 'direction', 'methods', 'drivers'],
+    rows: anomalies.map(anomaly => ({
+      period: anomaly.key,
+      metric: `${granularityLabels[anomaly.granularity]} ${metricLabels[anomaly.metric]}`,
+      value: formatValue(anomaly.metric, anomaly.value),
+      expected: formatValue(anomaly.metric, anomaly.expected),
+      direction: anomaly.direction,
+      methods: anomaly.methods.join(', '),
+      drivers: anomaly.drivers.map(d => `${d.dimension}: ${d.value}`).join('; ')
+    }))
+  };
+  
+  const visualizations = [
+    ...charts.map(chart => ({
+      type: 'chart',
+      title: chart.title,
+      data: chart.data
+    })),
+    {
+      type: 'table',
+      title: 'Anomalies',
+      data: tableData
+    }
+  ];
+  
+  charts.forEach(chart => {
+    answer += `\`\`\`visualization:chart:${chart.title}\n${JSON.stringify(chart.data)}\n\`\`\`\n\n`;
+  });
+  if (anomalies.length > 0) {
+    answer += `\`\`\`visualization:table:Anomalies\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  }
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for cohort analysis: a retention matrix of cohort month
+ * against months since, shown as a heatmap table, with retention at months 1, 3 and 6
+ */
+function createCohortResponse(query, queryInfo, results, sqlQuery) {
+  const basis = queryInfo.cohortBy === 'signup' ? 'signup month' : 'first order month';
+  
+  // Build the matrix of active customers per cohort and month since
+  const cohorts = {};
+  results.forEach(row => {
+    const cohort = cohorts[row.cohort_month] || {
+      month: row.cohort_month,
+      size: row.cohort_size,
+      returning: row.returning_customers,
+      active: {}
+    };
+    cohort.active[row.months_since] = row.active_customers;
+    cohorts[row.cohort_month] = cohort;
+  });
+  
+  const cohortList = Object.values(cohorts).sort((a, b) => a.month.localeCompare(b.month));
+  
+  let answer = `## Customer Retention by ${queryInfo.cohortBy === 'signup' ? 'Signup Month' : 'First Order Month'}\n\n`;
+  
+  if (cohortList.length === 0) {
+    answer += `No cohort matched this question. Cohorts fall in a date range by the month they start in.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  // A cohort only counts towards month N once the data reaches N months past its start
+  const lastMonth = results.reduce((latest, row) => {
+    const month = shiftMonth(row.cohort_month, row.months_since);
+    return month > latest ? month : latest;
+  }, '');
+  
+  // Signup cohorts can start ordering months after signing up, which would read as
+  // months of 0% retention, so their months are counted from the cohort's first
+  // month with orders instead; first order cohorts always start at month 0
+  cohortList.forEach(cohort => {
+    const ordered = Object.keys(cohort.active).map(Number).filter(months => cohort.active[months] > 0);
+    cohort.offset = ordered.length > 0 ? Math.max(Math.min(...ordered), 0) : 0;
+    cohort.active = Object.fromEntries(Object.entries(cohort.active)
+      .map(([months, active]) => [Number(months) - cohort.offset, active])
+      .filter(([months]) => months >= 0));
+  });
+  
+  const monthsObserved = cohort => monthsBetween(cohort.month, lastMonth) - cohort.offset;
+  const maxMonths = Math.max(...cohortList.map(monthsObserved));
+  const shifted = cohortList.filter(cohort => cohort.offset > 0);
+  
+  const retentionAt = months => {
+    const eligible = cohortList.filter(cohort => monthsObserved(cohort) >= months);
+    const size = eligible.reduce((sum, cohort) => sum + cohort.size, 0);
+    const active = eligible.reduce((sum, cohort) => sum + (cohort.active[months] || 0), 0);
+    return size > 0 ? { rate: active / size, cohorts: eligible.length } : null;
+  };
+  
+  const customers = cohortList.reduce((sum, cohort) => sum + cohort.size, 0);
+  const returning = cohortList.reduce((sum, cohort) => sum + cohort.returning, 0);
+  
+  answer += `${customers.toLocaleString()} customers fall into ${cohortList.length} cohort${cohortList.length === 1 ? '' : 's'} by ${basis} `;
+  answer += `(${cohortList[0].month}${cohortList.length > 1 ? ` to ${cohortList[cohortList.length - 1].month}` : ''}). `;
+  answer += `**${returning.toLocaleString()}** of them (**${formatPercent(customers > 0 ? returning / customers : 0)}**) `;
+  answer += `came back to order in a later month than their first order.\n\n`;
+  
+  answer += `### Retention\n\n`;
+  [1, 3, 6].forEach(months => {
+    const retention = retentionAt(months);
+    answer += retention
+      ? `- **Month ${months}**: ${formatPercent(retention.rate)} of customers ordered, across ${retention.cohorts} cohort${retention.cohorts === 1 ? '' : 's'} old enough to measure\n`
+      : `- **Month ${months}**: not measurable yet; no cohort is ${months} month${months === 1 ? '' : 's'} old\n`;
+  });
+  answer += `\n`;
+  
+  if (queryInfo.cohortBy === 'signup') {
+    if (shifted.length < cohortList.length) {
+      answer += `Month 0 is the signup month, so customers who signed up before they first ordered start below 100%. `;
+    }
+    
+    if (shifted.length > 0) {
+      const offsets = shifted.map(cohort => cohort.offset);
+      const range = Math.min(...offsets) === Math.max(...offsets)
+        ? `${offsets[0]}`
+        : `${Math.min(...offsets)} to ${Math.max(...offsets)}`;
+      answer += shifted.length === cohortList.length
+        ? `Every cohort first ordered ${range} months after signing up, so the baseline is shifted: `
+        : `${shifted.length} of the ${cohortList.length} cohorts first ordered ${range} months after signing up, so their baseline is shifted: `;
+      answer += `month 0 is a cohort's first month with orders rather than its signup month.`;
+    }
+    
+    answer += `\n\n`;
+  }
+  
+  // Heatmap table: one row per cohort, one column per month since, cells shaded by retention
+  const monthColumns = Array.from({ length: maxMonths + 1 }, (_, i) => `month ${i}`);
+  const offsetColumns = shifted.length > 0 ? ['months to first order'] : [];
+  const tableData = {
+    columns: ['cohort', 'customers', ...offsetColumns, ...monthColumns],
+    rows: cohortList.map(cohort => {
+      const row = { cohort: cohort.month, customers: cohort.size.toLocaleString() };
+      if (offsetColumns.length > 0) row['months to first order'] = cohort.offset;
+      monthColumns.forEach((column, i) => {
+        row[column] = i <= monthsObserved(cohort) ? formatPercent((cohort.active[i] || 0) / cohort.size) : '';
+      });
+      return row;
+    }),
+    heatmap: {
+      columns: monthColumns,
+      min: 0,
+      max: 100,
+      colors: [getColor(0, 'background'), getColor(0, 'border')]
+    }
+  };
+  
+  // The average retention curve across cohorts
+  const curve = monthColumns.map((_, i) => retentionAt(i));
+  const chartData = {
+    chartType: 'line',
+    chartData: {
+      labels: monthColumns,
+      datasets: [
+        {
+          label: 'Customers ordering (%)',
+          data: curve.map(point => (point ? Math.round(point.rate * 1000) / 10 : null)),
+          borderColor: getColor(0, 'border'),
+          backgroundColor: getColor(0, 'background'),
+          tension: 0.1
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          beginAtZero: true,
+          max: 100,
+          ticks: {
+            callback: function(value) {
+              return value + '%';
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const visualizations = [
+    {
+      type: 'table',
+      title: `Retention by ${basis}`,
+      data: tableData
+    },
+    {
+      type: 'chart',
+      title: 'Average retention curve',
+      data: chartData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:table:Retention Heatmap\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:chart:Average Retention Curve\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for RFM segmentation: the size and revenue share of each
+ * segment, the customers in each, a chart and the scored customers
+ */
+function createRfmResponse(query, queryInfo, results, sqlQuery) {
+  
+  let answer = `## RFM Customer Segmentation\n\n`;
+  
+  if (results.length === 0) {
+    answer += `No customers matched this question, so there is nobody to segment.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const totalRevenue = results.reduce((sum, r) => sum + r.total_revenue, 0);
+  const latest = results.reduce((max, r) => (r.last_purchase_date > max ? r.last_purchase_date : max), '');
+  
+  // Segments in the order of RFM_SEGMENTS; customers stay sorted by revenue
+  const segments = RFM_SEGMENTS
+    .map(segment => {
+      const customers = results.filter(r => r.rfm_segment === segment.name);
+      const revenue = customers.reduce((sum, r) => sum + r.total_revenue, 0);
+      return { ...segment, customers, revenue };
+    })
+    .filter(segment => segment.customers.length > 0);
+  
+  answer += `I scored ${results.length} customers from 1 to 5 on recency (days since their last order, counted back from ${latest}), `;
+  answer += `frequency (orders) and monetary value (revenue), splitting each measure into quintiles, `;
+  answer += `and grouped them into segments by their recency score and their combined frequency and monetary score.\n\n`;
+  
+  answer += `### Segments\n\n`;
+  segments.forEach(segment => {
+    answer += `- **${segment.name}**: ${segment.customers.length} customer${segment.customers.length === 1 ? '' : 's'} `;
+    answer += `(${formatPercent(segment.customers.length / results.length)}), ${formatCurrency(segment.revenue)} `;
+    answer += `(${formatPercent(totalRevenue > 0 ? segment.revenue / totalRevenue : 0)} of revenue). They ${segment.description}.\n`;
+  });
+  answer += `\n`;
+  
+  answer += `### Customers by Segment\n\n`;
+  segments.forEach(segment => {
+    const names = segment.customers.slice(0, 10).map(r => r.customer_name);
+    const more = segment.customers.length - names.length;
+    answer += `- **${segment.name}**: ${names.join(', ')}${more > 0 ? ` and ${more} more` : ''}\n`;
+  });
+  answer += `\n`;
+  
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: segments.map(segment => segment.name),
+      datasets: [
+        {
+          label: 'Customers',
+          data: segments.map(segment => segment.customers.length),
+          backgroundColor: getColor(0, 'background'),
+          borderColor: getColor(0, 'border'),
+          borderWidth: 1,
+          yAxisID: 'y'
+        },
+        {
+          label: 'Revenue',
+          data: segments.map(segment => segment.revenue),
+          backgroundColor: getColor(1, 'background'),
+          borderColor: getColor(1, 'border'),
+          borderWidth: 1,
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          type: 'linear',
+          position: 'left',
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Customers'
+          }
+        },
+        y1: {
+          type: 'linear',
+          position: 'right',
+          beginAtZero: true,
+          grid: {
+            drawOnChartArea: false
+          },
+          ticks: {
+            callback: function(value) {
+              return '$' + value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const segmentTable = {
+    columns: ['rfm_segment', 'customers', 'customer_share', 'revenue', 'revenue_share'],
+    rows: segments.map(segment => ({
+      rfm_segment: segment.name,
+      customers: segment.customers.length.toLocaleString(),
+      customer_share: formatPercent(segment.customers.length / results.length),
+      revenue: formatCurrency(segment.revenue),
+      revenue_share: formatPercent(totalRevenue > 0 ? segment.revenue / totalRevenue : 0)
+    }))
+  };
+  
+  const customerTable = {
+    columns: ['customer_name', 'rfm_segment', 'recency_days', 'order_count', 'total_revenue', 'rfm_score', 'segment', 'region'],
+    rows: results.map(r => ({
+      customer_name: r.customer_name,
+      rfm_segment: r.rfm_segment,
+      recency_days: r.recency_days.toLocaleString(),
+      order_count: r.order_count.toLocaleString(),
+      total_revenue: formatCurrency(r.total_revenue),
+      rfm_score: `${r.recency_score}-${r.frequency_score}-${r.monetary_score}`,
+      segment: r.segment,
+      region: r.region
+    }))
+  };
+  
+  const visualizations = [
+    {
+      type: 'chart',
+      title: 'Customers and revenue by RFM segment',
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: 'RFM segments',
+      data: segmentTable
+    },
+    {
+      type: 'table',
+      title: 'Customers with RFM scores',
+      data: customerTable
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:Customers and Revenue by RFM Segment\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:RFM Segments\n${JSON.stringify(segmentTable)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Customers with RFM Scores\n${JSON.stringify(customerTable)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Creates a response for customer lifetime value and churn risk: the most
+ * valuable (or most at-risk) customers, the CLV distribution and segment rollups
+ */
+function createClvResponse(query, queryInfo, results, sqlQuery) {
+  const byChurn = queryInfo.rankBy === 'churn_risk';
+  const limit = toLimit(queryInfo.limit);
+  const { lifetimeMonths, highRiskGap, mediumRiskGap } = config.clv;
+  
+  let answer = `## ${byChurn ? 'Customer Churn Risk' : 'Customer Lifetime Value'}\n\n`;
+  
+  if (results.length === 0) {
+    answer += `No customers matched this question, so there is no lifetime value to estimate.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const totalClv = results.reduce((sum, r) => sum + r.clv, 0);
+  const atRisk = results.filter(r => r.churn_risk === 'High');
+  const ranked = results.slice(0, limit);
+  
+  answer += `Lifetime value is estimated as average order value × orders per month since signup × ${lifetimeMonths} months. `;
+  answer += `Churn risk compares the days since a customer's last order with their usual gap between orders: `;
+  answer += `${highRiskGap}× the gap or more is high risk, ${mediumRiskGap}× or more is medium.\n\n`;
+  
+  answer += `Across ${results.length} customers the estimated lifetime value totals **${formatCurrency(totalClv)}**, `;
+  answer += `an average of ${formatCurrency(totalClv / results.length)} per customer.\n\n`;
+  
+  answer += byChurn ? `### Most at Risk\n\n` : `### Most Valuable Customers\n\n`;
+  ranked.slice(0, 5).forEach(r => {
+    answer += `- **${r.customer_name}** (${r.segment}): ${formatCurrency(r.clv)} lifetime value, ${r.order_count} orders `;
+    answer += `averaging ${formatCurrency(r.avg_order_value)}; `;
+    answer += r.recency_days === 0 ? `ordered on the latest order date` : `last ordered ${r.recency_days} day${r.recency_days === 1 ? '' : 's'} ago`;
+    answer += r.typical_gap_days !== null ? ` against a usual gap of ${r.typical_gap_days} days (${r.churn_risk.toLowerCase()} churn risk)\n` : `\n`;
+  });
+  answer += `\n`;
+  
+  answer += `### Churn Risk\n\n`;
+  ['High', 'Medium', 'Low', 'Unknown'].forEach(risk => {
+    const customers = results.filter(r => r.churn_risk === risk);
+    if (customers.length === 0) return;
+    const value = customers.reduce((sum, r) => sum + r.clv, 0);
+    answer += `- **${risk}**: ${customers.length} customer${customers.length === 1 ? '' : 's'}, ${formatCurrency(value)} of lifetime value\n`;
+  });
+  if (atRisk.length > 0) {
+    answer += `\nReaching out to ${atRisk.slice(0, 3).map(r => r.customer_name).join(', ')}${atRisk.length > 3 ? ` and ${atRisk.length - 3} more` : ''} could protect the most value.\n`;
+  }
+  answer += `\n`;
+  
+  answer += `### Customer Segments\n\n`;
+  answer += `${describeSegments(results, customers => {
+    const clv = customers.reduce((sum, r) => sum + r.clv, 0) / customers.length;
+    const highRisk = customers.filter(r => r.churn_risk === 'High').length;
+    return `, ${formatCurrency(clv)} average lifetime value, ${highRisk} at high churn risk`;
+  })}\n\n`;
+  
+  // Equal-width bins between the lowest and highest CLV
+  const values = results.map(r => r.clv);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const binCount = Math.min(10, Math.max(1, Math.ceil(Math.sqrt(values.length))));
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + width * i,
+    to: min + width * (i + 1),
+    customers: 0
+  }));
+  values.forEach(value => {
+    bins[Math.min(binCount - 1, Math.floor((value - min) / width))].customers++;
+  });
+  
+  const compactCurrency = value => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    maximumFractionDigits: 1
+  }).format(value);
+  
+  const histogramData = {
+    chartType: 'bar',
     chartData: {
-      labels: results.map(r => r.name),
+      labels: bins.map(bin => `${compactCurrency(bin.from)}–${compactCurrency(bin.to)}`),
       datasets: [
         {
-          label: 'Revenue',
-          data: results.map(r => r.revenue),
-          backgroundColor: 'rgba(54, 162, 235, 0.2)',
-          borderColor: 'rgba(54, 162, 235, 1)',
-          borderWidth: 1
+          label: 'Customers',
+          data: bins.map(bin => bin.customers),
+          backgroundColor: getColor(0, 'background'),
+          borderColor: getColor(0, 'border'),
+          borderWidth: 1,
+          barPercentage: 1,
+          categoryPercentage: 1
         }
       ]
     },
     chartOptions: {
       scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Estimated lifetime value'
+          }
+        },
         y: {
           beginAtZero: true,
           ticks: {
-            callback: function(value) {
-              return '$' + value.toLocaleString();
-            }
+            precision: 0
           }
         }
       }
     }
   };
   
-  // Prepare table data
   const tableData = {
-    columns: ['name', 'revenue', 'units_sold'],
-    rows: results.map(r => ({
-      name: r.name,
-      revenue: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD'
-      }).format(r.revenue),
-      units_sold: r.units_sold ? r.units_sold.toLocaleString() : 'N/A'
+    columns: ['customer_name', 'segment', 'region', 'clv', 'total_revenue', 'avg_order_value', 'orders_per_month', 'tenure_days', 'recency_days', 'typical_gap_days', 'churn_risk'],
+    rows: ranked.map(r => ({
+      customer_name: r.customer_name,
+      segment: r.segment,
+      region: r.region,
+      clv: formatCurrency(r.clv),
+      total_revenue: formatCurrency(r.total_revenue),
+      avg_order_value: formatCurrency(r.avg_order_value),
+      orders_per_month: r.orders_per_month.toLocaleString(),
+      tenure_days: r.tenure_days.toLocaleString(),
+      recency_days: r.recency_days.toLocaleString(),
+      typical_gap_days: r.typical_gap_days !== null ? r.typical_gap_days.toLocaleString() : '',
+      churn_risk: r.churn_risk
     }))
   };
   
-  // Create visualizations
+  const tableTitle = byChurn ? `Top ${ranked.length} Customers by Churn Risk` : `Top ${ranked.length} Customers by Lifetime Value`;
+  
   const visualizations = [
-    {
-      type: 'chart',
-      title: `Revenue ${groupDescription} for ${timeDescription}`,
-      data: chartData
-    },
     {
       type: 'table',
-      title: `Revenue Data ${groupDescription}`,
+      title: tableTitle,
       data: tableData
+    },
+    {
+      type: 'chart',
+      title: 'Lifetime value distribution',
+      data: histogramData
     }
   ];
   
-  // Add SQL details for transparency (in a real app, this might be toggleable or only for advanced users)
-  answer += `\`\`\`visualization:chart:Revenue Analysis\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
-  answer += `\`\`\`visualization:table:Detailed Revenue Data\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:${tableTitle}\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:chart:Lifetime Value Distribution\n${JSON.stringify(histogramData)}\n\`\`\`\n\n`;
   
   return {
     answer,
@@ -785,287 +5295,290 @@ function createRevenueResponse(query, queryInfo, results, sqlQuery) {
 }
 
 /**
- * Creates a response for customer analysis queries
+ * Creates a response for pricing analysis: revenue lost to discounting, where
+ * discounts are deepest, how units sold vary with the discount, and a scatter of
+ * discount against units sold
  */
-function createCustomerResponse(query, queryInfo, results, sqlQuery) {
-  const { limit, metric } = queryInfo;
+function createPricingResponse(query, queryInfo, results, sqlQuery) {
+  const timeGroupings = ['month', 'quarter', 'year'];
+  const dimensions = queryInfo.groupBy ? [queryInfo.groupBy] : PRICING_BREAKDOWNS;
   
-  // Generate natural language answer
-  let answer = `## Top ${limit} Customers by ${metric === 'revenue' ? 'Revenue' : metric === 'orders' ? 'Order Count' : 'Purchase Volume'}\n\n`;
+  let answer = `## Discount and Pricing Analysis\n\n`;
   
-  // Add insights based on the data
-  if (results.length > 0) {
-    const topCustomer = results[0];
-    let metricValue = '';
-    
-    switch (metric) {
-      case 'revenue':
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topCustomer.total_revenue);
-        answer += `Your top customer is **${topCustomer.customer_name}** with a total revenue of **${metricValue}**.\n\n`;
-        break;
-      case 'orders':
-        metricValue = topCustomer.order_count.toLocaleString();
-        answer += `Your top customer by order count is **${topCustomer.customer_name}** with **${metricValue}** orders.\n\n`;
-        break;
-      case 'quantity':
-        metricValue = topCustomer.total_items.toLocaleString();
-        answer += `Your top customer by purchase volume is **${topCustomer.customer_name}** who purchased **${metricValue}** items.\n\n`;
-        break;
-      default:
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topCustomer.total_revenue);
-        answer += `Your top customer is **${topCustomer.customer_name}** with a total revenue of **${metricValue}**.\n\n`;
-    }
-    
-    // Additional insights
-    answer += `### Customer Segments\n\n`;
-    
-    // Group by segment and calculate totals
-    const segments = {};
-    results.forEach(customer => {
-      if (!segments[customer.segment]) {
-        segments[customer.segment] = {
-          count: 0,
-          revenue: 0,
-          orders: 0
-        };
-      }
-      
-      segments[customer.segment].count++;
-      if (customer.total_revenue) segments[customer.segment].revenue += customer.total_revenue;
-      if (customer.order_count) segments[customer.segment].orders += customer.order_count;
-    });
-    
-    // Add segment insights
-    const segmentInsights = Object.entries(segments)
-      .map(([segment, data]) => {
-        const revFormatted = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(data.revenue);
-        
-        return `- ${segment}: ${data.count} customers, ${data.orders} orders, ${revFormatted} total revenue`;
-      })
-      .join('\n');
-    
-    answer += `${segmentInsights}\n\n`;
+  const bands = results
+    .filter(r => r.dimension === 'discount_band')
+    .sort((a, b) => a.dimension_value - b.dimension_value);
+  
+  if (bands.length === 0) {
+    answer += `No order lines matched this question, so there are no prices to analyse.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const listRevenue = sumField(bands, 'list_revenue');
+  const revenue = sumField(bands, 'revenue');
+  const lost = sumField(bands, 'discount_amount');
+  
+  answer += `At retail prices these sales would have brought in ${formatCurrency(listRevenue)}; they brought in ${formatCurrency(revenue)}. `;
+  answer += `**Revenue lost to discounting: ${formatCurrency(lost)}**, an average realised discount of **${(listRevenue > 0 ? lost / listRevenue * 100 : 0).toFixed(1)}%** off retail price.\n\n`;
+  
+  const breakdowns = dimensions
+    .map(dimension => ({
+      dimension,
+      time: timeGroupings.includes(dimension),
+      rows: results.filter(r => r.dimension === dimension)
+    }))
+    .filter(breakdown => breakdown.rows.length > 0);
+  
+  answer += `### Average Realised Discount\n\n`;
+  breakdowns.forEach(breakdown => {
+    const ranked = [...breakdown.rows].sort((a, b) => b.discount_pct - a.discount_pct);
+    const deepest = ranked[0];
+    const shallowest = ranked[ranked.length - 1];
     
-    // Include summary
-    answer += `### Details\n\n`;
-    answer += `I've analyzed your top ${limit} customers based on ${metric === 'revenue' ? 'revenue generated' : metric === 'orders' ? 'number of orders placed' : 'quantity of items purchased'}.\n`;
-    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+    answer += `- **By ${breakdown.dimension}**: deepest for ${deepest.dimension_value} (${deepest.discount_pct.toFixed(1)}%, ${formatCurrency(deepest.discount_amount)} lost)`;
+    answer += ranked.length > 1 ? `, shallowest for ${shallowest.dimension_value} (${shallowest.discount_pct.toFixed(1)}%)\n` : `\n`;
+  });
+  answer += `\n`;
+  
+  const bandLabel = band => `${band.dimension_value}–${band.dimension_value + DISCOUNT_BAND_WIDTH}%`;
+  
+  answer += `### Price and Volume\n\n`;
+  bands.forEach(band => {
+    answer += `- Lines discounted **${bandLabel(band)}**: ${band.order_lines.toLocaleString()} lines averaging ${(band.units_sold / band.order_lines).toFixed(2)} units, `;
+    answer += `${formatCurrency(band.discount_amount)} lost\n`;
+  });
+  
+  // The scatter plots the rows of the first breakdown, products unless a grouping was asked for
+  const points = breakdowns.length > 0 ? breakdowns[0].rows : [];
+  const correlation = pearson(points.map(r => r.discount_pct), points.map(r => r.units_sold));
+  
+  if (correlation !== null) {
+    const strength = Math.abs(correlation) >= 0.5 ? 'strong' : Math.abs(correlation) >= 0.3 ? 'moderate' : 'weak';
+    const plural = breakdowns[0].dimension.replace(/([^aeiou])y$/, '$1ie') + 's';
+    answer += `\nAcross ${points.length} ${plural}, deeper discounts go with ${correlation >= 0 ? 'more' : 'fewer'} units sold; `;
+    answer += `the relationship is ${strength} (correlation ${correlation.toFixed(2)}).\n`;
   }
+  answer += `\n`;
   
-  // Prepare chart data
-  const chartData = {
-    chartType: 'bar',
+  const scatterData = {
+    chartType: 'scatter',
     chartData: {
-      labels: results.map(r => r.customer_name),
       datasets: [
         {
-          label: metric === 'revenue' ? 'Revenue' : metric === 'orders' ? 'Order Count' : 'Items Purchased',
-          data: results.map(r => 
-            metric === 'revenue' ? r.total_revenue : 
-            metric === 'orders' ? r.order_count : 
-            r.total_items
-          ),
-          backgroundColor: results.map((_, i) => `rgba(54, 162, ${235 - i * 10}, 0.2)`),
-          borderColor: results.map((_, i) => `rgba(54, 162, ${235 - i * 10}, 1)`),
-          borderWidth: 1
+          label: `Discount vs units sold by ${breakdowns.length > 0 ? breakdowns[0].dimension : 'product'}`,
+          data: points.map(r => ({ x: r.discount_pct, y: r.units_sold, label: String(r.dimension_value) })),
+          backgroundColor: getColor(0, 'background'),
+          borderColor: getColor(0, 'border'),
+          pointRadius: 5
         }
       ]
     },
     chartOptions: {
-      indexAxis: 'y',
       scales: {
         x: {
-          beginAtZero: true,
-          ticks: {
-            callback: function(value) {
-              if (metric === 'revenue') return '$' + value.toLocaleString();
-              return value.toLocaleString();
-            }
-          }
+          title: {
+            display: true,
+            text: 'Average discount off retail price (%)'
+          },
+          beginAtZero: true
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Units sold'
+          },
+          beginAtZero: true
         }
       }
     }
   };
   
-  // Prepare table data with appropriate column formatting
   const tableData = {
-    columns: ['customer_name', 'segment', 'region', 
-              metric === 'revenue' ? 'total_revenue' : 
-              metric === 'orders' ? 'order_count' : 
-              'total_items',
-              'avg_order_value', 'last_purchase_date'],
-    rows: results.map(r => {
-      const row = {
-        customer_name: r.customer_name,
-        segment: r.segment,
-        region: r.region
-      };
-      
-      // Add the metric-specific column
-      if (metric === 'revenue') {
-        row.total_revenue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_revenue);
-      } else if (metric === 'orders') {
-        row.order_count = r.order_count.toLocaleString();
-      } else {
-        row.total_items = r.total_items.toLocaleString();
-      }
-      
-      // Add common columns
-      row.avg_order_value = new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD'
-      }).format(r.avg_order_value);
-      
-      row.last_purchase_date = new Date(r.last_purchase_date).toLocaleDateString();
-      
-      return row;
-    })
+    columns: ['dimension', 'value', 'units_sold', 'avg_retail_price', 'avg_unit_price', 'discount_pct', 'list_revenue', 'revenue', 'revenue_lost'],
+    rows: [...breakdowns.flatMap(breakdown => breakdown.time
+      ? [...breakdown.rows].sort((a, b) => String(a.dimension_value).localeCompare(String(b.dimension_value)))
+      : breakdown.rows), ...bands].map(r => ({
+      dimension: r.dimension,
+      value: r.dimension === 'discount_band' ? bandLabel(r) : r.dimension_value,
+      units_sold: r.units_sold.toLocaleString(),
+      avg_retail_price: formatCurrency(r.avg_retail_price),
+      avg_unit_price: formatCurrency(r.avg_unit_price),
+      discount_pct: `${r.discount_pct.toFixed(1)}%`,
+      list_revenue: formatCurrency(r.list_revenue),
+      revenue: formatCurrency(r.revenue),
+      revenue_lost: formatCurrency(r.discount_amount)
+    }))
   };
   
-  // Create visualizations
-  answer += `\`\`\`visualization:chart:Top Customers\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
-  answer += `\`\`\`visualization:table:Customer Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  const visualizations = [
+    {
+      type: 'chart',
+      title: 'Discount against units sold',
+      data: scatterData
+    },
+    {
+      type: 'table',
+      title: 'Realised discounts',
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:Discount Against Units Sold\n${JSON.stringify(scatterData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Realised Discounts\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
   
   return {
     answer,
-    visualizations: []
+    visualizations
   };
 }
 
 /**
- * Creates a response for product analysis queries
+ * Pearson correlation of two equally long lists
+ * @returns {number|null} The correlation, or null with fewer than three pairs or no variation
  */
-function createProductResponse(query, queryInfo, results, sqlQuery) {
-  const { metric, limit } = queryInfo;
-  
-  // Generate natural language answer
-  let answer = `## Top ${limit} Products by ${metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : 'Units Sold'}\n\n`;
+function pearson(xs, ys) {
+  if (xs.length < 3) return null;
   
-  // Add insights based on the data
-  if (results.length > 0) {
-    const topProduct = results[0];
-    let metricValue = '';
-    
-    switch (metric) {
-      case 'revenue':
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topProduct.total_revenue);
-        answer += `Your top product is **${topProduct.product_name}** with a total revenue of **${metricValue}**.\n\n`;
-        break;
-      case 'profit':
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topProduct.total_profit);
-        answer += `Your most profitable product is **${topProduct.product_name}** with a total profit of **${metricValue}**.\n\n`;
-        break;
-      case 'quantity':
-        metricValue = topProduct.units_sold.toLocaleString();
-        answer += `Your best-selling product by volume is **${topProduct.product_name}** with **${metricValue}** units sold.\n\n`;
-        break;
-      default:
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topProduct.total_revenue);
-        answer += `Your top product is **${topProduct.product_name}** with a total revenue of **${metricValue}**.\n\n`;
-    }
-    
-    // Additional insights
-    answer += `### Product Categories\n\n`;
-    
-    // Group by category and calculate totals
-    const categories = {};
-    results.forEach(product => {
-      if (!categories[product.category]) {
-        categories[product.category] = {
-          count: 0,
-          revenue: 0,
-          profit: 0,
-          units: 0
-        };
-      }
-      
-      categories[product.category].count++;
-      if (product.total_revenue) categories[product.category].revenue += product.total_revenue;
-      if (product.total_profit) categories[product.category].profit += product.total_profit;
-      if (product.units_sold) categories[product.category].units += product.units_sold;
-    });
-    
-    // Add category insights
-    const categoryInsights = Object.entries(categories)
-      .map(([category, data]) => {
-        let insight = `- ${category}: ${data.count} products`;
-        
-        if (metric === 'revenue' || metric === 'profit') {
-          const value = metric === 'revenue' ? data.revenue : data.profit;
-          const formatted = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-          }).format(value);
-          insight += `, ${formatted} total ${metric}`;
-        }
-        
-        if (data.units) {
-          insight += `, ${data.units.toLocaleString()} units sold`;
-        }
-        
-        return insight;
-      })
-      .join('\n');
-    
-    answer += `${categoryInsights}\n\n`;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Creates a response for a margin waterfall: how revenue at retail price falls
+ * through discounts and product cost to gross profit, overall as a waterfall
+ * and per group as stacked bars
+ */
+function createMarginWaterfallResponse(query, queryInfo, results, sqlQuery) {
+  const groupLabel = queryInfo.groupBy || 'category';
+  const timeGroupings = ['month', 'quarter', 'year'];
+  
+  let answer = `## Margin Waterfall by ${groupLabel.replace(/^\w/, c => c.toUpperCase())}\n\n`;
+  
+  if (results.length === 0) {
+    answer += `No order lines matched this question, so there is no revenue to break down.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const listRevenue = sumField(results, 'list_revenue');
+  const discount = sumField(results, 'discount_amount');
+  const revenue = sumField(results, 'revenue');
+  const cost = sumField(results, 'total_cost');
+  const profit = sumField(results, 'total_profit');
+  const share = (value, total) => `${(total > 0 ? value / total * 100 : 0).toFixed(1)}%`;
+  
+  answer += `At retail prices these sales were worth **${formatCurrency(listRevenue)}**. `;
+  answer += `Discounts took **${formatCurrency(discount)}** (${share(discount, listRevenue)}), leaving revenue of **${formatCurrency(revenue)}**. `;
+  answer += `Product costs took another **${formatCurrency(cost)}** (${share(cost, revenue)} of revenue), `;
+  answer += `so gross profit came to **${formatCurrency(profit)}**, a margin of **${share(profit, revenue)}**.\n\n`;
+  
+  // Time groupings read chronologically; anything else from the most profit down
+  const rows = timeGroupings.includes(groupLabel)
+    ? [...results].sort((a, b) => String(a.name).localeCompare(String(b.name)))
+    : results;
+  
+  answer += `### By ${groupLabel}\n\n`;
+  rows.forEach(r => {
+    answer += `- **${r.name}**: ${formatCurrency(r.list_revenue)} at retail, less ${formatCurrency(r.discount_amount)} in discounts `;
+    answer += `and ${formatCurrency(r.total_cost)} in product cost, leaves ${formatCurrency(r.total_profit)} profit (${formatMetricValue('margin', r.margin_pct)} margin)\n`;
+  });
+  answer += `\n`;
+  
+  if (results.length > 1) {
+    const byMargin = [...results].sort((a, b) => b.margin_pct - a.margin_pct);
+    const best = byMargin[0];
+    const worst = byMargin[byMargin.length - 1];
     
-    // Include summary
-    answer += `### Details\n\n`;
-    answer += `I've analyzed your top ${limit} products based on ${metric === 'revenue' ? 'revenue generated' : metric === 'profit' ? 'profit margin' : 'quantity sold'}.\n`;
-    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+    answer += `**${best.name}** keeps the most of each sale at a ${formatMetricValue('margin', best.margin_pct)} margin; `;
+    answer += `**${worst.name}** keeps the least at ${formatMetricValue('margin', worst.margin_pct)}.\n\n`;
   }
   
-  // Prepare chart data
-  const chartData = {
+  // Each step floats between where the previous one left off and where it ends
+  const steps = [
+    { label: 'Retail price', range: [0, listRevenue], color: 0 },
+    { label: 'Discounts', range: [revenue, listRevenue], color: 1 },
+    { label: 'Revenue', range: [0, revenue], color: 0 },
+    { label: 'Product cost', range: [profit, revenue], color: 1 },
+    { label: 'Gross profit', range: [0, profit], color: 3 }
+  ];
+  
+  const waterfallData = {
     chartType: 'bar',
     chartData: {
-      labels: results.map(r => r.product_name),
+      labels: steps.map(step => step.label),
       datasets: [
         {
-          label: metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : 'Units Sold',
-          data: results.map(r => 
-            metric === 'revenue' ? r.total_revenue : 
-            metric === 'profit' ? r.total_profit : 
-            r.units_sold
-          ),
-          backgroundColor: results.map((_, i) => `rgba(75, 192, ${100 + i * 10}, 0.2)`),
-          borderColor: results.map((_, i) => `rgba(75, 192, ${100 + i * 10}, 1)`),
+          label: 'Amount',
+          data: steps.map(step => step.range),
+          backgroundColor: steps.map(step => getColor(step.color, 'background')),
+          borderColor: steps.map(step => getColor(step.color, 'border')),
           borderWidth: 1
         }
       ]
     },
     chartOptions: {
-      indexAxis: 'y',
+      plugins: {
+        legend: {
+          display: false
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return '$' + value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  // Cost, discounts and profit stack up to each group's revenue at retail price
+  const stackedData = {
+    chartType: 'bar',
+    chartData: {
+      labels: rows.map(r => r.name),
+      datasets: [
+        { label: 'Product cost', field: 'total_cost', color: 6 },
+        { label: 'Discounts', field: 'discount_amount', color: 1 },
+        { label: 'Gross profit', field: 'total_profit', color: 3 }
+      ].map(({ label, field, color }) => ({
+        label,
+        data: rows.map(r => r[field]),
+        backgroundColor: getColor(color, 'background'),
+        borderColor: getColor(color, 'border'),
+        borderWidth: 1
+      }))
+    },
+    chartOptions: {
       scales: {
         x: {
+          stacked: true
+        },
+        y: {
+          stacked: true,
           beginAtZero: true,
           ticks: {
             callback: function(value) {
-              if (metric === 'revenue' || metric === 'profit') {
-                return '$' + value.toLocaleString();
-              }
-              return value.toLocaleString();
+              return '$' + value.toLocaleString();
             }
           }
         }
@@ -1073,508 +5586,496 @@ function createProductResponse(query, queryInfo, results, sqlQuery) {
     }
   };
   
-  // Prepare table data with appropriate column formatting
   const tableData = {
-    columns: ['product_name', 'category', 
-              metric === 'revenue' ? 'total_revenue' : 
-              metric === 'profit' ? 'total_profit' : 
-              'units_sold',
-              'order_count', 'avg_selling_price'],
-    rows: results.map(r => {
-      const row = {
-        product_name: r.product_name,
-        category: r.category
-      };
-      
-      // Add the metric-specific column
-      if (metric === 'revenue') {
-        row.total_revenue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_revenue);
-      } else if (metric === 'profit') {
-        row.total_profit = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_profit);
-      } else {
-        row.units_sold = r.units_sold.toLocaleString();
-      }
-      
-      // Add common columns
-      row.order_count = r.order_count.toLocaleString();
-      row.avg_selling_price = new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD'
-      }).format(r.avg_selling_price);
-      
-      return row;
-    })
+    columns: [groupLabel, 'list_revenue', 'discount_amount', 'revenue', 'total_cost', 'total_profit', 'margin_pct'],
+    rows: rows.map(r => ({
+      [groupLabel]: r.name,
+      list_revenue: formatCurrency(r.list_revenue),
+      discount_amount: formatCurrency(r.discount_amount),
+      revenue: formatCurrency(r.revenue),
+      total_cost: formatCurrency(r.total_cost),
+      total_profit: formatCurrency(r.total_profit),
+      margin_pct: formatMetricValue('margin', r.margin_pct)
+    }))
   };
   
-  // Create visualizations
-  answer += `\`\`\`visualization:chart:Top Products\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
-  answer += `\`\`\`visualization:table:Product Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  const visualizations = [
+    {
+      type: 'chart',
+      title: 'From retail price to gross profit',
+      data: waterfallData
+    },
+    {
+      type: 'chart',
+      title: `Where revenue goes by ${groupLabel}`,
+      data: stackedData
+    },
+    {
+      type: 'table',
+      title: `Margin by ${groupLabel}`,
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:From Retail Price to Gross Profit\n${JSON.stringify(waterfallData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:chart:Where Revenue Goes by ${groupLabel.replace(/^\w/, c => c.toUpperCase())}\n${JSON.stringify(stackedData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Margin Breakdown\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
   
   return {
     answer,
-    visualizations: []
+    visualizations
   };
 }
 
 /**
- * Creates a response for regional analysis queries
+ * Creates a response for order status analysis: the status funnel, how much
+ * revenue cancellations cost and where cancellation rates are highest
  */
-function createRegionalResponse(query, queryInfo, results, sqlQuery) {
-  const { metric } = queryInfo;
+function createStatusResponse(query, queryInfo, results, sqlQuery) {
+  const { funnel, cancelled } = config.orderStatuses;
+  const timeGroupings = ['month', 'quarter', 'year'];
   
-  // Generate natural language answer
-  let answer = `## Regional Analysis by ${metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : metric === 'orders' ? 'Order Count' : 'Sales'}\n\n`;
+  let answer = `## Order Status and Cancellations\n\n`;
   
-  // Add insights based on the data
-  if (results.length > 0) {
-    // Sort results by the appropriate metric
-    let sortedResults = [...results].sort((a, b) => {
-      if (metric === 'revenue') return b.total_revenue - a.total_revenue;
-      if (metric === 'profit') return b.total_profit - a.total_profit;
-      if (metric === 'orders') return b.order_count - a.order_count;
-      return b.total_revenue - a.total_revenue;
-    });
-    
-    const topRegion = sortedResults[0];
-    let metricValue = '';
-    
-    switch (metric) {
-      case 'revenue':
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topRegion.total_revenue);
-        answer += `Your top performing region is **${topRegion.region}** with a total revenue of **${metricValue}**.\n\n`;
-        break;
-      case 'profit':
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topRegion.total_profit);
-        answer += `Your most profitable region is **${topRegion.region}** with a total profit of **${metricValue}**.\n\n`;
-        break;
-      case 'orders':
-        metricValue = topRegion.order_count.toLocaleString();
-        answer += `Your region with the highest order count is **${topRegion.region}** with **${metricValue}** orders.\n\n`;
-        break;
-      default:
-        metricValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(topRegion.total_revenue);
-        answer += `Your top performing region is **${topRegion.region}** with a total revenue of **${metricValue}**.\n\n`;
-    }
-    
-    // Additional insights - calculate region percentages
-    let totalMetric = 0;
-    results.forEach(region => {
-      if (metric === 'revenue') totalMetric += region.total_revenue;
-      else if (metric === 'profit') totalMetric += region.total_profit;
-      else if (metric === 'orders') totalMetric += region.order_count;
-      else totalMetric += region.total_revenue;
-    });
-    
-    answer += `### Regional Distribution\n\n`;
-    answer += `Here's how your business is distributed across regions:\n\n`;
-    
-    const regionInsights = results
-      .map(region => {
-        let metricValue = 0;
-        if (metric === 'revenue') metricValue = region.total_revenue;
-        else if (metric === 'profit') metricValue = region.total_profit;
-        else if (metric === 'orders') metricValue = region.order_count;
-        else metricValue = region.total_revenue;
-        
-        const percentage = (metricValue / totalMetric * 100).toFixed(1);
-        
-        let formattedValue = '';
-        if (metric === 'revenue' || metric === 'profit') {
-          formattedValue = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-          }).format(metricValue);
-        } else {
-          formattedValue = metricValue.toLocaleString();
-        }
-        
-        return `- **${region.region}**: ${formattedValue} (${percentage}%)`;
-      })
-      .join('\n');
-    
-    answer += `${regionInsights}\n\n`;
-    
-    // Customer insights
-    answer += `### Customer Insights\n\n`;
-    
-    const customerInsights = results
-      .map(region => {
-        const avgValue = region.total_units > 0 
-          ? region.total_units / region.order_count 
-          : 0;
-        
-        return `- **${region.region}** has ${region.customer_count.toLocaleString()} customers with an average order value of ${region.avg_order_value ? new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(region.avg_order_value) : '$0.00'}`;
-      })
-      .join('\n');
-    
-    answer += `${customerInsights}\n\n`;
-    
-    // Include summary
-    answer += `### Details\n\n`;
-    answer += `I've analyzed your regional performance based on ${metric === 'revenue' ? 'revenue generated' : metric === 'profit' ? 'profit' : metric === 'orders' ? 'number of orders' : 'sales'}.\n`;
-    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+  const overall = results.filter(r => r.dimension === 'overall');
+  
+  if (overall.length === 0) {
+    answer += `No orders matched this question, so there are no statuses to analyse.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
   }
   
-  // Prepare chart data - use pie chart for regions
-  const chartData = {
-    chartType: 'pie',
-    chartData: {
-      labels: results.map(r => r.region),
-      datasets: [
-        {
-          data: results.map(r => 
-            metric === 'revenue' ? r.total_revenue : 
-            metric === 'profit' ? r.total_profit : 
-            metric === 'orders' ? r.order_count :
-            r.total_revenue
-          ),
-          backgroundColor: [
-            'rgba(255, 99, 132, 0.2)',
-            'rgba(54, 162, 235, 0.2)',
-            'rgba(255, 206, 86, 0.2)',
-            'rgba(75, 192, 192, 0.2)',
-            'rgba(153, 102, 255, 0.2)',
-            'rgba(255, 159, 64, 0.2)'
-          ],
-          borderColor: [
-            'rgba(255, 99, 132, 1)',
-            'rgba(54, 162, 235, 1)',
-            'rgba(255, 206, 86, 1)',
-            'rgba(75, 192, 192, 1)',
-            'rgba(153, 102, 255, 1)',
-            'rgba(255, 159, 64, 1)'
-          ],
+  const totalOrders = sumField(overall, 'order_count');
+  const cancelledRows = overall.filter(r => cancelled.includes(r.status));
+  const cancelledOrders = sumField(cancelledRows, 'order_count');
+  
+  // An order has reached its own stage and every stage before it
+  const stages = [
+    { name: 'Placed', orders: totalOrders },
+    ...funnel.map((status, index) => ({
+      name: status,
+      orders: sumField(overall.filter(r => funnel.indexOf(r.status) >= index), 'order_count')
+    }))
+  ];
+  
+  answer += `### Status Funnel\n\n`;
+  stages.forEach((stage, index) => {
+    answer += `- **${stage.name}**: ${stage.orders.toLocaleString()} orders (${formatPercent(stage.orders / totalOrders)} of all orders`;
+    answer += index > 0 && stages[index - 1].orders > 0 ? `, ${formatPercent(stage.orders / stages[index - 1].orders)} of the previous stage)\n` : `)\n`;
+  });
+  answer += `\n`;
+  
+  answer += `### Cancellations\n\n`;
+  
+  // Without any cancelled orders there are no rates to compare, only zeros
+  if (cancelledOrders === 0) {
+    const listStatuses = statuses => new Intl.ListFormat('en-US', { style: 'long', type: 'disjunction' }).format(statuses);
+    const found = overall.map(r => `${r.status} (${r.order_count.toLocaleString()})`).join(', ');
+    
+    answer += `No orders matched the configured cancelled status${cancelled.length === 1 ? '' : 'es'} (${listStatuses(cancelled)}), so cancellation rates can't be measured. `;
+    answer += `The orders' statuses are ${found}. `;
+    answer += `With no drop-outs every order counts as reaching ${funnel[0] || 'the first stage'}, so the funnel only shows how far orders have progressed.\n\n`;
+  } else {
+    answer += `${cancelledOrders.toLocaleString()} of ${totalOrders.toLocaleString()} orders were cancelled, a cancellation rate of **${formatPercent(cancelledOrders / totalOrders)}**. `;
+    answer += `They were worth ${formatCurrency(sumField(cancelledRows, 'revenue'))}, which isn't counted as revenue; `;
+    answer += `revenue only includes orders that are ${new Intl.ListFormat('en-US', { style: 'long', type: 'disjunction' }).format(config.orderStatuses.revenue)}.\n\n`;
+  }
+  
+  // Cancellation rates for every value of each breakdown
+  const dimensions = cancelledOrders === 0 ? [] : queryInfo.groupBy ? [queryInfo.groupBy] : STATUS_BREAKDOWNS;
+  const breakdowns = dimensions.filter(dimension => results.some(r => r.dimension === dimension)).map(dimension => {
+    const rows = results.filter(r => r.dimension === dimension);
+    const values = [...new Set(rows.map(r => r.dimension_value))].map(value => {
+      const valueRows = rows.filter(r => r.dimension_value === value);
+      const orders = sumField(valueRows, 'order_count');
+      const valueCancelled = valueRows.filter(r => cancelled.includes(r.status));
+      return {
+        value: value === null ? 'Unknown' : String(value),
+        orders,
+        cancelled: sumField(valueCancelled, 'order_count'),
+        cancelledRevenue: sumField(valueCancelled, 'revenue'),
+        rate: orders > 0 ? sumField(valueCancelled, 'order_count') / orders : 0
+      };
+    });
+    
+    return { dimension, time: timeGroupings.includes(dimension), values };
+  });
+  
+  breakdowns.forEach(breakdown => {
+    const label = breakdown.dimension.replace(/^\w/, c => c.toUpperCase());
+    const ranked = [...breakdown.values].sort((a, b) => b.rate - a.rate);
+    
+    if (ranked.length < 2) return;
+    
+    const highest = ranked[0];
+    const lowest = ranked[ranked.length - 1];
+    answer += `- **By ${breakdown.dimension}**: highest in ${highest.value} (${formatPercent(highest.rate)}, ${highest.cancelled} of ${highest.orders} orders), `;
+    answer += `lowest in ${lowest.value} (${formatPercent(lowest.rate)})\n`;
+    
+    breakdown.title = `Cancellation Rate by ${label}`;
+  });
+  if (breakdowns.length > 0) answer += `\n`;
+  
+  const funnelChart = {
+    chartType: 'bar',
+    chartData: {
+      labels: stages.map(stage => stage.name),
+      datasets: [
+        {
+          label: 'Orders',
+          data: stages.map(stage => stage.orders),
+          backgroundColor: stages.map((_, index) => getColor(index, 'background')),
+          borderColor: stages.map((_, index) => getColor(index, 'border')),
           borderWidth: 1
         }
       ]
     },
     chartOptions: {
-      plugins: {
-        tooltip: {
-          callbacks: {
-            label: function(context) {
-              let label = context.label || '';
-              if (label) {
-                label += ': ';
-              }
-              if (context.parsed !== undefined) {
-                if (metric === 'revenue' || metric === 'profit') {
-                  label += new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD'
-                  }).format(context.parsed);
-                } else {
-                  label += context.parsed.toLocaleString();
+      indexAxis: 'y',
+      scales: {
+        x: {
+          beginAtZero: true
+        }
+      }
+    }
+  };
+  
+  const rateCharts = breakdowns.filter(breakdown => breakdown.title).map(breakdown => {
+    // Time breakdowns read left to right; the others are ranked
+    const values = breakdown.time ? breakdown.values : [...breakdown.values].sort((a, b) => b.rate - a.rate);
+    
+    return {
+      title: breakdown.title,
+      data: {
+        chartType: breakdown.time ? 'line' : 'bar',
+        chartData: {
+          labels: values.map(v => v.value),
+          datasets: [
+            {
+              label: 'Cancellation rate (%)',
+              data: values.map(v => Number((v.rate * 100).toFixed(1))),
+              backgroundColor: getColor(3, 'background'),
+              borderColor: getColor(3, 'border'),
+              borderWidth: breakdown.time ? 2 : 1,
+              fill: false
+            }
+          ]
+        },
+        chartOptions: {
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                callback: function(value) {
+                  return value + '%';
                 }
               }
-              return label;
             }
           }
         }
       }
-    }
-  };
+    };
+  });
   
-  // Prepare table data with appropriate column formatting
   const tableData = {
-    columns: ['region', 
-              metric === 'revenue' ? 'total_revenue' : 
-              metric === 'profit' ? 'total_profit' : 
-              metric === 'orders' ? 'order_count' :
-              'total_revenue',
-              'customer_count', 'order_count', 'total_units', 'avg_order_value'],
-    rows: results.map(r => {
-      const row = {
-        region: r.region,
-        customer_count: r.customer_count.toLocaleString(),
-        order_count: r.order_count.toLocaleString(),
-        total_units: r.total_units.toLocaleString(),
-        avg_order_value: new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.avg_order_value)
-      };
-      
-      // Add the metric-specific column
-      if (metric === 'revenue') {
-        row.total_revenue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_revenue);
-      } else if (metric === 'profit') {
-        row.total_profit = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_profit);
-      } else if (metric === 'orders') {
-        // Already added above
-      } else {
-        row.total_revenue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(r.total_revenue);
-      }
-      
-      return row;
-    })
+    columns: ['dimension', 'value', 'orders', 'cancelled_orders', 'cancellation_rate', 'cancelled_value'],
+    rows: breakdowns.flatMap(breakdown => breakdown.values.map(v => ({
+      dimension: breakdown.dimension,
+      value: v.value,
+      orders: v.orders.toLocaleString(),
+      cancelled_orders: v.cancelled.toLocaleString(),
+      cancellation_rate: formatPercent(v.rate),
+      cancelled_value: formatCurrency(v.cancelledRevenue)
+    })))
   };
   
-  // Create visualizations
-  answer += `\`\`\`visualization:chart:Regional Distribution\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
-  answer += `\`\`\`visualization:table:Regional Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  const visualizations = [
+    {
+      type: 'chart',
+      title: 'Order status funnel',
+      data: funnelChart
+    },
+    ...rateCharts.map(chart => ({
+      type: 'chart',
+      title: chart.title,
+      data: chart.data
+    }))
+  ];
+  
+  answer += `\`\`\`visualization:chart:Order Status Funnel\n${JSON.stringify(funnelChart)}\n\`\`\`\n\n`;
+  rateCharts.forEach(chart => {
+    answer += `\`\`\`visualization:chart:${chart.title}\n${JSON.stringify(chart.data)}\n\`\`\`\n\n`;
+  });
+  
+  if (tableData.rows.length > 0) {
+    visualizations.push({
+      type: 'table',
+      title: 'Cancellations by dimension',
+      data: tableData
+    });
+    answer += `\`\`\`visualization:table:Cancellations by Dimension\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  }
   
   return {
     answer,
-    visualizations: []
+    visualizations
   };
 }
 
 /**
- * Creates a response for comparison analysis queries
+ * Creates a response for market basket analysis: the strongest pairs, a ranked
+ * table of rules and a network of items linked by lift
  */
-function createComparisonResponse(query, queryInfo, results, sqlQuery) {
-  const { entities, metric } = queryInfo;
+function createMarketBasketResponse(query, queryInfo, results, sqlQuery) {
+  const itemLabel = queryInfo.level === 'category' ? 'category' : 'product';
+  const itemsLabel = queryInfo.level === 'category' ? 'categories' : 'products';
+  const thresholds = {
+    support: Number.isFinite(parseFloat(queryInfo.minSupport)) ? parseFloat(queryInfo.minSupport) : config.basket.minSupport,
+    confidence: Number.isFinite(parseFloat(queryInfo.minConfidence)) ? parseFloat(queryInfo.minConfidence) : config.basket.minConfidence,
+    lift: Number.isFinite(parseFloat(queryInfo.minLift)) ? parseFloat(queryInfo.minLift) : config.basket.minLift
+  };
   
-  // Generate natural language answer
-  let entityType = '';
-  if (results.length > 0) {
-    // Check the name column of the first result to determine entity type
-    const firstEntity = results[0].name;
-    if (['Electronics', 'Clothing', 'Furniture', 'Books', 'Food & Beverage'].includes(firstEntity)) {
-      entityType = 'Product Categories';
-    } else if (['North', 'South', 'East', 'West', 'Central'].includes(firstEntity)) {
-      entityType = 'Regions';
-    } else {
-      entityType = 'Items';
-    }
+  // Without a target every pair comes back in both directions; list each pair once
+  const pairs = [];
+  results.forEach(rule => {
+    const reverse = pairs.find(p => p.antecedent === rule.consequent && p.consequent === rule.antecedent);
+    if (!reverse) pairs.push(rule);
+  });
+  const listed = queryInfo.target ? results : pairs.slice(0, toLimit(queryInfo.limit));
+  
+  const title = queryInfo.target
+    ? `What Customers Buy with ${queryInfo.target}`
+    : `${itemsLabel.replace(/^\w/, c => c.toUpperCase())} Frequently Bought Together`;
+  let answer = `## ${title}\n\n`;
+  
+  const thresholdText = `at least ${formatPercent(thresholds.support)} support, ${formatPercent(thresholds.confidence)} confidence and a lift of ${thresholds.lift}`;
+  
+  if (results.length === 0) {
+    answer += `No ${itemLabel} pairs met the thresholds (${thresholdText}). Lower them to see weaker associations, e.g. "with at least 0.5% support".\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
   }
   
-  let answer = `## Comparison of ${entityType} by ${metric === 'revenue' ? 'Revenue' : metric === 'profit' ? 'Profit' : metric === 'quantity' ? 'Units Sold' : metric === 'orders' ? 'Order Count' : 'Performance'}\n\n`;
+  const totalOrders = results[0].total_orders;
+  answer += `Across ${totalOrders.toLocaleString()} orders, these ${itemLabel} pairs met the thresholds (${thresholdText}):\n\n`;
   
-  // Process results to create a time series for each entity
-  if (results.length > 0) {
-    // Group results by entity
-    const entitiesData = {};
-    
-    results.forEach(row => {
-      if (!entitiesData[row.name]) {
-        entitiesData[row.name] = {
-          data: [],
-          total: 0
-        };
-      }
-      
-      let value = 0;
-      if (metric === 'revenue') value = row.total_revenue;
-      else if (metric === 'profit') value = row.total_profit;
-      else if (metric === 'quantity') value = row.total_units;
-      else if (metric === 'orders') value = row.order_count;
-      else value = row.total_revenue;
-      
-      entitiesData[row.name].data.push({
-        month: row.month,
-        value
-      });
-      
-      entitiesData[row.name].total += value;
-    });
-    
-    // Sort entities by total values
-    const sortedEntities = Object.entries(entitiesData)
-      .sort((a, b) => b[1].total - a[1].total)
-      .map(([name, data]) => name);
-    
-    // Generate insights
-    if (sortedEntities.length > 0) {
-      const topEntity = sortedEntities[0];
-      const topEntityData = entitiesData[topEntity];
-      
-      let metricLabel = '';
-      let metricValue = '';
-      
-      switch (metric) {
-        case 'revenue':
-          metricLabel = 'revenue';
-          metricValue = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-          }).format(topEntityData.total);
-          break;
-        case 'profit':
-          metricLabel = 'profit';
-          metricValue = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-          }).format(topEntityData.total);
-          break;
-        case 'quantity':
-          metricLabel = 'units sold';
-          metricValue = topEntityData.total.toLocaleString();
-          break;
-        case 'orders':
-          metricLabel = 'orders';
-          metricValue = topEntityData.total.toLocaleString();
-          break;
-        default:
-          metricLabel = 'revenue';
-          metricValue = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-          }).format(topEntityData.total);
-      }
-      
-      answer += `Based on the analysis, **${topEntity}** has the highest ${metricLabel} with **${metricValue}**.\n\n`;
-      
-      // Compare entities
-      if (sortedEntities.length > 1) {
-        answer += `### Comparison Summary\n\n`;
-        
-        const entityInsights = sortedEntities.map(entity => {
-          const data = entitiesData[entity];
-          const formattedValue = metric === 'revenue' || metric === 'profit'
-            ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(data.total)
-            : data.total.toLocaleString();
-          
-          return `- **${entity}**: ${formattedValue}`;
-        }).join('\n');
-        
-        answer += `${entityInsights}\n\n`;
-        
-        // Trends analysis
-        answer += `### Trend Analysis\n\n`;
-        
-        // Get trends for top entities
-        const topEntitiesForTrend = sortedEntities.slice(0, Math.min(3, sortedEntities.length));
-        
-        // Calculate month-over-month growth for each entity
-        const trendInsights = topEntitiesForTrend.map(entity => {
-          const monthlyData = entitiesData[entity].data;
-          
-          if (monthlyData.length < 2) {
-            return `- **${entity}**: Not enough data to calculate trend`;
-          }
-          
-          // Sort by month
-          monthlyData.sort((a, b) => a.month.localeCompare(b.month));
-          
-          // Calculate growth between first and last month
-          const firstMonth = monthlyData[0];
-          const lastMonth = monthlyData[monthlyData.length - 1];
-          
-          if (firstMonth.value === 0) {
-            return `- **${entity}**: No data available for the first month`;
-          }
-          
-          const growthPercent = ((lastMonth.value - firstMonth.value) / firstMonth.value * 100).toFixed(1);
-          const trend = growthPercent >= 0 ? 'increased' : 'decreased';
-          
-          return `- **${entity}** has ${trend} by ${Math.abs(growthPercent)}% from ${firstMonth.month} to ${lastMonth.month}`;
-        }).join('\n');
-        
-        answer += `${trendInsights}\n\n`;
-      }
-      
-      // Include summary
-      answer += `### Details\n\n`;
-      answer += `I've analyzed the performance of different ${entityType.toLowerCase()} based on ${metricLabel}.\n`;
-      answer += `The line chart below shows the trend over time for each ${entityType.toLowerCase().slice(0, -1)}.\n\n`;
+  listed.slice(0, 5).forEach(rule => {
+    answer += `- **${rule.antecedent}** and **${rule.consequent}**: bought together in ${rule.pair_orders.toLocaleString()} orders `;
+    answer += `(support ${formatPercent(rule.support)}); ${formatPercent(rule.confidence)} of orders with ${rule.antecedent} also contain ${rule.consequent}, `;
+    answer += `${rule.lift.toFixed(2)}x as often as chance (lift)\n`;
+  });
+  answer += `\n`;
+  
+  answer += `### How to read this\n\n`;
+  answer += `- **Support**: the share of all orders that contain both ${itemsLabel}\n`;
+  answer += `- **Confidence**: the share of orders with the first ${itemLabel} that also contain the second\n`;
+  answer += `- **Lift**: how much more often they are bought together than if they were unrelated; above 1 means they go together\n\n`;
+  
+  const tableData = {
+    columns: ['antecedent', 'consequent', 'pair_orders', 'support', 'confidence', 'lift'],
+    rows: listed.map(rule => ({
+      antecedent: rule.antecedent,
+      consequent: rule.consequent,
+      pair_orders: rule.pair_orders.toLocaleString(),
+      support: formatPercent(rule.support),
+      confidence: formatPercent(rule.confidence),
+      lift: rule.lift.toFixed(2)
+    }))
+  };
+  
+  // Items are nodes sized by how many orders contain them; pairs are edges weighted by lift
+  const nodes = {};
+  listed.forEach(rule => {
+    nodes[rule.antecedent] = rule.antecedent_orders;
+    nodes[rule.consequent] = rule.consequent_orders;
+  });
+  
+  const networkData = {
+    nodes: Object.entries(nodes).map(([name, orders], index) => ({
+      id: name,
+      label: name,
+      size: orders,
+      color: getColor(index, 'border')
+    })),
+    edges: listed.map(rule => ({
+      source: rule.antecedent,
+      target: rule.consequent,
+      weight: rule.lift,
+      support: rule.support,
+      confidence: rule.confidence,
+      directed: Boolean(queryInfo.target)
+    }))
+  };
+  
+  const visualizations = [
+    {
+      type: 'table',
+      title: `${itemLabel.replace(/^\w/, c => c.toUpperCase())} pairs ranked by lift`,
+      data: tableData
+    },
+    {
+      type: 'network',
+      title: `${itemsLabel.replace(/^\w/, c => c.toUpperCase())} bought together`,
+      data: networkData
     }
+  ];
+  
+  answer += `\`\`\`visualization:table:Pairs Ranked by Lift\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:network:${visualizations[1].title}\n${JSON.stringify(networkData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Counts the months from one YYYY-MM month to another
+ */
+function monthsBetween(from, to) {
+  const index = month => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return year * 12 + monthNumber - 1;
+  };
+  return index(to) - index(from);
+}
+
+/**
+ * Finds the breakdown values that moved most in the direction of an anomaly,
+ * measured against their average over all periods
+ * @returns {Array} The top value of each breakdown dimension as { dimension, value, deviation }
+ */
+function findAnomalyDrivers(breakdown, periods, key, metric, direction) {
+  // Average order value is driven by revenue, margin by profit and order counts by orders
+  const measure = { orders: 'orders', profit: 'profit', margin: 'profit' }[metric] || 'revenue';
+  const best = {};
+  
+  Object.entries(breakdown || {}).forEach(([name, byPeriod]) => {
+    const [dimension, value] = name.split('\t');
+    const average = Object.values(byPeriod).reduce((sum, cell) => sum + cell[measure], 0) / periods.length;
+    const deviation = ((byPeriod[key] || {})[measure] || 0) - average;
+    const signed = direction === 'spike' ? deviation : -deviation;
     
-    // Create datasets for line chart
-    const uniqueMonths = [...new Set(results.map(r => r.month))].sort();
+    if (signed > 0 && (!best[dimension] || signed > best[dimension].signed)) {
+      best[dimension] = { dimension, value, deviation, signed };
+    }
+  });
+  
+  return ANOMALY_BREAKDOWNS
+    .filter(dimension => best[dimension])
+    .map(dimension => {
+      const { signed, ...driver } = best[dimension];
+      return driver;
+    });
+}
+
+/**
+ * Moves a YYYY-MM-DD day or YYYY-MM month forward by a number of periods
+ */
+function shiftPeriod(granularity, key, steps) {
+  if (granularity === 'month') {
+    return shiftMonth(key, steps);
+  }
+  
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + steps);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Moves a YYYY-MM month forward by a number of months
+ */
+function shiftMonth(month, steps) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const index = year * 12 + monthNumber - 1 + steps;
+  return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Creates a response for schema-planned queries
+ */
+function createSchemaResponse(query, queryInfo, results, sqlQuery) {
+  const { measure, dimensions } = queryInfo;
+  
+  const measureAlias = schemaMeasureAlias(measure);
+  const dimensionColumns = dimensions.map(d => d.split('.')[1]);
+  const measureLabel = measure.aggregate === 'COUNT'
+    ? `Number of ${measure.table.replace(/_/g, ' ')}`
+    : `${{ SUM: 'Total', AVG: 'Average', MIN: 'Minimum', MAX: 'Maximum' }[measure.aggregate]} ${measure.column.replace(/_/g, ' ')}`;
+  const groupDescription = dimensionColumns.length > 0
+    ? ` by ${dimensionColumns.map(c => c.replace(/_/g, ' ')).join(' and ')}`
+    : '';
+  
+  // Generate natural language answer
+  let answer = `## ${measureLabel}${groupDescription}\n\n`;
+  
+  if (results.length === 0) {
+    answer += `I couldn't find any matching data in the ${measure.table} table.\n\n`;
+    return {
+      answer,
+      visualizations: []
+    };
+  }
+  
+  const labelOf = row => dimensionColumns.map(c => row[c]).join(' / ');
+  
+  if (dimensionColumns.length === 0) {
+    answer += `${measureLabel}: **${Number(results[0][measureAlias]).toLocaleString()}**.\n\n`;
+  } else {
+    const top = results[0];
+    answer += `The highest value is **${labelOf(top)}** with **${Number(top[measureAlias]).toLocaleString()}**.\n\n`;
     
-    // Prepare chart data - use line chart for time series comparison
-    const chartData = {
-      chartType: 'line',
-      chartData: {
-        labels: uniqueMonths,
-        datasets: sortedEntities.map((entity, index) => {
-          // Generate data points for all months (fill in zeros for missing months)
-          const data = uniqueMonths.map(month => {
-            const monthData = entitiesData[entity].data.find(d => d.month === month);
-            return monthData ? monthData.value : 0;
-          });
-          
-          return {
-            label: entity,
-            data,
-            borderColor: getColor(index, 'border'),
-            backgroundColor: getColor(index, 'background'),
-            tension: 0.1,
-            fill: false
-          };
-        })
-      },
-      chartOptions: {
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: {
-              callback: function(value) {
-                if (metric === 'revenue' || metric === 'profit') {
-                  return '$' + value.toLocaleString();
-                }
-                return value.toLocaleString();
-              }
-            }
-          }
+    answer += `### Details\n\n`;
+    answer += `I worked out this query from the database schema, joining ${[...new Set([measure.table, ...dimensions.map(d => d.split('.')[0])])].join(', ')}.\n`;
+    answer += `You can see the detailed breakdown in the visualizations below.\n\n`;
+  }
+  
+  // Prepare chart data
+  const chartData = {
+    chartType: determineVisualizationType(null, results),
+    chartData: {
+      labels: results.map(labelOf),
+      datasets: [
+        {
+          label: measureLabel,
+          data: results.map(r => r[measureAlias]),
+          backgroundColor: getColor(0, 'background'),
+          borderColor: getColor(0, 'border'),
+          borderWidth: 1
+        }
+      ]
+    },
+    chartOptions: {
+      scales: {
+        y: {
+          beginAtZero: true
         }
       }
-    };
-    
-    // Prepare aggregate table data
-    const tableData = {
-      columns: ['name', 'total', 'average', 'max', 'min'],
-      rows: sortedEntities.map(entity => {
-        const data = entitiesData[entity].data;
-        const values = data.map(d => d.value);
-        const total = entitiesData[entity].total;
-        const avg = total / data.length;
-        const max = Math.max(...values);
-        const min = Math.min(...values);
-        
-        const formatValue = (value) => {
-          if (metric === 'revenue' || metric === 'profit') {
-            return new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'USD'
-            }).format(value);
-          }
-          return value.toLocaleString();
-        };
-        
-        return {
-          name: entity,
-          total: formatValue(total),
-          average: formatValue(avg),
-          max: formatValue(max),
-          min: formatValue(min)
-        };
-      })
-    };
-    
-    // Create visualizations
-    answer += `\`\`\`visualization:chart:Comparison Over Time\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
-    answer += `\`\`\`visualization:table:Performance Summary\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+    }
+  };
+  
+  // Prepare table data
+  const tableData = {
+    columns: [...dimensionColumns, measureAlias],
+    rows: results.map(r => {
+      const row = {};
+      dimensionColumns.forEach(c => {
+        row[c] = r[c];
+      });
+      row[measureAlias] = r[measureAlias] === null ? 'N/A' : Number(r[measureAlias]).toLocaleString();
+      return row;
+    })
+  };
+  
+  // Create visualizations
+  if (dimensionColumns.length > 0) {
+    answer += `\`\`\`visualization:chart:${measureLabel}${groupDescription}\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
   }
+  answer += `\`\`\`visualization:table:${measureLabel} Details\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
   
   return {
     answer,
@@ -1596,6 +6097,7 @@ function createGeneralResponse(query, queryInfo, results, sqlQuery) {
     const totalOrders = results.reduce((sum, row) => sum + row.order_count, 0);
     const totalCustomers = results.reduce((sum, row) => sum + row.customer_count, 0);
     const totalUnits = results.reduce((sum, row) => sum + row.units_sold, 0);
+    const totalProfit = results.reduce((sum, row) => sum + row.total_profit, 0);
     
     const formattedRevenue = new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -1607,7 +6109,8 @@ function createGeneralResponse(query, queryInfo, results, sqlQuery) {
     answer += `- Total revenue: **${formattedRevenue}**\n`;
     answer += `- Total orders: **${totalOrders.toLocaleString()}**\n`;
     answer += `- Total customers: **${totalCustomers.toLocaleString()}**\n`;
-    answer += `- Total units sold: **${totalUnits.toLocaleString()}**\n\n`;
+    answer += `- Total units sold: **${totalUnits.toLocaleString()}**\n`;
+    answer += `- Gross profit: **${formatMetricValue('profit', totalProfit)}**\n\n`;
     
     // Trend analysis
     if (results.length > 1) {
@@ -1653,7 +6156,8 @@ function createGeneralResponse(query, queryInfo, results, sqlQuery) {
       answer += `### Key Performance Indicators\n\n`;
       answer += `- Average Order Value (AOV): **${formattedAOV}**\n`;
       answer += `- Average Units per Order: **${avgUnitsPerOrder.toFixed(2)}**\n`;
-      answer += `- Orders per Customer: **${(totalOrders / totalCustomers).toFixed(2)}**\n\n`;
+      answer += `- Orders per Customer: **${(totalOrders / totalCustomers).toFixed(2)}**\n`;
+      answer += `- Gross Margin: **${formatMetricValue('margin', totalRevenue > 0 ? totalProfit / totalRevenue * 100 : 0)}**\n\n`;
     }
     
     // Include summary
@@ -1724,13 +6228,15 @@ function createGeneralResponse(query, queryInfo, results, sqlQuery) {
     
     // Prepare table data
     const tableData = {
-      columns: ['month', 'total_revenue', 'order_count', 'customer_count', 'units_sold', 'avg_order_value'],
+      columns: ['month', 'total_revenue', 'total_profit', 'margin_pct', 'order_count', 'customer_count', 'units_sold', 'avg_order_value'],
       rows: sortedResults.map(r => ({
         month: r.month,
         total_revenue: new Intl.NumberFormat('en-US', {
           style: 'currency',
           currency: 'USD'
         }).format(r.total_revenue),
+        total_profit: formatMetricValue('profit', r.total_profit),
+        margin_pct: formatMetricValue('margin', r.margin_pct),
         order_count: r.order_count.toLocaleString(),
         customer_count: r.customer_count.toLocaleString(),
         units_sold: r.units_sold.toLocaleString(),
@@ -1752,6 +6258,268 @@ function createGeneralResponse(query, queryInfo, results, sqlQuery) {
   };
 }
 
+/**
+ * Creates a response for results grouped by two dimensions: a pivot table with
+ * one row per value of the first grouping and one column per value of the
+ * second, and a bar chart with one dataset per value of the second grouping
+ */
+function createPivotResponse(query, queryInfo, results, sqlQuery) {
+  const timeGroupings = ['month', 'quarter', 'year'];
+  let rowKey = 'name';
+  let seriesKey = 'series';
+  let rowLabel;
+  let seriesLabel = queryInfo.pivotBy;
+  let additive = true;
+  
+  switch (queryInfo.type) {
+    case 'revenue_analysis':
+      rowLabel = queryInfo.groupBy || 'month';
+      break;
+    case 'customer_analysis':
+      rowLabel = 'customer';
+      break;
+    case 'product_analysis':
+      rowLabel = 'product';
+      break;
+    case 'regional_analysis':
+      rowLabel = 'region';
+      break;
+    case 'schema_analysis':
+    default:
+      [rowKey, seriesKey] = queryInfo.dimensions.map(d => d.split('.')[1]);
+      [rowLabel, seriesLabel] = [rowKey, seriesKey].map(column => column.replace(/_/g, ' '));
+      // A distinct count only adds up when each counted row has one value of both groupings
+      additive = queryInfo.measure.aggregate === 'SUM' || (queryInfo.measure.aggregate === 'COUNT' &&
+        queryInfo.dimensions.every(d => d.split('.')[0] === queryInfo.measure.table));
+  }
+  
+  // The metric is the first column after the two groupings (revenue, total_profit, ...)
+  const valueKey = results.length > 0
+    ? Object.keys(results[0]).find(key => key !== rowKey && key !== seriesKey)
+    : null;
+  const valueLabel = valueKey
+    ? valueKey.replace(/^total_/, '').replace(/_pct$/, ' %').replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())
+    : 'Value';
+  const isCurrency = /revenue|profit|price|cost|amount/.test(valueKey || '');
+  const isPercentage = /_pct$/.test(valueKey || '');
+  
+  // Percentages such as margins don't add up across rows or series
+  if (isPercentage) additive = false;
+  
+  // Nor do distinct counts (order_count) split by product or category: an order
+  // with lines in two categories counts once in each
+  const itemGroupings = ['product', 'category'];
+  if (/(^|_)count$/.test(valueKey || '') && [rowLabel, seriesLabel].some(grouping => itemGroupings.includes(grouping))) {
+    additive = false;
+  }
+  
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (isPercentage) return `${value.toFixed(1)}%`;
+    if (isCurrency) {
+      return formatCurrency(value);
+    }
+    return value.toLocaleString();
+  };
+  
+  // Build the pivot: totals per row and series, and the value of each cell
+  const label = value => (value === null || value === undefined ? 'Unknown' : String(value));
+  const cells = {};
+  const rowTotals = {};
+  const seriesTotals = {};
+  
+  results.forEach(row => {
+    const rowValue = label(row[rowKey]);
+    const seriesValue = label(row[seriesKey]);
+    const value = row[valueKey] || 0;
+    
+    cells[rowValue] = { ...(cells[rowValue] || {}), [seriesValue]: row[valueKey] };
+    rowTotals[rowValue] = (rowTotals[rowValue] || 0) + value;
+    seriesTotals[seriesValue] = (seriesTotals[seriesValue] || 0) + value;
+  });
+  
+  // Time rows read chronologically; anything else from the largest total down, or
+  // in the query's own order when the values don't add up to a total
+  const rowValues = timeGroupings.includes(rowLabel)
+    ? Object.keys(rowTotals).sort()
+    : additive ? Object.keys(rowTotals).sort((a, b) => rowTotals[b] - rowTotals[a]) : Object.keys(rowTotals);
+  const seriesValues = Object.keys(seriesTotals).sort((a, b) => seriesTotals[b] - seriesTotals[a]);
+  
+  const title = `${valueLabel} by ${rowLabel} and ${seriesLabel}`;
+  let answer = `## ${title}\n\n`;
+  
+  if (results.length > 0) {
+    const topRow = Object.keys(rowTotals).sort((a, b) => rowTotals[b] - rowTotals[a])[0];
+    const topCell = results.reduce((best, row) => (row[valueKey] || 0) > (best[valueKey] || 0) ? row : best, results[0]);
+    
+    if (additive) {
+      const total = Object.values(rowTotals).reduce((sum, value) => sum + value, 0);
+      answer += `The total ${valueLabel.toLowerCase()} was **${formatValue(total)}**, across ${rowValues.length} values of ${rowLabel} and ${seriesValues.length} values of ${seriesLabel}.\n\n`;
+      answer += `The largest ${rowLabel} was **${topRow}** with **${formatValue(rowTotals[topRow])}**, `;
+      answer += `and the largest ${seriesLabel} was **${seriesValues[0]}** with **${formatValue(seriesTotals[seriesValues[0]])}**.\n\n`;
+    }
+    
+    answer += `The highest single combination was **${label(topCell[rowKey])} / ${label(topCell[seriesKey])}** with **${formatValue(topCell[valueKey])}**.\n\n`;
+    
+    answer += `### Details\n\n`;
+    answer += `I've pivoted the results with one row per ${rowLabel} and one column per ${seriesLabel}.\n`;
+    answer += additive
+      ? `The stacked chart shows how each ${seriesLabel} contributes to every ${rowLabel}.\n\n`
+      : `The grouped chart compares each ${seriesLabel} side by side for every ${rowLabel}.\n\n`;
+  } else {
+    answer += `No data matched this question.\n\n`;
+  }
+  
+  // Sums and counts stack into their row totals; averages and extremes don't, so they are grouped
+  const chartData = {
+    chartType: 'bar',
+    chartData: {
+      labels: rowValues,
+      datasets: seriesValues.map((seriesValue, index) => ({
+        label: seriesValue,
+        data: rowValues.map(rowValue => cells[rowValue][seriesValue] || 0),
+        backgroundColor: getColor(index, 'background'),
+        borderColor: getColor(index, 'border'),
+        borderWidth: 1
+      }))
+    },
+    chartOptions: {
+      scales: {
+        x: {
+          stacked: additive
+        },
+        y: {
+          stacked: additive,
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              if (isPercentage) return value + '%';
+              return isCurrency ? '$' + value.toLocaleString() : value.toLocaleString();
+            }
+          }
+        }
+      }
+    }
+  };
+  
+  const tableData = {
+    columns: [rowLabel, ...seriesValues, ...(additive ? ['total'] : [])],
+    rows: rowValues.map(rowValue => {
+      const row = { [rowLabel]: rowValue };
+      
+      seriesValues.forEach(seriesValue => {
+        const value = cells[rowValue][seriesValue];
+        row[seriesValue] = value === undefined && additive ? formatValue(0) : formatValue(value);
+      });
+      
+      if (additive) {
+        row.total = formatValue(rowTotals[rowValue]);
+      }
+      
+      return row;
+    })
+  };
+  
+  const visualizations = [
+    {
+      type: 'chart',
+      title,
+      data: chartData
+    },
+    {
+      type: 'table',
+      title: `Pivot: ${rowLabel} by ${seriesLabel}`,
+      data: tableData
+    }
+  ];
+  
+  answer += `\`\`\`visualization:chart:${title}\n${JSON.stringify(chartData)}\n\`\`\`\n\n`;
+  answer += `\`\`\`visualization:table:Pivot Table\n${JSON.stringify(tableData)}\n\`\`\`\n\n`;
+  
+  return {
+    answer,
+    visualizations
+  };
+}
+
+/**
+ * Adds a note below the answer heading describing the earlier context a follow-up used
+ * @param {string} answer - The markdown answer
+ * @param {object} context - The follow-up context from resolveQueryInfo
+ * @param {object} queryInfo - The resolved query information
+ * @returns {string} The answer with the context note
+ */
+function addContextNote(answer, context, queryInfo) {
+  const source = context.question
+    ? `your earlier question "${context.question}"`
+    : `the previous ${context.type.replace(/_/g, ' ')}`;
+  
+  const changes = context.changed.map(field => {
+    switch (field) {
+      case 'timeframe':
+        return `timeframe: ${queryInfo.dateRange ? queryInfo.dateRange.label : 'all time'}`;
+      case 'groupBy':
+        return `grouping: by ${[queryInfo.groupBy, queryInfo.pivotBy].filter(Boolean).join(' and ')}`;
+      case 'filters':
+        return describeFilters(queryInfo.filters);
+      case 'entities':
+        return `compared: ${queryInfo.entities.join(', ')}`;
+      case 'periods':
+        return `periods: ${queryInfo.periods.current.label} vs ${queryInfo.periods.previous.label}`;
+      default:
+        return `${field}: ${queryInfo[field]}`;
+    }
+  });
+  
+  let note = `> Following up on ${source}`;
+  note += changes.length > 0 ? `, changing only ${changes.join('; ')}.` : '.';
+  
+  if (context.unsupported && context.unsupported.length > 0) {
+    note += ` A ${context.type.replace(/_/g, ' ')} can't change ${context.unsupported.join('; ')}, so that was left out.`;
+  }
+  
+  return insertNote(answer, note);
+}
+
+/**
+ * Lists the statuses a question filters on that no order has
+ */
+function missingStatusFilters(filters, db) {
+  const statuses = (filters && filters.status) || [];
+  
+  if (statuses.length === 0) {
+    return [];
+  }
+  
+  const present = db.prepare('SELECT DISTINCT status FROM orders').all().map(row => row.status);
+  return statuses.filter(status => !present.includes(status));
+}
+
+/**
+ * Describes a map of filters for the answer text ("category: Electronics; region: North")
+ */
+function describeFilters(filters) {
+  return Object.entries(filters || {})
+    .filter(([, values]) => values.length > 0)
+    .map(([dimension, values]) => `${dimension}: ${values.join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Inserts a note right after the answer heading
+ * @param {string} answer - The markdown answer
+ * @param {string} note - The markdown note
+ * @returns {string} The answer with the note
+ */
+function insertNote(answer, note) {
+  const headingEnd = answer.indexOf('\n\n');
+  if (answer.startsWith('## ') && headingEnd !== -1) {
+    return `${answer.slice(0, headingEnd)}\n\n${note}${answer.slice(headingEnd)}`;
+  }
+  
+  return `${note}\n\n${answer}`;
+}
+
 /**
  * Helper function to get a color for chart visualization
  */
@@ -0,0 +1,223 @@
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TITLE = 'New conversation';
+
+/**
+ * Creates the tables that store conversations, if they don't exist yet.
+ * Agent-owned tables use the `agent_` prefix so they stay out of the analytics schema.
+ * @param {object} db - The database connection
+ */
+export function ensureConversationTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS agent_conversations (
+      conversation_id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_conversation_turns (
+      turn_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      query_info TEXT,
+      sql_query TEXT,
+      sql_params TEXT,
+      visualizations TEXT,
+      result_id TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (conversation_id) REFERENCES agent_conversations(conversation_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_conversation_turns_conversation
+      ON agent_conversation_turns (conversation_id, turn_id);
+  `);
+
+  // Databases created before SQL parameters were stored need the column added
+  const turnColumns = db.prepare('PRAGMA table_info(agent_conversation_turns)').all();
+  if (!turnColumns.some(column => column.name === 'sql_params')) {
+    db.exec('ALTER TABLE agent_conversation_turns ADD COLUMN sql_params TEXT');
+  }
+
+  // Likewise for the ID of the exportable result behind an answer
+  if (!turnColumns.some(column => column.name === 'result_id')) {
+    db.exec('ALTER TABLE agent_conversation_turns ADD COLUMN result_id TEXT');
+  }
+}
+
+/**
+ * Creates a new, empty conversation
+ * @param {object} db - The database connection
+ * @param {string} title - Optional title for the conversation
+ * @returns {object} The created conversation
+ */
+export function createConversation(db, title) {
+  const now = new Date().toISOString();
+  const conversation = {
+    conversation_id: randomUUID(),
+    title: title && title.trim() ? title.trim() : DEFAULT_TITLE,
+    created_at: now,
+    updated_at: now
+  };
+
+  db.prepare(`
+    INSERT INTO agent_conversations (conversation_id, title, created_at, updated_at)
+    VALUES (@conversation_id, @title, @created_at, @updated_at)
+  `).run(conversation);
+
+  return { ...conversation, turn_count: 0 };
+}
+
+/**
+ * Lists all conversations, most recently updated first
+ * @param {object} db - The database connection
+ * @returns {Array} The conversations with their turn counts
+ */
+export function listConversations(db) {
+  return db.prepare(`
+    SELECT
+      c.conversation_id,
+      c.title,
+      c.created_at,
+      c.updated_at,
+      COUNT(t.turn_id) as turn_count
+    FROM
+      agent_conversations c
+    LEFT JOIN
+      agent_conversation_turns t ON c.conversation_id = t.conversation_id
+    GROUP BY
+      c.conversation_id
+    ORDER BY
+      c.updated_at DESC
+  `).all();
+}
+
+/**
+ * Fetches a conversation with all of its turns
+ * @param {object} db - The database connection
+ * @param {string} conversationId - The conversation ID
+ * @returns {object|null} The conversation, or null if it doesn't exist
+ */
+export function getConversation(db, conversationId) {
+  const conversation = db.prepare(`
+    SELECT conversation_id, title, created_at, updated_at
+    FROM agent_conversations
+    WHERE conversation_id = ?
+  `).get(conversationId);
+
+  if (!conversation) {
+    return null;
+  }
+
+  const turns = db.prepare(`
+    SELECT turn_id, role, content, query_info, sql_query, sql_params, visualizations, result_id, created_at
+    FROM agent_conversation_turns
+    WHERE conversation_id = ?
+    ORDER BY turn_id
+  `).all(conversationId);
+
+  return {
+    ...conversation,
+    turns: turns.map(turn => ({
+      turn_id: turn.turn_id,
+      role: turn.role,
+      content: turn.content,
+      queryInfo: turn.query_info ? JSON.parse(turn.query_info) : null,
+      sql: turn.sql_query,
+      params: turn.sql_params ? JSON.parse(turn.sql_params) : [],
+      visualizations: turn.visualizations ? JSON.parse(turn.visualizations) : [],
+      resultId: turn.result_id,
+      created_at: turn.created_at
+    }))
+  };
+}
+
+/**
+ * Builds the history array the agent expects from a stored conversation
+ * @param {object} conversation - A conversation returned by getConversation
+ * @returns {Array} History entries with role, content and queryInfo
+ */
+export function getConversationHistory(conversation) {
+  return conversation.turns.map(turn => ({
+    role: turn.role,
+    content: turn.content,
+    queryInfo: turn.queryInfo
+  }));
+}
+
+/**
+ * Renames a conversation
+ * @param {object} db - The database connection
+ * @param {string} conversationId - The conversation ID
+ * @param {string} title - The new title
+ * @returns {boolean} Whether the conversation existed
+ */
+export function renameConversation(db, conversationId, title) {
+  const result = db.prepare(`
+    UPDATE agent_conversations
+    SET title = ?, updated_at = ?
+    WHERE conversation_id = ?
+  `).run(title.trim(), new Date().toISOString(), conversationId);
+
+  return result.changes > 0;
+}
+
+/**
+ * Deletes a conversation and its turns
+ * @param {object} db - The database connection
+ * @param {string} conversationId - The conversation ID
+ * @returns {boolean} Whether the conversation existed
+ */
+export function deleteConversation(db, conversationId) {
+  const remove = db.transaction(id => {
+    db.prepare('DELETE FROM agent_conversation_turns WHERE conversation_id = ?').run(id);
+    return db.prepare('DELETE FROM agent_conversations WHERE conversation_id = ?').run(id).changes > 0;
+  });
+
+  return remove(conversationId);
+}
+
+/**
+ * Stores a question and the agent's response as two turns of a conversation
+ * @param {object} db - The database connection
+ * @param {string} conversationId - The conversation ID
+ * @param {string} query - The user's question
+ * @param {object} response - The response from generateResponse
+ */
+export function appendExchange(db, conversationId, query, response) {
+  const insertTurn = db.prepare(`
+    INSERT INTO agent_conversation_turns
+      (conversation_id, role, content, query_info, sql_query, sql_params, visualizations, result_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const append = db.transaction(() => {
+    const now = new Date().toISOString();
+    const metadata = response.metadata || {};
+
+    insertTurn.run(conversationId, 'user', query, null, null, null, null, null, now);
+    insertTurn.run(
+      conversationId,
+      'assistant',
+      response.answer,
+      metadata.queryInfo ? JSON.stringify(metadata.queryInfo) : null,
+      metadata.sql || null,
+      metadata.params ? JSON.stringify(metadata.params) : null,
+      JSON.stringify(response.visualizations || []),
+      response.resultId || null,
+      now
+    );
+
+    // Name untitled conversations after their first question
+    db.prepare(`
+      UPDATE agent_conversations
+      SET
+        title = CASE WHEN title = ? THEN ? ELSE title END,
+        updated_at = ?
+      WHERE conversation_id = ?
+    `).run(DEFAULT_TITLE, query.length > 80 ? `${query.slice(0, 77)}...` : query, now, conversationId);
+  });
+
+  append();
+}
@@ -0,0 +1,169 @@
+import { config } from '../config.js';
+
+/**
+ * Creates the LLM provider selected in the configuration
+ * @param {object} options - Provider settings (defaults to config.llm)
+ * @returns {object|null} A provider with `name` and `analyze()`, or null to use the rule engine
+ */
+export function createProvider(options = config.llm) {
+  switch (options.provider) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'mock':
+      return createMockProvider(options);
+    case 'rules':
+    default:
+      return null;
+  }
+}
+
+/**
+ * Creates a provider for any OpenAI-compatible chat completions endpoint
+ * @param {object} options - Provider settings
+ * @returns {object} The provider
+ */
+function createOpenAIProvider(options) {
+  return {
+    name: 'openai',
+
+    /**
+     * Asks the model for structured intent and SQL
+     * @param {object} request - The query, history, schema and supported intents, and
+     *   optionally an AbortSignal that cancels the request
+     * @returns {Promise<object>} The model's { queryInfo, sql, params } answer
+     */
+    async analyze(request) {
+      const response = await fetch(`${options.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: options.model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: buildMessages(request)
+        }),
+        signal: requestSignal(request, options)
+      });
+
+      if (!response.ok) {
+        throw new Error(`LLM endpoint responded with ${response.status}: ${await response.text()}`);
+      }
+
+      const body = await response.json();
+      const content = body.choices && body.choices[0] && body.choices[0].message
+        ? body.choices[0].message.content
+        : null;
+
+      if (!content) {
+        throw new Error('LLM endpoint returned an empty completion');
+      }
+
+      return parseStructuredOutput(content);
+    }
+  };
+}
+
+/**
+ * Creates a provider for the local mock LLM server (scripts/mockLlmServer.js)
+ * @param {object} options - Provider settings
+ * @returns {object} The provider
+ */
+function createMockProvider(options) {
+  return {
+    name: 'mock',
+
+    async analyze(request) {
+      const response = await fetch(`${options.mockUrl.replace(/\/$/, '')}/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          query: request.query,
+          history: request.history
+        }),
+        signal: requestSignal(request, options)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mock LLM server responded with ${response.status}`);
+      }
+
+      return parseStructuredOutput(await response.text());
+    }
+  };
+}
+
+/**
+ * Combines the configured timeout with the caller's own AbortSignal, if any
+ * @param {object} request - The provider request
+ * @param {object} options - Provider settings
+ * @returns {AbortSignal} A signal that aborts on whichever comes first
+ */
+function requestSignal(request, options) {
+  const timeout = AbortSignal.timeout(options.timeoutMs);
+  return request.signal ? AbortSignal.any([timeout, request.signal]) : timeout;
+}
+
+/**
+ * Builds the chat messages sent to the model
+ * @param {object} request - The query, history, schema and supported intents
+ * @returns {Array} Chat completion messages
+ */
+function buildMessages({ query, history, schema, intents }) {
+  const schemaDescription = Object.entries(schema)
+    .map(([table, columns]) => `- ${table}(${columns.map(c => `${c.name} ${c.type}`).join(', ')})`)
+    .join('\n');
+
+  const intentDescription = intents
+    .map(intent => `- ${intent.type}: ${intent.description}\n  queryInfo fields: ${intent.fields}\n  SQL must return columns: ${intent.columns}`)
+    .join('\n');
+
+  const system = [
+    'You translate business questions into analytics queries for a SQLite database.',
+    'Respond with a single JSON object of the form {"queryInfo": {...}, "sql": "...", "params": [...]}.',
+    'queryInfo.type must be one of the intents below. "sql" must be a single read-only SELECT statement,',
+    'or null if you want the server to generate the SQL from queryInfo.',
+    'Never put literal values from the question into the SQL: use ? placeholders and list the values in "params".',
+    '',
+    'Database schema:',
+    schemaDescription,
+    '',
+    'Supported intents:',
+    intentDescription
+  ].join('\n');
+
+  const messages = [{ role: 'system', content: system }];
+
+  (history || []).forEach(turn => {
+    if (turn && (turn.role === 'user' || turn.role === 'assistant') && typeof turn.content === 'string') {
+      messages.push({ role: turn.role, content: turn.content });
+    }
+  });
+
+  messages.push({ role: 'user', content: query });
+
+  return messages;
+}
+
+/**
+ * Parses the JSON object returned by a provider
+ * @param {string} content - The raw model output
+ * @returns {object} The { queryInfo, sql, params } answer
+ */
+function parseStructuredOutput(content) {
+  // Models sometimes wrap JSON in a markdown code fence
+  const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '');
+  const parsed = JSON.parse(json);
+
+  if (!parsed || typeof parsed.queryInfo !== 'object' || typeof parsed.queryInfo.type !== 'string') {
+    throw new Error('LLM output is missing queryInfo.type');
+  }
+
+  return {
+    queryInfo: parsed.queryInfo,
+    sql: typeof parsed.sql === 'string' && parsed.sql.trim() ? parsed.sql : null,
+    params: Array.isArray(parsed.params) ? parsed.params : []
+  };
+}
@@ -0,0 +1,174 @@
+import { config } from '../config.js';
+import { classifyStatement } from '../utils/sqlGuard.js';
+
+// Cached results per connection, oldest use first, with the tables each one read
+const caches = new WeakMap();
+
+// Stands in for the tables of a query whose reads couldn't all be traced;
+// any write invalidates it
+const UNKNOWN_TABLE = '*';
+
+/**
+ * Runs a read-only query, answering from the cache when the same SQL and
+ * parameters ran within config.queryCache.ttlMs and nothing it read has been
+ * written since, through this connection or any other. The least recently used
+ * result is dropped once more than config.queryCache.maxEntries are cached.
+ * @param {object} db - The database connection
+ * @param {string} sql - The SQL query
+ * @param {Array} params - The bound parameters
+ * @returns {object} { rows, columns, cache } where columns are the statement's columns and
+ *   cache is { status: 'hit'|'miss'|'disabled', ageMs } (ageMs is set for hits)
+ */
+export function runCachedQuery(db, sql, params = []) {
+  const { ttlMs, maxEntries } = config.queryCache;
+
+  if (maxEntries <= 0 || ttlMs <= 0) {
+    return { ...runQuery(db, sql, params), cache: { status: 'disabled', ageMs: null } };
+  }
+
+  const cache = getCache(db);
+  const key = `${normalizeSql(sql)}\u0000${JSON.stringify(params)}`;
+  const entry = cache.get(key);
+  const now = Date.now();
+
+  // data_version changes when another connection (an import, a second server) commits a
+  // write, which invalidateTables never hears about
+  const dataVersion = db.pragma('data_version', { simple: true });
+
+  if (entry && now - entry.cachedAt < ttlMs && entry.dataVersion === dataVersion) {
+    // Move the entry to the most recently used end
+    cache.delete(key);
+    cache.set(key, entry);
+
+    // Response builders may sort or annotate their rows, so each hit gets its own copies
+    return {
+      rows: entry.rows.map(row => ({ ...row })),
+      columns: entry.columns,
+      cache: { status: 'hit', ageMs: now - entry.cachedAt }
+    };
+  }
+
+  cache.delete(key);
+
+  const result = runQuery(db, sql, params);
+  cache.set(key, {
+    ...result,
+    rows: result.rows.map(row => ({ ...row })),
+    tables: readTables(db, sql, params),
+    dataVersion,
+    cachedAt: now
+  });
+
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return { ...result, cache: { status: 'miss', ageMs: null } };
+}
+
+/**
+ * Drops cached results that read any of the given tables
+ * @param {object} db - The database connection
+ * @param {Array|null} tables - The tables written to, or null to drop every cached result
+ * @returns {number} The number of results dropped
+ */
+export function invalidateTables(db, tables) {
+  const cache = getCache(db);
+  const before = cache.size;
+
+  if (tables === null) {
+    cache.clear();
+    return before;
+  }
+
+  const written = new Set(tables.map(table => table.toLowerCase()));
+
+  cache.forEach((entry, key) => {
+    if (entry.tables.some(table => table === UNKNOWN_TABLE || written.has(table))) {
+      cache.delete(key);
+    }
+  });
+
+  return before - cache.size;
+}
+
+/**
+ * Works out which tables a statement writes to, from the tables SQLite opens
+ * for writing when it runs it. Only INSERT, UPDATE, DELETE and REPLACE are
+ * traced; schema changes, rollbacks and statements that fire triggers could
+ * change anything.
+ * @param {object} db - The database connection
+ * @param {string} sql - The SQL statement, before it runs
+ * @returns {Array|null} The lowercased table names, or null if the statement could change any table
+ */
+export function findWrittenTables(db, sql) {
+  if (classifyStatement(sql).category !== 'dml') {
+    return null;
+  }
+
+  const tables = tracedTables(db, sql, [], 'OpenWrite');
+  return tables.includes(UNKNOWN_TABLE) ? null : tables;
+}
+
+function getCache(db) {
+  if (!caches.has(db)) {
+    caches.set(db, new Map());
+  }
+
+  return caches.get(db);
+}
+
+function runQuery(db, sql, params) {
+  const statement = db.prepare(sql);
+
+  return {
+    rows: statement.all(params),
+    columns: statement.columns()
+  };
+}
+
+/**
+ * The tables a query reads; anything that can't be traced counts as unknown
+ */
+function readTables(db, sql, params) {
+  try {
+    return tracedTables(db, sql, params, 'OpenRead');
+  } catch (error) {
+    return [UNKNOWN_TABLE];
+  }
+}
+
+/**
+ * Lists the tables a statement's program opens with an opcode, by matching the
+ * root pages it opens against the schema. Pages outside the main schema and
+ * sub-programs (triggers, foreign key actions) can't be matched, so they make
+ * the result unknown.
+ */
+function tracedTables(db, sql, params, opcode) {
+  const program = db.prepare(`EXPLAIN ${sql}`).all(params);
+  const rootPages = new Map(
+    db.prepare('SELECT tbl_name, rootpage FROM sqlite_schema WHERE rootpage > 0').all()
+      .map(row => [row.rootpage, row.tbl_name.toLowerCase()])
+  );
+
+  if (program.some(step => step.opcode === 'Program')) {
+    return [UNKNOWN_TABLE];
+  }
+
+  const tables = program
+    .filter(step => step.opcode === opcode)
+    .map(step => (step.p3 === 0 && rootPages.has(step.p2) ? rootPages.get(step.p2) : UNKNOWN_TABLE));
+
+  return [...new Set(tables)];
+}
+
+/**
+ * Collapses whitespace outside string literals and quoted identifiers, and
+ * drops a trailing semicolon, so formatting differences share a cache entry
+ */
+function normalizeSql(sql) {
+  return sql
+    .replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\s+/g, match => (/^\s/.test(match) ? ' ' : match))
+    .trim()
+    .replace(/\s*;$/, '');
+}
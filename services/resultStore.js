@@ -0,0 +1,197 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config.js';
+
+/**
+ * Creates the tables that keep the raw rows behind each answer, if they don't exist yet.
+ * Rows are stored one per line so exports can read them back in batches.
+ * @param {object} db - The database connection
+ */
+export function ensureResultTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS agent_query_results (
+      result_id TEXT PRIMARY KEY,
+      question TEXT NOT NULL,
+      sql_query TEXT NOT NULL,
+      sql_params TEXT,
+      columns TEXT NOT NULL,
+      row_count INTEGER NOT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_query_result_rows (
+      result_id TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      row_values TEXT NOT NULL,
+      PRIMARY KEY (result_id, row_index),
+      FOREIGN KEY (result_id) REFERENCES agent_query_results(result_id)
+    );
+  `);
+}
+
+/**
+ * Stores the rows a question's SQL returned, keeping only the most recent
+ * config.results.maxStored results
+ * @param {object} db - The database connection
+ * @param {object} result - { question, sql, params, columns, rows } where columns are the
+ *   statement's columns (from statement.columns()) and rows the objects it returned
+ * @returns {string} The result ID
+ */
+export function saveResult(db, { question, sql, params, columns, rows }) {
+  const resultId = randomUUID();
+  const described = describeColumns(columns, rows);
+
+  const insertRow = db.prepare(`
+    INSERT INTO agent_query_result_rows (result_id, row_index, row_values)
+    VALUES (?, ?, ?)
+  `);
+
+  const save = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO agent_query_results
+        (result_id, question, sql_query, sql_params, columns, row_count, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      resultId,
+      question,
+      sql,
+      JSON.stringify(params || []),
+      JSON.stringify(described),
+      rows.length,
+      new Date().toISOString()
+    );
+
+    rows.forEach((row, index) => {
+      insertRow.run(resultId, index, JSON.stringify(described.map(column => storedValue(row[column.name]))));
+    });
+
+    // Older results are dropped once there are more than the configured number
+    const expired = `
+      SELECT result_id FROM agent_query_results
+      ORDER BY rowid DESC
+      LIMIT -1 OFFSET ?
+    `;
+    db.prepare(`DELETE FROM agent_query_result_rows WHERE result_id IN (${expired})`).run(config.results.maxStored);
+    db.prepare(`DELETE FROM agent_query_results WHERE result_id IN (${expired})`).run(config.results.maxStored);
+  });
+
+  save();
+
+  return resultId;
+}
+
+/**
+ * Fetches a stored result's description, without its rows
+ * @param {object} db - The database connection
+ * @param {string} resultId - The result ID
+ * @returns {object|null} { resultId, question, sql, params, columns, rowCount, createdAt }, or null if
+ *   the result doesn't exist (or has expired); columns are { name, type } in query order
+ */
+export function getResult(db, resultId) {
+  const result = db.prepare(`
+    SELECT result_id, question, sql_query, sql_params, columns, row_count, created_at
+    FROM agent_query_results
+    WHERE result_id = ?
+  `).get(resultId);
+
+  if (!result) {
+    return null;
+  }
+
+  return {
+    resultId: result.result_id,
+    question: result.question,
+    sql: result.sql_query,
+    params: result.sql_params ? JSON.parse(result.sql_params) : [],
+    columns: JSON.parse(result.columns),
+    rowCount: result.row_count,
+    createdAt: result.created_at
+  };
+}
+
+/**
+ * Reads a stored result's rows in batches, each read finishing before the next
+ * starts so the connection stays free for other requests in between
+ * @param {object} db - The database connection
+ * @param {string} resultId - The result ID
+ * @param {number} batchSize - The number of rows per batch
+ * @returns {Generator} Batches of rows, each row an array of values in column order
+ */
+export function* readResultRows(db, resultId, batchSize = 500) {
+  const statement = db.prepare(`
+    SELECT row_index, row_values
+    FROM agent_query_result_rows
+    WHERE result_id = ? AND row_index >= ?
+    ORDER BY row_index
+    LIMIT ?
+  `);
+
+  let next = 0;
+
+  while (true) {
+    const batch = statement.all(resultId, next, batchSize);
+
+    if (batch.length === 0) {
+      return;
+    }
+
+    yield batch.map(row => JSON.parse(row.row_values));
+    next = batch[batch.length - 1].row_index + 1;
+  }
+}
+
+/**
+ * Names and types the columns of a result. A column keeps the type it was
+ * declared with; computed columns are typed from their values, with any number
+ * as real. Repeated names
+ * (the same alias selected twice) are kept once, as the rows only hold one value.
+ * @returns {Array} { name, type } where type is integer, real, text or blob
+ */
+function describeColumns(columns, rows) {
+  const seen = new Set();
+
+  return columns
+    .filter(column => {
+      if (seen.has(column.name)) return false;
+      seen.add(column.name);
+      return true;
+    })
+    .map(column => ({
+      name: column.name,
+      type: declaredType(column.type) || valueType(rows.map(row => row[column.name]))
+    }));
+}
+
+/**
+ * Maps a declared column type to its SQLite affinity
+ */
+function declaredType(type) {
+  if (!type) return null;
+  if (/INT/i.test(type)) return 'integer';
+  if (/CHAR|CLOB|TEXT/i.test(type)) return 'text';
+  if (/BLOB/i.test(type)) return 'blob';
+  if (/REAL|FLOA|DOUB|NUM|DEC/i.test(type)) return 'real';
+  return null;
+}
+
+/**
+ * Infers a type from a column's values: real for numbers, and text otherwise
+ * (including a column of nulls). Computed numbers are always real, as whether a
+ * SUM or AVG comes out whole depends on the data, and a column's type shouldn't
+ * change from one result to the next.
+ */
+function valueType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+
+  if (present.some(value => Buffer.isBuffer(value))) return 'blob';
+  if (present.length === 0 || present.some(value => typeof value !== 'number')) return 'text';
+  return 'real';
+}
+
+/**
+ * Converts a value to one JSON can hold, with blobs as base64
+ */
+function storedValue(value) {
+  if (value === undefined) return null;
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  return value;
+}
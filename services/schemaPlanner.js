@@ -0,0 +1,358 @@
+import { describeSchema } from '../utils/schemaHelper.js';
+
+// Schema graphs are cached per connection until the schema version changes
+const graphCache = new WeakMap();
+
+/**
+ * Reads the tables, columns and foreign keys of the database into a schema graph
+ * @param {object} db - The database connection
+ * @returns {object} The schema graph: tables (with aliases and columns) and foreign key edges
+ */
+export function getSchemaGraph(db) {
+  const version = db.pragma('schema_version', { simple: true });
+  const cached = graphCache.get(db);
+
+  if (cached && cached.version === version) {
+    return cached.graph;
+  }
+
+  const schema = describeSchema(db);
+  const tables = {};
+  const edges = [];
+  const usedAliases = new Set();
+
+  // Tables are listed in creation order, so the original tables keep the short aliases
+  Object.entries(schema).forEach(([name, columns]) => {
+    tables[name] = {
+      name,
+      alias: createAlias(name, usedAliases),
+      columns
+    };
+  });
+
+  Object.keys(tables).forEach(name => {
+    // Bound rather than interpolated, so names that need quoting are read as written
+    const foreignKeys = db.prepare('SELECT * FROM pragma_foreign_key_list(?)').all(name);
+
+    foreignKeys.forEach(fk => {
+      const target = tables[fk.table];
+      if (!target) return;
+
+      // A foreign key without a target column references the primary key
+      const targetColumn = fk.to || (target.columns.find(c => c.pk) || {}).name;
+      if (!targetColumn) return;
+
+      edges.push({
+        from: { table: name, column: fk.from },
+        to: { table: fk.table, column: targetColumn }
+      });
+    });
+  });
+
+  const graph = { tables, edges };
+  graphCache.set(db, { version, graph });
+
+  return graph;
+}
+
+// Short words an alias made of initials could spell, which SQL would read as keywords
+const RESERVED_ALIASES = ['as', 'by', 'do', 'if', 'in', 'is', 'no', 'of', 'on', 'or', 'to',
+  'add', 'all', 'and', 'asc', 'end', 'for', 'key', 'not', 'row', 'set'];
+
+/**
+ * Creates a short table alias from the initials of its name (order_items -> oi).
+ * Aliases only use letters, so they never need quoting.
+ */
+function createAlias(tableName, usedAliases) {
+  const initials = tableName
+    .split(/[_\s]+/)
+    .map(part => (part.match(/[a-z]/i) || [''])[0].toLowerCase())
+    .join('');
+  const base = initials && !RESERVED_ALIASES.includes(initials) ? initials : 't';
+
+  let alias = base;
+  let suffix = 2;
+  while (usedAliases.has(alias) || RESERVED_ALIASES.includes(alias)) {
+    alias = `${base}${suffix++}`;
+  }
+
+  usedAliases.add(alias);
+  return alias;
+}
+
+/**
+ * Quotes a table or column name for generated SQL, so reserved words and names
+ * with spaces or quotes still work
+ * @param {string} name - The identifier
+ * @returns {string} The quoted identifier
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Returns the alias used for a table in generated SQL
+ * @param {object} graph - The schema graph
+ * @param {string} table - The table name
+ * @returns {string} The table alias
+ */
+export function tableAlias(graph, table) {
+  if (!graph.tables[table]) {
+    throw new Error(`Unknown table "${table}"`);
+  }
+
+  return graph.tables[table].alias;
+}
+
+/**
+ * Builds a FROM clause joining the given tables along foreign keys.
+ * The first table is the root; intermediate tables are added when needed.
+ * @param {object} graph - The schema graph
+ * @param {Array} tables - The tables the query needs
+ * @returns {string} The FROM clause body (without the FROM keyword)
+ */
+export function planJoins(graph, tables) {
+  const [root, ...rest] = [...new Set(tables)];
+  const joined = [root];
+  const clauses = [`${quoteIdentifier(root)} ${tableAlias(graph, root)}`];
+
+  rest.forEach(target => {
+    if (joined.includes(target)) return;
+
+    const path = findJoinPath(graph, joined, target);
+
+    if (!path) {
+      throw new Error(`No join path between ${root} and ${target}`);
+    }
+
+    path.forEach(step => {
+      const alias = tableAlias(graph, step.table);
+      const fromAlias = tableAlias(graph, step.fromTable);
+      clauses.push(`JOIN ${quoteIdentifier(step.table)} ${alias} ON ${fromAlias}.${quoteIdentifier(step.fromColumn)} = ${alias}.${quoteIdentifier(step.column)}`);
+      joined.push(step.table);
+    });
+  });
+
+  return clauses.join('\n');
+}
+
+/**
+ * Finds the shortest foreign key path from any already joined table to a target table
+ * @returns {Array|null} Join steps in order, or null if the tables aren't connected
+ */
+function findJoinPath(graph, joinedTables, target) {
+  const previous = new Map(joinedTables.map(table => [table, null]));
+  const queue = [...joinedTables];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (current === target) {
+      const steps = [];
+      let table = current;
+      while (previous.get(table)) {
+        const step = previous.get(table);
+        steps.unshift(step);
+        table = step.fromTable;
+      }
+      return steps;
+    }
+
+    // Foreign keys can be followed in either direction
+    graph.edges.forEach(edge => {
+      let step = null;
+
+      if (edge.from.table === current && !previous.has(edge.to.table)) {
+        step = { fromTable: current, fromColumn: edge.from.column, table: edge.to.table, column: edge.to.column };
+      } else if (edge.to.table === current && !previous.has(edge.from.table)) {
+        step = { fromTable: current, fromColumn: edge.to.column, table: edge.from.table, column: edge.from.column };
+      }
+
+      if (step) {
+        previous.set(step.table, step);
+        queue.push(step.table);
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a dimension mentioned in a question ("category", "region", "product")
+ * to a column in the schema. Column names match first; a table name resolves to
+ * that table's name or title column.
+ * @param {object} graph - The schema graph
+ * @param {string} term - The dimension as written in the question
+ * @param {Array} preferredTables - Tables to prefer when several columns match
+ * @returns {object|null} The table, column and SQL expression, or null if nothing matches
+ */
+export function resolveDimension(graph, term, preferredTables = []) {
+  const normalized = term.toLowerCase().trim().replace(/\s+/g, '_');
+  const candidates = [normalized, singularize(normalized)];
+  const tables = Object.values(graph.tables);
+
+  // A column with the same name, preferring tables the query already uses
+  const columnMatches = tables
+    .filter(table => table.columns.some(c => candidates.includes(c.name.toLowerCase()) && !c.pk))
+    .sort((a, b) => rankPreferred(a.name, preferredTables) - rankPreferred(b.name, preferredTables));
+
+  if (columnMatches.length > 0) {
+    const table = columnMatches[0];
+    const column = table.columns.find(c => candidates.includes(c.name.toLowerCase()) && !c.pk);
+    return createDimension(table, column.name);
+  }
+
+  // A table with the same name resolves to its label column
+  const table = tables.find(t => candidates.includes(t.name.toLowerCase()) || candidates.includes(singularize(t.name.toLowerCase())));
+
+  if (table) {
+    const label = findLabelColumn(table);
+    return label ? createDimension(table, label) : null;
+  }
+
+  return null;
+}
+
+function rankPreferred(table, preferredTables) {
+  const index = preferredTables.indexOf(table);
+  return index === -1 ? preferredTables.length : index;
+}
+
+function createDimension(table, column) {
+  return {
+    table: table.name,
+    column,
+    expression: `${table.alias}.${quoteIdentifier(column)}`
+  };
+}
+
+/**
+ * Picks the column that best names a row of a table (product_name, title, ...)
+ */
+function findLabelColumn(table) {
+  const textColumns = table.columns.filter(c => !c.type || /CHAR|TEXT|CLOB/i.test(c.type));
+  const label = textColumns.find(c => /(^|_)(name|title|label)$/i.test(c.name));
+
+  if (label) return label.name;
+
+  const primaryKey = table.columns.find(c => c.pk);
+  return primaryKey ? primaryKey.name : (textColumns[0] || {}).name || null;
+}
+
+/**
+ * Returns the singular form of a simple English plural (categories -> category)
+ */
+function singularize(word) {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses') || word.endsWith('xes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Plans a query over any tables in the schema when the question doesn't match
+ * one of the agent's built-in intents, e.g. "how many suppliers by country".
+ * @param {object} graph - The schema graph
+ * @param {string} query - The user's natural language query
+ * @returns {object|null} A schema_analysis queryInfo, or null if the question mentions no table or
+ *   column, or asks for an aggregate of something that isn't a numeric column
+ */
+export function analyzeSchemaQuery(graph, query) {
+  const lowerQuery = query.toLowerCase();
+  const tables = Object.values(graph.tables);
+
+  const mentionsTerm = name => {
+    const spaced = name.toLowerCase().replace(/_/g, ' ');
+    return [spaced, singularize(spaced)].some(term =>
+      new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lowerQuery)
+    );
+  };
+
+  const mentionedTables = tables.filter(table => mentionsTerm(table.name)).map(table => table.name);
+
+  // The measure: an aggregate over a numeric column, or a count of a table's rows
+  let measure = null;
+  const aggregateMatch = lowerQuery.match(/\b(total|sum of|average|avg|mean|max(?:imum)?|min(?:imum)?|highest|lowest)\s+(?:of\s+)?(?:the\s+)?([a-z_ ]+)/);
+
+  if (aggregateMatch) {
+    const words = aggregateMatch[2].trim();
+    const column = findNumericColumn(tables, words, mentionedTables);
+
+    // An aggregate of something that isn't a column ("total revenue by supplier")
+    // can't be planned here; counting the rows of a mentioned table instead would
+    // answer a different question
+    if (!column) {
+      return null;
+    }
+
+    measure = {
+      aggregate: /total|sum/.test(aggregateMatch[1]) ? 'SUM'
+        : /max|highest/.test(aggregateMatch[1]) ? 'MAX'
+        : /min|lowest/.test(aggregateMatch[1]) ? 'MIN'
+        : 'AVG',
+      table: column.table,
+      column: column.column
+    };
+  }
+
+  if (!measure && mentionedTables.length > 0) {
+    measure = {
+      aggregate: 'COUNT',
+      table: mentionedTables[0],
+      column: null
+    };
+  }
+
+  if (!measure) {
+    return null;
+  }
+
+  // The dimensions: "by X" / "per X" / "by X and Y" phrases that resolve to schema columns
+  const dimensions = [];
+  const dimensionPattern = /\b(?:by|per|for each)\s+([a-z_]+(?:\s+(?!and\b)[a-z_]+)?)(?:\s+and\s+(?:by\s+)?([a-z_]+(?:\s+[a-z_]+)?))?/g;
+  let match;
+
+  while ((match = dimensionPattern.exec(lowerQuery)) !== null) {
+    [match[1], match[2]].filter(Boolean).forEach(phrase => {
+      const words = phrase.split(/\s+/);
+      const dimension = resolveDimension(graph, words.join('_'), [measure.table, ...mentionedTables])
+        || resolveDimension(graph, words[0], [measure.table, ...mentionedTables]);
+
+      if (dimension && !dimensions.includes(`${dimension.table}.${dimension.column}`)) {
+        dimensions.push(`${dimension.table}.${dimension.column}`);
+      }
+    });
+  }
+
+  const limitMatch = lowerQuery.match(/top (\d+)/);
+
+  return {
+    type: 'schema_analysis',
+    measure,
+    dimensions,
+    limit: limitMatch ? parseInt(limitMatch[1]) : 50
+  };
+}
+
+/**
+ * Finds a numeric column whose name is written in the question ("unit price" -> unit_price)
+ */
+function findNumericColumn(tables, words, preferredTables) {
+  const candidates = [];
+
+  tables.forEach(table => {
+    table.columns
+      .filter(c => /INT|REAL|NUM|DEC|FLOA|DOUB/i.test(c.type || '') && !c.pk)
+      .forEach(c => {
+        const spaced = c.name.toLowerCase().replace(/_/g, ' ');
+        if (words.startsWith(spaced) || words.startsWith(c.name.toLowerCase())) {
+          candidates.push({ table: table.name, column: c.name });
+        }
+      });
+  });
+
+  candidates.sort((a, b) => rankPreferred(a.table, preferredTables) - rankPreferred(b.table, preferredTables));
+
+  return candidates[0] || null;
+}
@@ -0,0 +1,180 @@
+import { config } from '../config.js';
+import { getSchemaGraph, resolveDimension, tableAlias, quoteIdentifier } from './schemaPlanner.js';
+
+// Dimensions whose values are recognised when mentioned in a question
+export const VOCABULARY_DIMENSIONS = ['category', 'region', 'segment', 'product', 'customer', 'status'];
+
+// Words that name a dimension next to one of its values ("North region", "segment Corporate").
+// Customer and product have none because those words also ask for customer or product rankings.
+const DIMENSION_QUALIFIERS = {
+  category: ['category', 'categories'],
+  region: ['region', 'regions'],
+  segment: ['segment', 'segments'],
+  status: ['status']
+};
+
+// Vocabularies are cached per connection until the data or schema changes
+const vocabularyCache = new WeakMap();
+
+/**
+ * Returns the vocabulary of dimension values in the database, rebuilding it
+ * whenever the data has changed since it was last built
+ * @param {object} db - The database connection
+ * @returns {Array} Entries of { dimension, value, pattern }, longest values first
+ */
+export function getVocabulary(db) {
+  const version = getDataVersion(db);
+  const cached = vocabularyCache.get(db);
+
+  if (cached && cached.version === version) {
+    return cached.entries;
+  }
+
+  const entries = buildVocabulary(db);
+  vocabularyCache.set(db, { version, entries });
+
+  return entries;
+}
+
+/**
+ * Drops the cached vocabulary, for writes made through this connection (which
+ * data_version doesn't track)
+ * @param {object} db - The database connection
+ */
+export function invalidateVocabulary(db) {
+  vocabularyCache.delete(db);
+}
+
+/**
+ * Identifies the current state of the data. data_version changes when another
+ * connection writes; writes through this one, such as the agent storing its own
+ * results, leave it alone, so /api/execute invalidates the vocabulary itself.
+ */
+function getDataVersion(db) {
+  const dataVersion = db.pragma('data_version', { simple: true });
+  const schemaVersion = db.pragma('schema_version', { simple: true });
+
+  return `${dataVersion}:${schemaVersion}`;
+}
+
+/**
+ * Reads the distinct values of every vocabulary dimension
+ */
+function buildVocabulary(db) {
+  const graph = getSchemaGraph(db);
+  const entries = [];
+
+  VOCABULARY_DIMENSIONS.forEach(dimension => {
+    const resolved = resolveDimension(graph, dimension);
+    if (!resolved) return;
+
+    const alias = tableAlias(graph, resolved.table);
+    const values = db.prepare(`
+      SELECT DISTINCT ${resolved.expression} as value
+      FROM ${quoteIdentifier(resolved.table)} ${alias}
+      WHERE ${resolved.expression} IS NOT NULL AND TRIM(${resolved.expression}) != ''
+    `).all();
+
+    // The configured statuses are known even before any order has them, so a
+    // question about them filters on them instead of dropping the filter
+    const texts = values.map(({ value }) => String(value));
+
+    if (dimension === 'status') {
+      const { revenue, funnel, cancelled } = config.orderStatuses;
+      [...revenue, ...funnel, ...cancelled]
+        .filter((status, index, statuses) => statuses.indexOf(status) === index && !texts.includes(status))
+        .forEach(status => texts.push(status));
+    }
+
+    texts.forEach(text => {
+      entries.push({
+        dimension,
+        value: text,
+        pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(text.toLowerCase())}(?=$|[^a-z0-9])`)
+      });
+    });
+  });
+
+  // Longer values win over values they contain ("Home Office Supplies" over "Home Office")
+  return entries.sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Finds the dimension values mentioned in a question. A value shared by several
+ * dimensions is attributed to the one its qualifier names ("the East region").
+ * @param {string} query - The user's natural language query
+ * @param {Array} vocabulary - Entries from getVocabulary
+ * @returns {Array} Matches of { dimension, value, qualifier } in the order they appear in the question;
+ *   qualifier is the { start, end } span of the value and its qualifying word, or null
+ */
+export function matchEntities(query, vocabulary) {
+  const text = query.toLowerCase();
+  let remaining = text;
+  const matches = [];
+
+  (vocabulary || []).forEach(entry => {
+    const match = remaining.match(entry.pattern);
+    if (!match) return;
+
+    const start = match.index + match[1].length;
+    const end = start + entry.value.length;
+
+    // Leave a shared value to the dimension whose qualifier is next to it
+    const claimedElsewhere = vocabulary.some(other =>
+      other !== entry &&
+      other.dimension !== entry.dimension &&
+      other.value.toLowerCase() === entry.value.toLowerCase() &&
+      findQualifier(text, start, end, other.dimension)
+    );
+    if (claimedElsewhere) return;
+
+    matches.push({
+      dimension: entry.dimension,
+      value: entry.value,
+      position: start,
+      qualifier: findQualifier(text, start, end, entry.dimension)
+    });
+
+    // Blank out the matched text so shorter values inside it don't match again
+    remaining = remaining.slice(0, start) + ' '.repeat(entry.value.length) + remaining.slice(end);
+  });
+
+  return matches
+    .sort((a, b) => a.position - b.position)
+    .map(({ dimension, value, qualifier }) => ({ dimension, value, qualifier }));
+}
+
+/**
+ * Blanks out qualified values ("North region") so their qualifying word isn't
+ * mistaken for a request to analyze that dimension
+ * @param {string} query - The lowercased query
+ * @param {Array} matches - Matches from matchEntities
+ * @returns {string} The query with qualified values replaced by spaces
+ */
+export function maskQualifiedEntities(query, matches) {
+  return matches.reduce((text, { qualifier }) => {
+    if (!qualifier) return text;
+    return text.slice(0, qualifier.start) + ' '.repeat(qualifier.end - qualifier.start) + text.slice(qualifier.end);
+  }, query);
+}
+
+/**
+ * Finds a word naming the dimension directly before or after a value
+ * @returns {object|null} The { start, end } span covering the value and the qualifier
+ */
+function findQualifier(text, start, end, dimension) {
+  const words = DIMENSION_QUALIFIERS[dimension];
+  if (!words) return null;
+
+  const after = text.slice(end).match(new RegExp(`^\\s+(${words.join('|')})\\b`));
+  if (after) return { start, end: end + after[0].length };
+
+  const before = text.slice(0, start).match(new RegExp(`\\b(${words.join('|')})\\s+$`));
+  if (before) return { start: start - before[0].length, end };
+
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { config } from '../config.js';
+import { generateResponse, generateSqlQuery } from '../services/agent.js';
+import { ensureResultTables } from '../services/resultStore.js';
+import { initializeDatabase } from '../utils/databaseInitializer.js';
+import { formatQuery } from '../utils/sqlFormatter.js';
+
+// The OpenAI provider is pointed at scripts/mockLlmServer.js, which answers the
+// questions below from fixtures; the rule engine plans everything else
+const root = fileURLToPath(new URL('..', import.meta.url));
+const fixtures = fileURLToPath(new URL('./fixtures/llmAnswers.json', import.meta.url));
+const answers = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+
+const llmSettings = { ...config.llm };
+let server;
+let db;
+
+before(async () => {
+  server = spawn(process.execPath, ['scripts/mockLlmServer.js'], {
+    cwd: root,
+    env: { ...process.env, MOCK_LLM_PORT: '0', MOCK_LLM_FIXTURES: fixtures },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/localhost:(\d+)/);
+      if (match) resolve(match[1]);
+    });
+    server.on('exit', code => reject(new Error(`Mock LLM server exited with code ${code}`)));
+  });
+
+  Object.assign(config.llm, { provider: 'openai', baseUrl: `http://localhost:${port}`, apiKey: '', timeoutMs: 5000 });
+
+  db = new Database(':memory:');
+  initializeDatabase(db);
+  ensureResultTables(db);
+});
+
+after(() => {
+  Object.assign(config.llm, llmSettings);
+  if (db) db.close();
+  if (server) server.kill();
+});
+
+/**
+ * Asks a question with console output captured, so the test can read why SQL was ignored
+ */
+async function ask(t, question) {
+  t.mock.method(console, 'log', () => {});
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const response = await generateResponse(question, [], db);
+  const logged = errors.mock.calls.map(call => call.arguments.join(' '));
+
+  return { response, logged };
+}
+
+function assertGeneratedSql(response) {
+  const generated = generateSqlQuery(response.metadata.queryInfo, db);
+
+  assert.equal(response.metadata.sql, generated.sql);
+  assert.deepEqual(response.metadata.params, generated.params);
+}
+
+test('runs the SQL the model wrote when it is valid', async t => {
+  const { response, logged } = await ask(t, 'Completed revenue by region');
+
+  assert.equal(response.metadata.provider, 'openai');
+  assert.equal(response.metadata.queryInfo.type, 'revenue_analysis');
+  assert.equal(response.metadata.queryInfo.groupBy, 'region');
+  assert.equal(response.metadata.sql, formatQuery(answers['completed revenue by region'].sql));
+  assert.deepEqual(response.metadata.params, ['Completed']);
+  assert.deepEqual(logged, []);
+  assert.ok(response.resultId);
+});
+
+test('falls back to the generated SQL when the model writes to the database', async t => {
+  const ordersBefore = db.prepare('SELECT COUNT(*) AS count FROM orders').get().count;
+  const { response, logged } = await ask(t, 'Revenue by region after clearing the orders');
+
+  assert.equal(response.metadata.provider, 'openai');
+  assertGeneratedSql(response);
+  assert.ok(logged.some(line => line.startsWith('Ignoring LLM generated SQL:')));
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM orders').get().count, ordersBefore);
+});
+
+test('falls back to the generated SQL when the model leaves out columns the answer needs', async t => {
+  const { response, logged } = await ask(t, 'Revenue by region without costs');
+
+  assertGeneratedSql(response);
+  assert.ok(logged.some(line => /missing columns .*units_sold/.test(line)));
+});
+
+test('falls back to the generated SQL when a placeholder has no param', async t => {
+  const { response, logged } = await ask(t, 'Revenue by region missing a param');
+
+  assertGeneratedSql(response);
+  assert.ok(logged.some(line => line.startsWith('Ignoring LLM generated SQL:')));
+});
+
+test('falls back to the generated SQL when a param is not a scalar', async t => {
+  const { response, logged } = await ask(t, 'Revenue by region with an object param');
+
+  assertGeneratedSql(response);
+  assert.ok(logged.some(line => /unsupported value .* for parameter 1/.test(line)));
+});
+
+test('falls back to the rule engine when the model picks an intent that does not exist', async t => {
+  const { response, logged } = await ask(t, 'Top 5 products');
+
+  assert.equal(response.metadata.provider, 'rules');
+  assert.equal(response.metadata.queryInfo.type, 'product_analysis');
+  assert.ok(logged.some(line => /Unsupported intent "warehouse_analysis"/.test(line)));
+});
@@ -0,0 +1,137 @@
+// Methods that can flag a value, as named in answers
+export const ANOMALY_METHODS = ['z-score', 'IQR', 'seasonal'];
+
+/**
+ * Finds outliers in an evenly spaced series. Every value is tested with a
+ * z-score, the interquartile range and, when the series covers two full
+ * seasons, the residual of a seasonal decomposition. A value is an anomaly
+ * when enough of the methods that apply flag it.
+ * @param {Array} values - The series, oldest first
+ * @param {object} options - { seasonLength, zThreshold, iqrFactor, minAgreement }: the number of
+ *   values in a season (7 for days, 12 for months; 0 for none), the z-score beyond which a value
+ *   is an outlier (by default 2.5 for series shorter than 30, else 3), the IQR multiplier, and how
+ *   many methods must agree
+ * @returns {object} { anomalies, methods } where anomalies are { index, value, expected, direction,
+ *   methods, score } with the largest score (absolute z-score) first, and methods lists those applied
+ */
+export function detectAnomalies(values, { seasonLength = 0, zThreshold = null, iqrFactor = 1.5, minAgreement = 2 } = {}) {
+  // Too few values to say what is normal
+  if (values.length < 4) {
+    return { anomalies: [], methods: [] };
+  }
+
+  const threshold = zThreshold || (values.length < 30 ? 2.5 : 3);
+  const average = mean(values);
+  const deviation = standardDeviation(values);
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const lowerFence = q1 - iqrFactor * (q3 - q1);
+  const upperFence = q3 + iqrFactor * (q3 - q1);
+  const median = quantile(sorted, 0.5);
+
+  const decomposition = seasonLength > 1 && values.length >= seasonLength * 2
+    ? decompose(values, seasonLength)
+    : null;
+  const residualMean = decomposition ? mean(decomposition.residuals) : 0;
+  const residualDeviation = decomposition ? standardDeviation(decomposition.residuals) : 0;
+
+  const methods = decomposition ? ANOMALY_METHODS : ANOMALY_METHODS.filter(m => m !== 'seasonal');
+  const required = Math.min(minAgreement, methods.length);
+  const anomalies = [];
+
+  values.forEach((value, index) => {
+    const z = deviation > 0 ? (value - average) / deviation : 0;
+    const flagged = [];
+
+    if (Math.abs(z) > threshold) flagged.push('z-score');
+    if (value < lowerFence || value > upperFence) flagged.push('IQR');
+
+    if (decomposition && residualDeviation > 0) {
+      const residualZ = (decomposition.residuals[index] - residualMean) / residualDeviation;
+      if (Math.abs(residualZ) > threshold) flagged.push('seasonal');
+    }
+
+    if (flagged.length >= required) {
+      const expected = decomposition ? decomposition.expected[index] : median;
+      anomalies.push({
+        index,
+        value,
+        expected,
+        direction: value >= expected ? 'spike' : 'drop',
+        methods: flagged,
+        score: Math.abs(z)
+      });
+    }
+  });
+
+  return {
+    anomalies: anomalies.sort((a, b) => b.score - a.score),
+    methods
+  };
+}
+
+/**
+ * Classical additive decomposition into a trend (centred moving average over a
+ * season), a repeating seasonal pattern and the residual left over
+ * @returns {object} { expected, residuals } where expected is trend plus season
+ */
+function decompose(values, seasonLength) {
+  const half = Math.floor(seasonLength / 2);
+  const trend = values.map((_, t) => {
+    if (t < half || t + half >= values.length) return null;
+
+    // An even season needs half weights at both ends to stay centred
+    if (seasonLength % 2 === 0) {
+      let sum = (values[t - half] + values[t + half]) / 2;
+      for (let i = t - half + 1; i < t + half; i++) sum += values[i];
+      return sum / seasonLength;
+    }
+
+    return mean(values.slice(t - half, t + half + 1));
+  });
+
+  // The ends have no centred window; carry the nearest trend value out to them
+  const firstTrend = trend.find(value => value !== null);
+  const lastTrend = [...trend].reverse().find(value => value !== null);
+  const filledTrend = trend.map((value, t) => (value !== null ? value : t < half ? firstTrend : lastTrend));
+
+  const seasonTotals = Array(seasonLength).fill(0);
+  const seasonCounts = Array(seasonLength).fill(0);
+  values.forEach((value, t) => {
+    if (trend[t] === null) return;
+    seasonTotals[t % seasonLength] += value - trend[t];
+    seasonCounts[t % seasonLength] += 1;
+  });
+
+  const rawSeasons = seasonTotals.map((total, k) => (seasonCounts[k] > 0 ? total / seasonCounts[k] : 0));
+  const seasonMean = mean(rawSeasons);
+  const seasons = rawSeasons.map(value => value - seasonMean);
+
+  const expected = values.map((_, t) => filledTrend[t] + seasons[t % seasonLength]);
+
+  return {
+    expected,
+    residuals: values.map((value, t) => value - expected[t])
+  };
+}
+
+/**
+ * Linearly interpolated quantile of sorted values
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
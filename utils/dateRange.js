@@ -0,0 +1,312 @@
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ISO_DATE_PATTERN = '(\\d{4}-\\d{2}-\\d{2})';
+const YEAR_PATTERN = '((?:19|20)\\d{2})';
+
+/**
+ * Parses an explicit date range from a question: quarters ("Q2 2023"), halves
+ * ("first half of the year"), ISO weeks ("week 12"), months ("between March and
+ * June 2023"), years ("in 2023") and open ranges ("since 2023-05-01").
+ * Periods without a year resolve to their most recent occurrence on or before the reference date.
+ * @param {string} query - The question (any case)
+ * @param {string} referenceDate - The date relative phrases are anchored to (YYYY-MM-DD)
+ * @returns {object|null} { start, end, label, anchored } with ISO dates (either may be null for
+ *   open ranges), anchored when the reference date was needed to resolve it; or null
+ */
+export function parseDateRange(query, referenceDate) {
+  const reference = parseISODate(referenceDate);
+  let anchored = false;
+
+  // Years left out of the question are inferred from the reference date; a branch
+  // of matchDateRange only calls this once it is going to return its range
+  const inferYear = month => {
+    anchored = true;
+    return month === undefined ? reference.year : mostRecentYear(month, reference);
+  };
+
+  const range = matchDateRange(query.toLowerCase(), inferYear);
+  return range ? { ...range, anchored } : null;
+}
+
+/**
+ * Matches the supported date expressions in order of precedence
+ */
+function matchDateRange(text, inferYear) {
+  let match;
+
+  // Between two ISO dates
+  match = text.match(new RegExp(`(?:between|from)\\s+${ISO_DATE_PATTERN}\\s+(?:and|to|until|through)\\s+${ISO_DATE_PATTERN}`));
+  if (match) {
+    return createRange(match[1], match[2], `${match[1]} to ${match[2]}`);
+  }
+
+  // Between two months ("between March and June 2023", "from Jan 2023 to Mar 2023")
+  match = text.match(new RegExp(`(?:between|from)\\s+${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?\\s+(?:and|to|until|through)\\s+${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?`));
+  if (match) {
+    const startMonth = monthIndex(match[1]);
+    const endMonth = monthIndex(match[3]);
+    const endYear = match[4] ? parseInt(match[4]) : match[2] ? parseInt(match[2]) : inferYear(endMonth);
+    const startYear = match[2] ? parseInt(match[2]) : startMonth <= endMonth ? endYear : endYear - 1;
+
+    return createRange(
+      toISODate(startYear, startMonth, 1),
+      toISODate(endYear, endMonth, daysInMonth(endYear, endMonth)),
+      `${monthName(startMonth)} ${startYear} to ${monthName(endMonth)} ${endYear}`
+    );
+  }
+
+  // Open ranges from or to a date ("since 2023-05-01", "before March 2023")
+  match = text.match(new RegExp(`\\b(since|after|from|before|until|through)\\s+(?:${ISO_DATE_PATTERN}|${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?)`));
+  if (match) {
+    const [, keyword, isoDate, month, year] = match;
+    let start;
+    let end;
+
+    if (isoDate) {
+      start = isoDate;
+      end = isoDate;
+    } else {
+      const monthNumber = monthIndex(month);
+      const resolvedYear = year ? parseInt(year) : inferYear(monthNumber);
+      start = toISODate(resolvedYear, monthNumber, 1);
+      end = toISODate(resolvedYear, monthNumber, daysInMonth(resolvedYear, monthNumber));
+    }
+
+    const described = isoDate || `${monthName(monthIndex(month))} ${start.slice(0, 4)}`;
+
+    switch (keyword) {
+      case 'since':
+      case 'from':
+        return createRange(start, null, `since ${described}`);
+      case 'after':
+        return createRange(addDays(end, 1), null, `after ${described}`);
+      case 'before':
+        return createRange(null, addDays(start, -1), `before ${described}`);
+      default:
+        return createRange(null, end, `until ${described}`);
+    }
+  }
+
+  // Quarters ("Q2 2023", "2023 Q2", "Q3")
+  match = text.match(new RegExp(`\\bq([1-4])(?:\\s+(?:of\\s+)?${YEAR_PATTERN})?\\b`)) ||
+    text.match(new RegExp(`\\b${YEAR_PATTERN}[\\s-]*q([1-4])\\b`));
+  if (match) {
+    const quarter = parseInt(/^q?[1-4]$/.test(match[1]) ? match[1] : match[2]);
+    const explicitYear = /^q?[1-4]$/.test(match[1]) ? match[2] : match[1];
+    const year = explicitYear
+      ? parseInt(explicitYear)
+      : inferYear((quarter - 1) * 3);
+
+    return quarterRange(year, quarter);
+  }
+
+  // Halves ("first half of the year", "second half of 2023", "H1 2023")
+  match = text.match(new RegExp(`\\b(first|1st|second|2nd)\\s+half\\s+of\\s+(?:the\\s+year|${YEAR_PATTERN})`)) ||
+    text.match(new RegExp(`\\bh([12])(?:\\s+${YEAR_PATTERN})?\\b`));
+  if (match) {
+    const half = /^(first|1st|1)$/.test(match[1]) ? 1 : 2;
+    const year = match[2]
+      ? parseInt(match[2])
+      : inferYear(half === 1 ? 0 : 6);
+    const startMonth = half === 1 ? 0 : 6;
+
+    return createRange(
+      toISODate(year, startMonth, 1),
+      toISODate(year, startMonth + 5, daysInMonth(year, startMonth + 5)),
+      `H${half} ${year}`
+    );
+  }
+
+  // ISO weeks ("week 12", "week 12 of 2023")
+  match = text.match(new RegExp(`\\bweek\\s+(\\d{1,2})(?:\\s+(?:of\\s+)?${YEAR_PATTERN})?\\b`));
+  if (match) {
+    const week = parseInt(match[1]);
+
+    // Out-of-range weeks fall through to the other expressions, so the year is
+    // only inferred (marking the range anchored) for a week that is used
+    if (week >= 1 && week <= 53) {
+      const year = match[2] ? parseInt(match[2]) : inferYear();
+      const start = isoWeekStart(year, week);
+      return createRange(start, addDays(start, 6), `week ${week} of ${year}`);
+    }
+  }
+
+  // A single month ("in March 2023", "March")
+  match = text.match(new RegExp(`\\b(?:in|during|for|of)\\s+${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?\\b`)) ||
+    text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+${YEAR_PATTERN}\\b`));
+  if (match) {
+    const month = monthIndex(match[1]);
+    const year = match[2] ? parseInt(match[2]) : inferYear(month);
+
+    return createRange(
+      toISODate(year, month, 1),
+      toISODate(year, month, daysInMonth(year, month)),
+      `${monthName(month)} ${year}`
+    );
+  }
+
+  // A whole year ("in 2023")
+  match = text.match(new RegExp(`\\b(?:in|during|for|of|year)\\s+${YEAR_PATTERN}\\b`));
+  if (match) {
+    const year = parseInt(match[1]);
+    return createRange(toISODate(year, 0, 1), toISODate(year, 11, 31), `${year}`);
+  }
+
+  return null;
+}
+
+/**
+ * Finds every period named in a question ("Q3", "March 2023", "2022", "last month"),
+ * for questions that compare periods with each other
+ * @param {string} query - The question (any case)
+ * @param {string} referenceDate - The date relative phrases are anchored to (YYYY-MM-DD)
+ * @returns {Array} The distinct periods as { start, end, label, anchored }, in the order they are mentioned
+ */
+export function extractPeriods(query, referenceDate) {
+  const pattern = new RegExp(
+    `\\b(?:(this|last|previous)\\s+(month|quarter|year)|q[1-4](?:\\s+${YEAR_PATTERN})?|h[12](?:\\s+${YEAR_PATTERN})?|${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?|${YEAR_PATTERN})\\b`,
+    'g'
+  );
+  const periods = [];
+  let match;
+
+  while ((match = pattern.exec(query.toLowerCase())) !== null) {
+    const period = match[1]
+      ? resolveTimeframe(`${match[1] === 'previous' ? 'last' : match[1]}_${match[2]}`, referenceDate)
+      : parseDateRange(`in ${match[0]}`, referenceDate);
+
+    if (period && !periods.some(p => p.start === period.start && p.end === period.end)) {
+      periods.push(period);
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * Resolves a relative timeframe ("last_quarter", "this_year", ...) to a date range
+ * @param {string} timeframe - The timeframe keyword
+ * @param {string} referenceDate - The date the timeframe is relative to (YYYY-MM-DD)
+ * @returns {object|null} { start, end, label, anchored }, or null for all_time and unknown timeframes
+ */
+export function resolveTimeframe(timeframe, referenceDate) {
+  const range = relativeRange(timeframe, referenceDate);
+  return range ? { ...range, anchored: true } : null;
+}
+
+function relativeRange(timeframe, referenceDate) {
+  const reference = parseISODate(referenceDate);
+  const { year, month } = reference;
+  const quarter = Math.floor(month / 3) + 1;
+
+  switch (timeframe) {
+    case 'last_year':
+      return createRange(toISODate(year - 1, 0, 1), toISODate(year - 1, 11, 31), 'last year');
+    case 'this_year':
+      return createRange(toISODate(year, 0, 1), referenceDate, 'this year');
+    case 'last_month': {
+      const lastMonthYear = month === 0 ? year - 1 : year;
+      const lastMonth = month === 0 ? 11 : month - 1;
+      return createRange(
+        toISODate(lastMonthYear, lastMonth, 1),
+        toISODate(lastMonthYear, lastMonth, daysInMonth(lastMonthYear, lastMonth)),
+        'last month'
+      );
+    }
+    case 'this_month':
+      return createRange(toISODate(year, month, 1), referenceDate, 'this month');
+    case 'last_quarter': {
+      const range = quarter === 1 ? quarterRange(year - 1, 4) : quarterRange(year, quarter - 1);
+      return { ...range, label: 'last quarter' };
+    }
+    case 'this_quarter':
+      return createRange(toISODate(year, (quarter - 1) * 3, 1), referenceDate, 'this quarter');
+    case 'last_6_months':
+      return createRange(addMonths(referenceDate, -6), referenceDate, 'the last 6 months');
+    case 'last_3_months':
+      return createRange(addMonths(referenceDate, -3), referenceDate, 'the last 3 months');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Formats a date range for display ("2023-04-01 to 2023-06-30")
+ * @param {object} range - { start, end }
+ * @returns {string} The formatted range
+ */
+export function formatDateRange(range) {
+  if (range.start && range.end) return `${range.start} to ${range.end}`;
+  if (range.start) return `from ${range.start}`;
+  return `up to ${range.end}`;
+}
+
+/**
+ * Returns today's date as YYYY-MM-DD (UTC)
+ */
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function createRange(start, end, label) {
+  return { start, end, label };
+}
+
+function quarterRange(year, quarter) {
+  const startMonth = (quarter - 1) * 3;
+  return createRange(
+    toISODate(year, startMonth, 1),
+    toISODate(year, startMonth + 2, daysInMonth(year, startMonth + 2)),
+    `Q${quarter} ${year}`
+  );
+}
+
+/**
+ * The year of the most recent period starting in the given month that has
+ * started on or before the reference date
+ */
+function mostRecentYear(month, reference) {
+  return month <= reference.month ? reference.year : reference.year - 1;
+}
+
+function isoWeekStart(year, week) {
+  // Week 1 is the week (starting Monday) that contains January 4th
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const dayOfWeek = (jan4.getUTCDay() + 6) % 7;
+  const week1Monday = new Date(Date.UTC(year, 0, 4 - dayOfWeek));
+  return addDays(week1Monday.toISOString().slice(0, 10), (week - 1) * 7);
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+}
+
+function monthName(index) {
+  return MONTHS[index][0].toUpperCase() + MONTHS[index].slice(1);
+}
+
+function parseISODate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return { year, month: month - 1, day };
+}
+
+function toISODate(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function addDays(isoDate, days) {
+  const { year, month, day } = parseISODate(isoDate);
+  return toISODate(year, month, day + days);
+}
+
+function addMonths(isoDate, months) {
+  const { year, month, day } = parseISODate(isoDate);
+  // Clamp to the last day of the target month (March 31 - 1 month = February 28)
+  const target = new Date(Date.UTC(year, month + months, 1));
+  const lastDay = daysInMonth(target.getUTCFullYear(), target.getUTCMonth());
+  return toISODate(target.getUTCFullYear(), target.getUTCMonth(), Math.min(day, lastDay));
+}
@@ -0,0 +1,210 @@
+// Forecasting methods, in the order they are tried
+export const FORECAST_METHODS = ['linear', 'moving_average', 'holt_winters'];
+
+const METHOD_LABELS = {
+  linear: 'linear trend',
+  moving_average: 'moving average',
+  holt_winters: 'Holt-Winters'
+};
+
+// Smoothing parameters tried when fitting Holt-Winters
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+// z-score of a two-sided 95% confidence band
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * Forecasts the next values of an evenly spaced series (one value per month).
+ * With method 'auto' every method is backtested on the most recent values and
+ * the one with the lowest error is used.
+ * @param {Array} values - The series, oldest first
+ * @param {number} horizon - How many values to forecast
+ * @param {object} options - { method, seasonLength }: 'auto' or one of FORECAST_METHODS,
+ *   and the number of values in a season (12 for monthly data)
+ * @returns {object} { method, label, seasonal, forecast, evaluations, holdout } where forecast is a list
+ *   of { value, lower, upper } and evaluations list each method's backtest { method, label, rmse }
+ */
+export function forecastSeries(values, horizon, { method = 'auto', seasonLength = 12 } = {}) {
+  if (values.length < 2) {
+    throw new Error('At least two values are needed to forecast');
+  }
+
+  if (method !== 'auto' && !FORECAST_METHODS.includes(method)) {
+    throw new Error(`Unknown forecasting method "${method}"`);
+  }
+
+  // Hold back the latest values, forecast them from the rest and measure the error
+  const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length / 4)));
+  const training = values.slice(0, values.length - holdout);
+  const evaluations = training.length < 3 ? [] : FORECAST_METHODS.map(name => {
+    const predicted = fitMethod(name, training, seasonLength).predict(holdout);
+    const actual = values.slice(training.length);
+    return { method: name, label: METHOD_LABELS[name], rmse: rootMeanSquare(actual.map((value, i) => value - predicted[i])) };
+  });
+
+  const best = [...evaluations].sort((a, b) => a.rmse - b.rmse)[0];
+  const chosen = method !== 'auto' ? method : best ? best.method : 'linear';
+  const model = fitMethod(chosen, values, seasonLength);
+
+  // The band widens with the square root of the number of steps ahead
+  const sigma = rootMeanSquare(model.residuals);
+  const forecast = model.predict(horizon).map((value, i) => {
+    const margin = CONFIDENCE_Z * sigma * Math.sqrt(i + 1);
+    return {
+      value,
+      lower: value - margin,
+      upper: value + margin
+    };
+  });
+
+  return {
+    method: chosen,
+    label: METHOD_LABELS[chosen],
+    seasonal: chosen === 'holt_winters' && model.seasonal,
+    forecast,
+    evaluations,
+    holdout: evaluations.length > 0 ? holdout : 0
+  };
+}
+
+/**
+ * Fits a method to a series
+ * @returns {object} { predict(steps), residuals, seasonal } with the in-sample one-step errors
+ */
+function fitMethod(method, values, seasonLength) {
+  switch (method) {
+    case 'moving_average':
+      return fitMovingAverage(values);
+    case 'holt_winters':
+      return fitHoltWinters(values, seasonLength);
+    case 'linear':
+    default:
+      return fitLinear(values);
+  }
+}
+
+/**
+ * Least-squares straight line through the series
+ */
+function fitLinear(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = mean(values);
+
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+
+  const slope = variance === 0 ? 0 : covariance / variance;
+  const intercept = meanY - slope * meanX;
+
+  return {
+    predict: steps => range(steps).map(i => intercept + slope * (n + i)),
+    residuals: values.map((value, x) => value - (intercept + slope * x))
+  };
+}
+
+/**
+ * The average of the last few values, carried forward
+ */
+function fitMovingAverage(values, window = 3) {
+  const size = Math.min(window, values.length);
+  const average = mean(values.slice(-size));
+  const residuals = values.slice(size).map((value, i) => value - mean(values.slice(i, i + size)));
+
+  return {
+    predict: steps => range(steps).map(() => average),
+    // Too short a series to measure its own errors; fall back to its spread
+    residuals: residuals.length > 0 ? residuals : values.map(value => value - mean(values))
+  };
+}
+
+/**
+ * Additive Holt-Winters. The seasonal component needs two full seasons of
+ * history; shorter series are smoothed for level and trend only (Holt's method).
+ * The smoothing parameters are the ones with the lowest one-step error.
+ */
+function fitHoltWinters(values, seasonLength) {
+  const seasonal = values.length >= seasonLength * 2;
+  const gammas = seasonal ? SMOOTHING_GRID : [0];
+  let best = null;
+
+  SMOOTHING_GRID.forEach(alpha => {
+    SMOOTHING_GRID.forEach(beta => {
+      gammas.forEach(gamma => {
+        const fit = smoothHoltWinters(values, seasonal ? seasonLength : 0, alpha, beta, gamma);
+        const error = rootMeanSquare(fit.residuals);
+        if (!best || error < best.error) {
+          best = { ...fit, error };
+        }
+      });
+    });
+  });
+
+  return {
+    predict: best.predict,
+    residuals: best.residuals,
+    seasonal
+  };
+}
+
+/**
+ * Runs Holt-Winters smoothing with fixed parameters; a season length of 0 leaves out seasonality
+ */
+function smoothHoltWinters(values, seasonLength, alpha, beta, gamma) {
+  let level;
+  let trend;
+  let seasons = [];
+  let start;
+
+  if (seasonLength > 0) {
+    const firstSeason = mean(values.slice(0, seasonLength));
+    const secondSeason = mean(values.slice(seasonLength, seasonLength * 2));
+    level = firstSeason;
+    trend = (secondSeason - firstSeason) / seasonLength;
+    seasons = values.slice(0, seasonLength).map(value => value - firstSeason);
+    start = seasonLength;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    start = 1;
+  }
+
+  const season = t => (seasonLength > 0 ? seasons[t % seasonLength] : 0);
+  const residuals = [];
+
+  for (let t = start; t < values.length; t++) {
+    const value = values[t];
+    residuals.push(value - (level + trend + season(t)));
+
+    const previousLevel = level;
+    level = alpha * (value - season(t)) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+
+    if (seasonLength > 0) {
+      seasons[t % seasonLength] = gamma * (value - level) + (1 - gamma) * seasons[t % seasonLength];
+    }
+  }
+
+  const n = values.length;
+
+  return {
+    predict: steps => range(steps).map(i => level + trend * (i + 1) + season(n + i)),
+    residuals
+  };
+}
+
+function range(length) {
+  return Array.from({ length }, (_, i) => i);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function rootMeanSquare(values) {
+  return Math.sqrt(mean(values.map(value => value * value)));
+}
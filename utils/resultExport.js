@@ -0,0 +1,92 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+// Formats a stored result can be exported in
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+/**
+ * Writes a result's rows to a stream in an export format, then ends the stream.
+ * Values are written as stored: numbers stay numbers and nulls stay empty.
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Array} columns - The result's { name, type } columns
+ * @param {Iterable} batches - Batches of rows, each row an array of values in column order
+ * @param {object} stream - The writable stream (e.g. the HTTP response)
+ */
+export async function writeExport(format, columns, batches, stream) {
+  switch (format) {
+    case 'csv':
+      await writeLines(stream, [columns.map(column => csvValue(column.name)).join(',')], batches,
+        row => row.map(csvValue).join(','));
+      break;
+    case 'jsonl':
+      await writeLines(stream, [], batches,
+        row => JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.name, row[i]]))));
+      break;
+    case 'xlsx':
+      await writeWorkbook(stream, columns, batches);
+      break;
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+/**
+ * Writes text lines, waiting for the stream to drain whenever its buffer fills
+ */
+async function writeLines(stream, header, batches, formatRow) {
+  const write = async line => {
+    if (!stream.write(`${line}\n`)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  for (const line of header) {
+    await write(line);
+  }
+
+  for (const batch of batches) {
+    for (const row of batch) {
+      await write(formatRow(row));
+    }
+  }
+
+  stream.end();
+}
+
+/**
+ * Writes a single-sheet workbook with a header row; committing the workbook ends the stream
+ */
+async function writeWorkbook(stream, columns, batches) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Result');
+
+  sheet.columns = columns.map(column => ({ header: column.name, key: column.name }));
+
+  for (const batch of batches) {
+    batch.forEach(row => sheet.addRow(row).commit());
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break. Text that
+ * a spreadsheet would run as a formula (starting with =, +, -, @, tab or carriage
+ * return) is prefixed with ' so it opens as text; numbers are left as they are.
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
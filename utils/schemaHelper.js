@@ -0,0 +1,28 @@
+/**
+ * Describes the user tables in the database and their columns
+ * @param {object} db - The database connection
+ * @returns {object} Map of table name to column descriptions
+ */
+export function describeSchema(db) {
+  // Get all tables, leaving out SQLite's own and the agent's bookkeeping tables
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'agent\\_%' ESCAPE '\\'
+  `).all();
+
+  const schema = {};
+
+  // Get columns for each table
+  tables.forEach(table => {
+    const columns = db.prepare('SELECT * FROM pragma_table_info(?)').all(table.name);
+    schema[table.name] = columns.map(column => ({
+      name: column.name,
+      type: column.type,
+      notnull: column.notnull === 1,
+      dflt_value: column.dflt_value,
+      pk: column.pk === 1
+    }));
+  });
+
+  return schema;
+}
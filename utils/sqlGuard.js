@@ -0,0 +1,259 @@
+// Statement categories that only read data
+const READ_CATEGORIES = ['read', 'pragma_read'];
+
+// Pragmas that take an argument but only report information
+const READ_ONLY_PRAGMAS = [
+  'table_info', 'table_xinfo', 'table_list', 'index_list', 'index_info', 'index_xinfo',
+  'foreign_key_list', 'foreign_key_check', 'integrity_check', 'quick_check',
+  'function_list', 'pragma_list', 'collation_list', 'database_list', 'compile_options'
+];
+
+// Pragmas that only report a setting or state when run without an argument; any
+// other bare pragma (optimize, wal_checkpoint, incremental_vacuum, ...) may write
+const READ_ONLY_BARE_PRAGMAS = [
+  ...READ_ONLY_PRAGMAS, 'module_list',
+  'application_id', 'user_version', 'schema_version', 'data_version', 'encoding',
+  'page_size', 'page_count', 'max_page_count', 'freelist_count', 'auto_vacuum',
+  'journal_mode', 'journal_size_limit', 'locking_mode', 'synchronous', 'temp_store',
+  'cache_size', 'cache_spill', 'mmap_size', 'busy_timeout', 'wal_autocheckpoint',
+  'foreign_keys', 'defer_foreign_keys', 'recursive_triggers', 'automatic_index',
+  'query_only', 'read_uncommitted', 'secure_delete', 'cell_size_check', 'trusted_schema',
+  'ignore_check_constraints', 'legacy_alter_table', 'reverse_unordered_selects',
+  'fullfsync', 'checkpoint_fullfsync', 'threads', 'soft_heap_limit', 'hard_heap_limit',
+  'analysis_limit'
+];
+
+/**
+ * Classifies a single SQL statement by what it does to the database
+ * @param {string} sql - The SQL statement
+ * @returns {object} The statement category, its leading keyword and the number of statements found
+ */
+export function classifyStatement(sql) {
+  const statements = splitStatements(sql);
+
+  if (statements.length === 0) {
+    return { category: 'empty', keyword: null, statementCount: 0 };
+  }
+
+  const tokens = statements[0];
+  const keyword = mainKeyword(tokens);
+
+  return {
+    category: categorize(tokens, keyword),
+    keyword,
+    statementCount: statements.length
+  };
+}
+
+/**
+ * Decides whether a statement may run, rejecting anything that could change
+ * the database unless the server runs in admin mode
+ * @param {string} sql - The SQL statement
+ * @param {object} db - The database connection
+ * @param {object} options - { adminMode } allows writes when true
+ * @returns {object} { allowed, category, reason }
+ */
+export function checkStatement(sql, db, { adminMode = false } = {}) {
+  const { category, keyword, statementCount } = classifyStatement(sql);
+
+  if (statementCount === 0) {
+    return { allowed: false, category, reason: 'The SQL contains no statement.' };
+  }
+
+  if (statementCount > 1) {
+    return { allowed: false, category, reason: 'Only a single statement can be executed at a time.' };
+  }
+
+  if (!READ_CATEGORIES.includes(category) && !adminMode) {
+    return {
+      allowed: false,
+      category,
+      reason: `${describeCategory(category, keyword)} statements are not allowed because the server is not running in admin mode.`
+    };
+  }
+
+  // Let SQLite have the final word on read-only statements
+  if (READ_CATEGORIES.includes(category) && !adminMode) {
+    const statement = db.prepare(sql);
+
+    if (!statement.readonly) {
+      return {
+        allowed: false,
+        category,
+        reason: 'SQLite reports that this statement writes to the database, which is not allowed outside admin mode.'
+      };
+    }
+  }
+
+  return { allowed: true, category, reason: null };
+}
+
+/**
+ * Describes a statement category for error messages
+ */
+function describeCategory(category, keyword) {
+  switch (category) {
+    case 'dml':
+      return `Data modification (${keyword})`;
+    case 'ddl':
+      return `Schema change (${keyword})`;
+    case 'attach':
+      return `Database attachment (${keyword})`;
+    case 'pragma_write':
+      return 'PRAGMA write';
+    case 'transaction':
+      return `Transaction control (${keyword})`;
+    case 'maintenance':
+      return `Maintenance (${keyword})`;
+    default:
+      return `Unrecognised (${keyword})`;
+  }
+}
+
+/**
+ * Works out the category of a tokenized statement from its main keyword
+ */
+function categorize(tokens, keyword) {
+  switch (keyword) {
+    case 'SELECT':
+    case 'VALUES':
+    case 'EXPLAIN':
+      return 'read';
+    case 'INSERT':
+    case 'UPDATE':
+    case 'DELETE':
+    case 'REPLACE':
+      return 'dml';
+    case 'CREATE':
+    case 'DROP':
+    case 'ALTER':
+      return 'ddl';
+    case 'ATTACH':
+    case 'DETACH':
+      return 'attach';
+    case 'PRAGMA':
+      return categorizePragma(tokens);
+    case 'BEGIN':
+    case 'COMMIT':
+    case 'END':
+    case 'ROLLBACK':
+    case 'SAVEPOINT':
+    case 'RELEASE':
+      return 'transaction';
+    case 'VACUUM':
+    case 'REINDEX':
+    case 'ANALYZE':
+      return 'maintenance';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Returns the statement's leading keyword; a WITH statement is identified by
+ * the main statement that follows its CTEs
+ */
+function mainKeyword(tokens) {
+  const first = tokens[0].toUpperCase();
+
+  if (first !== 'WITH') {
+    return first;
+  }
+
+  let depth = 0;
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === '(') depth++;
+    else if (token === ')') depth--;
+    else if (depth === 0) {
+      const upper = token.toUpperCase();
+      if (['SELECT', 'VALUES', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(upper)) return upper;
+    }
+  }
+
+  return first;
+}
+
+/**
+ * PRAGMA name = value and PRAGMA name(value) write, except for informational pragmas;
+ * a bare PRAGMA name reads only if it is known to just report a value
+ */
+function categorizePragma(tokens) {
+  // PRAGMA [schema.]name ...
+  let index = 1;
+  if (tokens[index + 1] === '.') index += 2;
+
+  const name = (tokens[index] || '').toLowerCase();
+  const next = tokens[index + 1];
+
+  if (next === undefined) return READ_ONLY_BARE_PRAGMAS.includes(name) ? 'pragma_read' : 'pragma_write';
+  if (next === '=') return 'pragma_write';
+  if (next === '(') return READ_ONLY_PRAGMAS.includes(name) ? 'pragma_read' : 'pragma_write';
+
+  return 'pragma_write';
+}
+
+/**
+ * Splits SQL into statements of tokens, skipping comments and keeping string
+ * literals and quoted identifiers intact
+ * @param {string} sql - The SQL text
+ * @returns {Array} One token array per non-empty statement
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let tokens = [];
+  let i = 0;
+
+  const endStatement = () => {
+    if (tokens.length > 0) statements.push(tokens);
+    tokens = [];
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      // Line comment
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      // Block comment
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"' || char === '`' || char === '[') {
+      // String literal or quoted identifier; doubled quotes are escapes
+      const close = char === '[' ? ']' : char;
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === close && sql[j + 1] === close && close !== ']') {
+          j += 2;
+        } else if (sql[j] === close) {
+          break;
+        } else {
+          j++;
+        }
+      }
+      tokens.push(sql.slice(i, j + 1));
+      i = j + 1;
+    } else if (char === ';') {
+      endStatement();
+      i++;
+    } else if (/[A-Za-z_]/.test(char)) {
+      let j = i;
+      while (j < sql.length && /[A-Za-z0-9_$]/.test(sql[j])) j++;
+      tokens.push(sql.slice(i, j));
+      i = j;
+    } else {
+      tokens.push(char);
+      i++;
+    }
+  }
+
+  endStatement();
+
+  return statements;
+}